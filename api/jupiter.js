@@ -0,0 +1,71 @@
+const { SwapApi, Configuration } = require('@jup-ag/api');
+
+/**
+ * Jupiter swap API
+ * JUPITER_API_URL selects the endpoint, e.g. a local mock in tests; the public
+ * endpoint is used by default. The client is created directly because
+ * createJupiterApiClient ignores a custom base path.
+ */
+
+const DEFAULT_JUPITER_API_URL = 'https://lite-api.jup.ag/swap/v1';
+
+/**
+ * Creates a Jupiter API client for the configured endpoint
+ * @returns {SwapApi} Jupiter swap API client
+ */
+const createJupiterClient = () => new SwapApi(new Configuration({
+  basePath: (process.env.JUPITER_API_URL || DEFAULT_JUPITER_API_URL).replace(/\/+$/, '')
+}));
+
+/**
+ * Get a swap quote
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.inputMint - Mint of the token to sell
+ * @param {string} params.outputMint - Mint of the token to buy
+ * @param {number} params.amount - Amount to sell in the smallest unit of the input token
+ * @param {number} params.slippageBps - Accepted slippage in basis points
+ * @returns {Promise<Object>} The quote, including route, price impact and minimum output
+ */
+const getSwapQuote = async (params) => {
+  try {
+    return await createJupiterClient().quoteGet({
+      inputMint: params.inputMint,
+      outputMint: params.outputMint,
+      amount: params.amount,
+      slippageBps: params.slippageBps
+    });
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Build the transaction of a quoted swap
+ * @param {Object} params - The parameters for the API call
+ * @param {Object} params.quote - Quote returned by getSwapQuote
+ * @param {string} params.userPublicKey - Address of the wallet that swaps
+ * @param {Object} [params.priorityFee] - Optional priority fee level { priorityLevel, maxLamports }, Jupiter picks the fee otherwise
+ * @returns {Promise<Object>} The swap response with the base64 encoded transaction
+ */
+const getSwapTransaction = async (params) => {
+  try {
+    return await createJupiterClient().swapPost({
+      swapRequest: {
+        quoteResponse: params.quote,
+        userPublicKey: params.userPublicKey,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        prioritizationFeeLamports: params.priorityFee ?
+          { priorityLevelWithMaxLamports: params.priorityFee } :
+          undefined
+      }
+    });
+  } catch (err) {
+    throw err;
+  }
+};
+
+module.exports = {
+  getSwapQuote,
+  getSwapTransaction
+};
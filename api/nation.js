@@ -1,4 +1,4 @@
-const { Configuration, CreditApi, GeneratorApi, AgentApi, UserApi } = require('@crestal/nation-sdk');
+const { Configuration, CreditApi, GeneratorApi, AgentApi, UserApi, ChatApi } = require('@crestal/nation-sdk');
 const axios = require('axios');
 
 /**
@@ -112,6 +112,112 @@ const createAgent = async (params) => {
   }
 };
 
+/**
+ * Update an existing agent
+ * @param {Object} params - The parameters for the agent update
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to update
+ * @param {Object} params.agent - Updated agent configuration object
+ * @returns {Promise<Object>} The updated agent data
+ */
+const updateAgent = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.updateAgent(params.agentId, params.agent);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Deploy an existing agent
+ * @param {Object} params - The parameters for the deployment
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to deploy
+ * @returns {Promise<Object>} The deployment response
+ */
+const deployAgent = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.deployAgent(params.agentId);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Archive an agent, which can be undone with unarchiveAgent
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to archive
+ * @returns {Promise<Object>} The archived agent data
+ */
+const archiveAgent = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.archiveAgent(params.agentId);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Restore an archived agent
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to restore
+ * @returns {Promise<Object>} The restored agent data
+ */
+const unarchiveAgent = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.unarchiveAgent(params.agentId);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Permanently delete an agent
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to delete
+ * @returns {Promise<Object>} The deletion response
+ */
+const deleteAgent = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.deleteAgent(params.agentId);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
 /**
  * Get user's agents
  * @param {Object} params - The parameters for the API call
@@ -155,11 +261,134 @@ const getAgent = async (params) => {
   }
 };
 
+/**
+ * Get the recent activity of an agent (task runs, trades, errors), newest first
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID
+ * @param {string} [params.cursor] - Optional cursor for pagination
+ * @param {number} [params.limit] - Optional limit for number of results
+ * @returns {Promise<Object>} The agent activity data
+ */
+const getAgentActivities = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const agentApi = new AgentApi(configuration);
+    const {data} = await agentApi.listAgentActivities(params.agentId, params.cursor, params.limit);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Create a chat thread with an agent
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to chat with
+ * @returns {Promise<Object>} The created chat thread
+ */
+const createChatThread = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const chatApi = new ChatApi(configuration);
+    const {data} = await chatApi.createChatThread(params.agentId);
+    return data;
+  } catch (err) {
+    throw err;
+  }
+};
+
+/**
+ * Send a message to an agent in a chat thread and stream back its replies
+ * The agent's messages arrive as server-sent events while it works; servers that
+ * do not stream answer with all messages at once.
+ * @param {Object} params - The parameters for the API call
+ * @param {string} params.accessToken - The access token for authentication
+ * @param {string} params.agentId - The agent ID to chat with
+ * @param {string} params.threadId - The chat thread ID
+ * @param {string} params.message - The message text
+ * @param {Function} params.onMessage - Called with every chat message as it arrives, awaited in order
+ * @returns {Promise<Array<Object>>} The messages the agent produced in response
+ */
+const streamChatMessage = async (params) => {
+  try {
+    const configuration = new Configuration({
+      basePath: process.env.NATION_SERVICE_URL,
+      accessToken: params.accessToken
+    });
+    const chatApi = new ChatApi(configuration);
+    const response = await chatApi.sendMessageToChat(params.agentId, params.threadId, {
+      message: params.message,
+      stream: true
+    }, {
+      responseType: 'stream'
+    });
+
+    const messages = [];
+    const receive = async (message) => {
+      messages.push(message);
+      await params.onMessage(message);
+    };
+
+    response.data.setEncoding('utf8');
+
+    if (!String(response.headers['content-type'] || '').includes('text/event-stream')) {
+      let body = '';
+      for await (const chunk of response.data) {
+        body += chunk;
+      }
+      const data = JSON.parse(body);
+      for (const message of Array.isArray(data) ? data : [data]) {
+        await receive(message);
+      }
+      return messages;
+    }
+
+    // Events are separated by a blank line, their JSON payload is on the data lines
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.replace(/\r\n/g, '\n');
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const data = buffer.substring(0, end)
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.substring(5).trim())
+          .join('\n');
+        buffer = buffer.substring(end + 2);
+
+        if (data && data !== '[DONE]') {
+          await receive(JSON.parse(data));
+        }
+      }
+    }
+    return messages;
+  } catch (err) {
+    throw err;
+  }
+};
+
 module.exports = {
   getCreditExpenseHistory,
   getUserAccount,
   generateAgent,
   createAgent,
+  updateAgent,
+  deployAgent,
+  archiveAgent,
+  unarchiveAgent,
+  deleteAgent,
   getUserAgents,
-  getAgent
+  getAgent,
+  getAgentActivities,
+  createChatThread,
+  streamChatMessage
 };
@@ -6,11 +6,27 @@ const COMMANDS = {
   START: '/start',
   LOGIN: '/login',
   STATUS: '/status',
+  WALLET: '/wallet',
+  SWAP: '/swap',
+  SETTINGS: '/settings',
   LOGOUT: '/logout',
   ACCESS_TOKEN: '/accessToken',
   CREATE_AGENT: '/createAgent',
   MY_AGENTS: '/myAgents',
   GET_AGENT: '/getAgent',
+  CREDITS: '/credits',
+  EXPORT_CREDITS: '/exportCredits',
+  ALERTS: '/alerts',
+  NOTIFICATIONS: '/notifications',
+  EDIT_AGENT: '/editAgent',
+  DEPLOY_AGENT: '/deployAgent',
+  AUTO_DEPLOY: '/autoDeploy',
+  CHAT: '/chat',
+  DELETE_AGENT: '/deleteAgent',
+  TEMPLATES: '/templates',
+  CLONE_AGENT: '/cloneAgent',
+  EXPORT_AGENT: '/exportAgent',
+  AGENT_TASKS: '/agentTasks',
   HELP: '/help'
 };
 
@@ -21,9 +37,59 @@ const CALLBACK_DATA = {
   BACK_TO_START: 'back_to_start',
   LOGOUT_USER: 'logout_user',
   CHECK_STATUS: 'check_status',
+  REFRESH_WALLET: 'refresh_wallet',
+  CONFIRM_SWAP: 'confirm_swap_',
+  CANCEL_SWAP: 'cancel_swap_',
+  SHOW_SETTINGS: 'show_settings',
+  SWAP_SLIPPAGE: 'swap_slippage_',
+  SWAP_PRIORITY_FEE: 'swap_priority_',
+  SWAP_QUOTE_TOKEN: 'swap_quote_token_',
+  SWAP_CONFIRM_THRESHOLD: 'swap_confirm_',
   GET_ACCESS_TOKEN: 'get_access_token',
   CREATE_AGENT: 'create_agent',
-  CANCEL_AGENT_CREATION: 'cancel_agent_creation'
+  CANCEL_AGENT_CREATION: 'cancel_agent_creation',
+  CANCEL_FLOW: 'cancel_flow',
+  CREDITS_PAGE: 'credits_page_',
+  DISABLE_CREDIT_ALERT: 'disable_credit_alert',
+  NOTIFICATION_SETTINGS: 'notification_settings',
+  ENABLE_NOTIFICATIONS: 'enable_notifications',
+  DISABLE_NOTIFICATIONS: 'disable_notifications',
+  NOTIFICATION_MODE: 'notification_mode_',
+  MUTE_AGENT_ACTIVITY: 'mute_activity_',
+  UNMUTE_AGENT_ACTIVITY: 'unmute_activity_',
+  CONFIRM_AGENT_UPDATE: 'confirm_agent_update',
+  CANCEL_AGENT_UPDATE: 'cancel_agent_update',
+  CONFIRM_AGENT_CREATION: 'confirm_agent_creation',
+  CREATE_AND_DEPLOY_AGENT: 'create_and_deploy_agent',
+  REFINE_AGENT: 'refine_agent',
+  CANCEL_AGENT_DRAFT: 'cancel_agent_draft',
+  AGENTS_PAGE: 'agents_page_',
+  VIEW_AGENT: 'view_agent_',
+  EDIT_AGENT: 'edit_agent_',
+  DEPLOY_AGENT: 'deploy_agent_',
+  CLONE_AGENT: 'clone_agent_',
+  EXPORT_AGENT: 'export_agent_',
+  AGENT_TASKS: 'agent_tasks_',
+  TOGGLE_AGENT_TASK: 'toggle_task_',
+  PAUSE_AGENT_TASKS: 'pause_tasks_',
+  RESUME_AGENT_TASKS: 'resume_tasks_',
+  AGENT_JSON: 'agent_json_',
+  DELETE_AGENT: 'delete_agent_',
+  CONFIRM_AGENT_DELETION: 'confirm_agent_deletion_',
+  FINAL_CONFIRM_AGENT_DELETION: 'final_confirm_agent_deletion_',
+  CANCEL_AGENT_DELETION: 'cancel_agent_deletion_',
+  UNDO_AGENT_DELETION: 'undo_agent_deletion_',
+  SHOW_TEMPLATES: 'show_templates',
+  TEMPLATE_CATEGORY: 'template_category_',
+  USE_TEMPLATE: 'use_template_'
+};
+
+const FLOWS = {
+  CREATE_AGENT: 'create_agent',
+  EDIT_AGENT: 'edit_agent',
+  REFINE_AGENT: 'refine_agent',
+  AGENT_TEMPLATE: 'agent_template',
+  CLONE_AGENT: 'clone_agent'
 };
 
 const MESSAGES = {
@@ -42,6 +108,10 @@ const MESSAGES = {
 const KEYBOARD_BUTTONS = {
   LOGIN: '🔑 Login with Privy',
   CHECK_STATUS: '📊 Check Status',
+  REFRESH_WALLET: '🔄 Refresh',
+  CONFIRM_SWAP: '✅ Confirm Swap',
+  SETTINGS: '⚙️ Trading Settings',
+  ALWAYS_CONFIRM_SWAPS: 'Always confirm',
   LOGOUT: '🚪 Logout',
   HELP: '❓ Help',
   GET_ACCESS_TOKEN: '🎫 Get Access Token',
@@ -49,12 +119,44 @@ const KEYBOARD_BUTTONS = {
   MAIN_MENU: '🏠 Main Menu',
   LOGIN_AGAIN: '🔑 Login Again',
   CREATE_AGENT: '🤖 Create Agent',
-  CANCEL: '❌ Cancel'
+  CANCEL: '❌ Cancel',
+  PREVIOUS_PAGE: '⬅️ Prev',
+  NEXT_PAGE: 'Next ➡️',
+  DISABLE_CREDIT_ALERT: '🔕 Turn Off Credit Alert',
+  ENABLE_NOTIFICATIONS: '🔔 Turn On',
+  DISABLE_NOTIFICATIONS: '🔕 Turn Off',
+  NOTIFICATION_SETTINGS: '⚙️ Notification Settings',
+  INSTANT_NOTIFICATIONS: '⚡ Instant',
+  HOURLY_DIGEST: '🕐 Hourly',
+  DAILY_DIGEST: '📅 Daily',
+  MUTE_AGENT: '🔇 Mute',
+  UNMUTE_AGENT: '🔊 Unmute',
+  APPLY_CHANGES: '✅ Apply Changes',
+  CONFIRM_CREATE_AGENT: '✅ Create',
+  CREATE_AND_DEPLOY_AGENT: '🚀 Create & Deploy',
+  CREATE_ONLY: '✅ Create Only',
+  REFINE_AGENT: '✏️ Refine',
+  EDIT_AGENT: '✏️ Edit',
+  DEPLOY_AGENT: '🚀 Deploy',
+  CLONE_AGENT: '🧬 Clone',
+  EXPORT_AGENT: '📤 Export',
+  AGENT_TASKS: '⏰ Tasks',
+  PAUSE_AGENT_TASKS: '⏸️ Pause all',
+  RESUME_AGENT_TASKS: '▶️ Resume all',
+  RAW_JSON: '📄 Raw JSON',
+  END_CHAT: '🛑 End chat',
+  DELETE_AGENT: '🗑️ Delete',
+  CONFIRM_DELETE_AGENT: '🗑️ Yes, delete',
+  FINAL_CONFIRM_DELETE_AGENT: '⚠️ Yes, I am sure',
+  UNDO: '↩️ Undo',
+  TEMPLATES: '📚 Use a Template',
+  BACK_TO_TEMPLATES: '⬅️ All Categories'
 };
 
 module.exports = {
   COMMANDS,
   CALLBACK_DATA,
+  FLOWS,
   MESSAGES,
   KEYBOARD_BUTTONS
 };
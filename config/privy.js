@@ -0,0 +1,45 @@
+const { PrivyClient } = require('@privy-io/server-auth');
+
+/**
+ * Privy client configuration and initialization
+ */
+
+let privyClient = null;
+
+/**
+ * Returns the shared Privy client, creating it on first use
+ * @returns {PrivyClient} Privy server client
+ */
+function getPrivyClient() {
+  if (!privyClient) {
+    const appId = process.env.PRIVY_APP_ID;
+    const appSecret = process.env.PRIVY_APP_SECRET;
+    if (!appId || !appSecret) {
+      throw new Error('PRIVY_APP_ID and PRIVY_APP_SECRET environment variables must be set');
+    }
+    // Apps with an authorization keypair must sign wallet requests (e.g. /swap) with its private key
+    privyClient = new PrivyClient(appId, appSecret, {
+      walletApi: {
+        authorizationPrivateKey: process.env.PRIVY_AUTHORIZATION_PRIVATE_KEY || undefined
+      }
+    });
+  }
+  return privyClient;
+}
+
+/**
+ * Returns the locally configured JWT verification key, if any
+ * When set, access tokens are verified against this key instead of the key from the Privy
+ * app settings, which allows verification without network access (e.g. in tests)
+ * @returns {string|undefined} PEM encoded ES256 public key
+ */
+function getPrivyVerificationKey() {
+  const key = process.env.PRIVY_VERIFICATION_KEY;
+  // Allow the key to be stored on a single line in environment files
+  return key ? key.replace(/\\n/g, '\n') : undefined;
+}
+
+module.exports = {
+  getPrivyClient,
+  getPrivyVerificationKey
+};
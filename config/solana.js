@@ -0,0 +1,38 @@
+const { Connection, clusterApiUrl } = require('@solana/web3.js');
+
+/**
+ * Solana RPC connection
+ * SOLANA_RPC_URL selects the endpoint, e.g. a dedicated RPC provider in production
+ * or http://127.0.0.1:8899 for a local test validator; mainnet-beta is used by default.
+ * SOLANA_CAIP2 selects the network Privy broadcasts signed transactions to.
+ */
+
+// CAIP-2 chain ID of Solana mainnet
+const SOLANA_MAINNET_CAIP2 = 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp';
+
+let connection = null;
+
+/**
+ * Returns the shared Solana connection, creating it on first use
+ * @returns {Connection} Solana RPC connection
+ */
+function getSolanaConnection() {
+  if (!connection) {
+    const rpcUrl = process.env.SOLANA_RPC_URL || clusterApiUrl('mainnet-beta');
+    connection = new Connection(rpcUrl, 'confirmed');
+  }
+  return connection;
+}
+
+/**
+ * Returns the CAIP-2 chain ID of the configured Solana network
+ * @returns {string} CAIP-2 chain ID
+ */
+function getSolanaCaip2() {
+  return process.env.SOLANA_CAIP2 || SOLANA_MAINNET_CAIP2;
+}
+
+module.exports = {
+  getSolanaConnection,
+  getSolanaCaip2
+};
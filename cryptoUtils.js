@@ -3,24 +3,132 @@ const crypto = require('crypto');
 /**
  * Encryption utility functions for sensitive data like privyAccessToken
  * Uses AES-256-GCM encryption for secure token storage
+ * 
+ * Keys are loaded from the environment:
+ *   ENCRYPTION_KEY           - current key, used for all new ciphertexts
+ *   ENCRYPTION_KEY_VERSION   - version label of the current key (defaults to "1")
+ *   ENCRYPTION_PREVIOUS_KEYS - comma separated "version:key" pairs still accepted for decryption
+ * 
+ * Ciphertexts are prefixed with the key version ("v<version>:<base64>") so that old and
+ * new keys can coexist during a rotation. Unprefixed ciphertexts were written before
+ * versioning existed and are decrypted with the legacy built-in key.
  */
 
-// Get encryption key from environment variables
-const ENCRYPTION_KEY = 'intentkit_secret_default_key_32_bytes';
+// Key used by earlier releases; only ever accepted for decrypting legacy ciphertexts
+const LEGACY_ENCRYPTION_KEY = 'intentkit_secret_default_key_32_bytes';
 const ALGORITHM = 'aes-256-gcm';
+const MIN_KEY_LENGTH = 32;
+const DEFAULT_KEY_VERSION = '1';
+const VERSION_PATTERN = /^[A-Za-z0-9_-]+$/;
+const VERSIONED_CIPHERTEXT_PATTERN = /^v([A-Za-z0-9_-]+):(.+)$/;
+
+/**
+ * Reads the encryption key configuration from the environment
+ * @returns {Object} { currentVersion: string, currentKey: string|undefined, keys: Map<string, string> }
+ */
+function getKeyConfig() {
+  const currentVersion = process.env.ENCRYPTION_KEY_VERSION || DEFAULT_KEY_VERSION;
+  const currentKey = process.env.ENCRYPTION_KEY;
+  const keys = new Map();
+  
+  (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separatorIndex = entry.indexOf(':');
+      if (separatorIndex > 0) {
+        keys.set(entry.slice(0, separatorIndex), entry.slice(separatorIndex + 1));
+      }
+    });
+  
+  if (currentKey) {
+    keys.set(currentVersion, currentKey);
+  }
+  
+  return { currentVersion, currentKey, keys };
+}
+
+/**
+ * Validates the encryption key configuration
+ * In production a missing or weak key is fatal; elsewhere the legacy key is used with a warning
+ * @throws {Error} If the configuration is unusable
+ */
+function validateEncryptionConfig() {
+  const { currentVersion, currentKey } = getKeyConfig();
+  const isProduction = process.env.NODE_ENV === 'production';
+  
+  if (!VERSION_PATTERN.test(currentVersion)) {
+    throw new Error('ENCRYPTION_KEY_VERSION may only contain letters, numbers, "-" and "_"');
+  }
+  
+  let problem = null;
+  if (!currentKey) {
+    problem = 'ENCRYPTION_KEY environment variable is not set';
+  } else if (currentKey.length < MIN_KEY_LENGTH) {
+    problem = `ENCRYPTION_KEY must be at least ${MIN_KEY_LENGTH} characters long`;
+  } else if (currentKey === LEGACY_ENCRYPTION_KEY) {
+    problem = 'ENCRYPTION_KEY must not be the legacy default key';
+  }
+  
+  if (problem) {
+    if (isProduction) {
+      throw new Error(problem);
+    }
+    console.warn(`⚠️  ${problem}. ${currentKey ? 'Using it anyway' : 'Falling back to the legacy default key'} outside production.`);
+  }
+}
+
+/**
+ * Returns the version and key used for new ciphertexts
+ * @returns {Object} { version: string|null, secret: string } - version is null for the legacy key
+ */
+function getCurrentKey() {
+  const { currentVersion, currentKey } = getKeyConfig();
+  if (!currentKey) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEY environment variable is not set');
+    }
+    return { version: null, secret: LEGACY_ENCRYPTION_KEY };
+  }
+  return { version: currentVersion, secret: currentKey };
+}
+
+/**
+ * Derives the 32-byte AES key from a configured secret
+ * @param {string} secret - Configured key material
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Splits a ciphertext into its key version and payload
+ * @param {string} encryptedData - Stored ciphertext
+ * @returns {Object} { version: string|null, payload: string } - version is null for legacy ciphertexts
+ */
+function parseCiphertext(encryptedData) {
+  const match = VERSIONED_CIPHERTEXT_PATTERN.exec(encryptedData);
+  if (match) {
+    return { version: match[1], payload: match[2] };
+  }
+  return { version: null, payload: encryptedData };
+}
 
 /**
  * Encrypts a string using AES-256-GCM
  * @param {string} text - The text to encrypt
- * @returns {string} - Base64 encoded encrypted data with IV and auth tag
+ * @returns {string} - Key version prefix followed by base64 encoded encrypted data with IV and auth tag
  */
 function encrypt(text) {
   try {
     // Generate a random initialization vector
     const iv = crypto.randomBytes(16);
     
-    // Create a 32-byte key from the encryption key
-    const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
+    // Create a 32-byte key from the current encryption key
+    const { version, secret } = getCurrentKey();
+    const key = deriveKey(secret);
     
     // Create cipher with proper GCM mode
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
@@ -35,8 +143,9 @@ function encrypt(text) {
     // Combine IV, auth tag, and encrypted data
     const combined = iv.toString('hex') + ':' + authTag.toString('hex') + ':' + encrypted;
     
-    // Return base64 encoded result
-    return Buffer.from(combined).toString('base64');
+    // Return base64 encoded result prefixed with the key version
+    const encoded = Buffer.from(combined).toString('base64');
+    return version ? `v${version}:${encoded}` : encoded;
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Failed to encrypt data');
@@ -45,13 +154,21 @@ function encrypt(text) {
 
 /**
  * Decrypts a string using AES-256-GCM
- * @param {string} encryptedData - Base64 encoded encrypted data
+ * @param {string} encryptedData - Base64 encoded encrypted data, optionally prefixed with a key version
  * @returns {string} - Decrypted text
  */
 function decrypt(encryptedData) {
   try {
+    const { version, payload } = parseCiphertext(encryptedData);
+    
+    // Look up the key the data was encrypted with
+    const secret = version ? getKeyConfig().keys.get(version) : LEGACY_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error(`No encryption key configured for version ${version}`);
+    }
+    
     // Decode base64
-    const combined = Buffer.from(encryptedData, 'base64').toString();
+    const combined = Buffer.from(payload, 'base64').toString();
     
     // Split the combined data
     const parts = combined.split(':');
@@ -64,7 +181,7 @@ function decrypt(encryptedData) {
     const encrypted = parts[2];
     
     // Create a 32-byte key from the encryption key
-    const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
+    const key = deriveKey(secret);
     
     // Create decipher with proper GCM mode
     const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
@@ -119,7 +236,8 @@ function isValidEncryptedToken(token) {
     }
     
     // Try to decode and check format
-    const combined = Buffer.from(token, 'base64').toString();
+    const { payload } = parseCiphertext(token);
+    const combined = Buffer.from(payload, 'base64').toString();
     const parts = combined.split(':');
     
     return parts.length === 3 && 
@@ -131,9 +249,31 @@ function isValidEncryptedToken(token) {
   }
 }
 
+/**
+ * Checks whether a ciphertext was encrypted with a key other than the current one
+ * @param {string} encryptedData - Stored ciphertext
+ * @returns {boolean} - True if the data should be re-encrypted with the current key
+ */
+function needsReEncryption(encryptedData) {
+  const { version } = parseCiphertext(encryptedData);
+  return version !== getCurrentKey().version;
+}
+
+/**
+ * Re-encrypts a ciphertext with the current key
+ * @param {string} encryptedData - Stored ciphertext encrypted with any configured key
+ * @returns {string} - Ciphertext encrypted with the current key
+ */
+function reEncrypt(encryptedData) {
+  return encrypt(decrypt(encryptedData));
+}
+
 module.exports = {
   encrypt,
   decrypt,
+  validateEncryptionConfig,
+  needsReEncryption,
+  reEncrypt,
   encryptPrivyAccessToken,
   decryptPrivyAccessToken,
   isValidEncryptedToken
@@ -0,0 +1,91 @@
+const { FLOWS, COMMANDS } = require('../config/constants');
+const { defineFlow, startFlow } = require('../utils/flows');
+const { MAX_AGENT_NAME_LENGTH } = require('../utils/agents');
+const { stripMarkdown } = require('../utils/messages');
+const { processAgentClone } = require('./agentCreation');
+
+/**
+ * Agent cloning flow
+ * Asks for the name of the copy and an optional change (e.g. "trade SOL instead of ETH"),
+ * then prepares the copy for the same review as a newly generated agent
+ * (see processAgentClone in flows/agentCreation.js).
+ */
+
+// Minimum length of a change request
+const MIN_CHANGE_REQUEST_LENGTH = 5;
+
+// Answer to copy the agent without changes
+const SKIP_ANSWER = 'skip';
+
+/**
+ * Starts the agent cloning flow for a user
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to run the flow in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} agent - Agent to clone
+ */
+async function startAgentClone(bot, chatId, userId, agent) {
+  await startFlow(bot, chatId, userId, FLOWS.CLONE_AGENT, {
+    agentId: agent.id,
+    agentName: agent.name || 'Unnamed Agent'
+  });
+}
+
+defineFlow({
+  name: FLOWS.CLONE_AGENT,
+  steps: [
+    {
+      name: 'name',
+      prompt: (data) =>
+        `🧬 **Clone Agent**\n\n` +
+        `🤖 **Agent:** ${stripMarkdown(data.agentName)}\n\n` +
+        `What should the copy be called?`,
+      validate: (text) => {
+        if (text.length > 0 && text.length <= MAX_AGENT_NAME_LENGTH) {
+          return null;
+        }
+        return `❌ **Invalid Name**\n\n` +
+               `Please send a name with 1 to ${MAX_AGENT_NAME_LENGTH} characters:`;
+      }
+    },
+    {
+      name: 'changes',
+      prompt: (data) =>
+        `🧬 **Clone Agent**\n\n` +
+        `🤖 **Copy:** ${stripMarkdown(data.name)}\n\n` +
+        `Describe what should be different from **${stripMarkdown(data.agentName)}**, for example:\n` +
+        `• "Trade SOL instead of ETH"\n` +
+        `• "Run the tasks every 4 hours"\n\n` +
+        `Or send \`${SKIP_ANSWER}\` to copy it unchanged.`,
+      validate: (text) => {
+        if (text.toLowerCase() === SKIP_ANSWER || text.length >= MIN_CHANGE_REQUEST_LENGTH) {
+          return null;
+        }
+        return `❌ **Change Request Too Short**\n\n` +
+               `Please describe the change in at least ${MIN_CHANGE_REQUEST_LENGTH} characters, ` +
+               `or send \`${SKIP_ANSWER}\` to copy the agent unchanged:`;
+      },
+      parse: (text) => (text.toLowerCase() === SKIP_ANSWER ? null : text)
+    }
+  ],
+  onComplete: async (bot, msg, data) => {
+    console.log(`Processing clone of agent ${data.agentId} for user ${msg.from.id}`);
+    await processAgentClone(bot, msg.chat.id, msg.from.id, {
+      agentId: data.agentId,
+      name: data.name,
+      changes: data.changes
+    });
+  },
+  onCancel: async (bot, chatId) => {
+    await bot.sendMessage(
+      chatId,
+      '❌ **Agent Cloning Cancelled**\n\n' +
+      `No agent was created. Use ${COMMANDS.CLONE_AGENT} to start again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+});
+
+module.exports = {
+  startAgentClone
+};
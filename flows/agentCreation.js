@@ -0,0 +1,751 @@
+const { createReauthKeyboard, createAgentCreationKeyboard, createMainMenuKeyboard, createAgentDraftKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData, getUserAuthStatus } = require('../mockDb');
+const { createWelcomeMessage, stripMarkdown } = require('../utils/messages');
+const { CALLBACK_DATA, FLOWS, COMMANDS, KEYBOARD_BUTTONS } = require('../config/constants');
+const { generateAgent, createAgent, deployAgent, getAgent } = require('../api/nation');
+const { defineFlow, startFlow } = require('../utils/flows');
+const { setConversationState, getConversationState, clearConversationState } = require('../utils/conversationState');
+const {
+  saveAgentProjectId,
+  formatDeploymentStatus,
+  formatTaskSchedule,
+  getAgentSkillNames,
+  getAgentTasks,
+  createAgentCopy
+} = require('../utils/agents');
+
+/**
+ * Agent creation flow
+ * Asks the user to describe an agent in natural language and generates a draft.
+ * The draft is shown for review and can be refined with follow-up instructions
+ * (continuing the same generator project) until the user creates or cancels it.
+ * Agents can be deployed right after creation with the "Create & Deploy" button.
+ * Clones of existing agents (see flows/agentCloning.js) and imported agent files
+ * (see handlers/agentFiles.js) go through the same review.
+ *
+ * Draft: { projectId, agent, summary, activatedSkills, autonomousTasks, revision, deployByDefault }
+ * deployByDefault is set for drafts from templates and overrides the user's /autoDeploy setting.
+ */
+
+// Minimum length of an agent description
+const MIN_PROMPT_LENGTH = 10;
+
+// Minimum length of a refinement instruction
+const MIN_REFINEMENT_LENGTH = 5;
+
+// Conversation state while a generated draft waits for the user's decision
+const DRAFT_REVIEW_STATE = 'review_agent_draft';
+
+// Maximum number of skills or tasks listed in a review
+const MAX_LISTED_ITEMS = 10;
+
+/**
+ * Starts the agent creation flow for a user
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to run the flow in
+ * @param {string} userId - Telegram user ID
+ * @param {string} userName - User's first name
+ */
+async function startAgentCreation(bot, chatId, userId, userName) {
+  await startFlow(bot, chatId, userId, FLOWS.CREATE_AGENT, { userName });
+}
+
+/**
+ * Formats a list of skills or tasks for the draft review
+ * @param {Array} items - Skills or tasks returned by the generator
+ * @param {Function} describe - Returns the text of one item
+ * @returns {string} Bullet list
+ */
+function formatDraftItems(items, describe) {
+  if (!items || items.length === 0) {
+    return '   • None\n';
+  }
+
+  let text = items
+    .slice(0, MAX_LISTED_ITEMS)
+    .map((item) => `   • ${describe(item)}\n`)
+    .join('');
+  if (items.length > MAX_LISTED_ITEMS) {
+    text += `   • ... and ${items.length - MAX_LISTED_ITEMS} more\n`;
+  }
+  return text;
+}
+
+/**
+ * Creates the review message of a generated draft
+ * @param {Object} draft - Agent draft
+ * @returns {string} Formatted review message
+ */
+function createDraftReviewMessage(draft) {
+  // Names and summary come from the generator or an imported file, they are not valid Markdown
+  const describeSkill = (skill) =>
+    `\`${stripMarkdown(typeof skill === 'string' ? skill : skill.name || JSON.stringify(skill))}\``;
+  const describeTask = (task) => {
+    if (typeof task === 'string') {
+      return stripMarkdown(task);
+    }
+    const schedule = formatTaskSchedule(task);
+    return `${stripMarkdown(task.name || task.id || 'Task')}${schedule ? ` (${schedule})` : ''}`;
+  };
+
+  return `📝 **Review Your Agent**${draft.revision > 1 ? ` (revision ${draft.revision})` : ''}\n\n` +
+         `🤖 **Agent Name:** ${stripMarkdown(draft.agent?.name || 'Unnamed Agent')}\n` +
+         `📋 **Summary:** ${draft.summary ? stripMarkdown(draft.summary) : 'Agent generated from your prompt'}\n\n` +
+         `🔧 **Skills Activated (${draft.activatedSkills.length}):**\n` +
+         formatDraftItems(draft.activatedSkills, describeSkill) + '\n' +
+         `⏰ **Autonomous Tasks (${draft.autonomousTasks.length}):**\n` +
+         formatDraftItems(draft.autonomousTasks, describeTask) + '\n' +
+         `Create this agent (and optionally deploy it right away), refine it with more instructions or cancel.`;
+}
+
+/**
+ * Creates a user facing message for a failed generation or creation
+ * @param {string} userId - Telegram user ID
+ * @param {Error} error - The error object
+ * @returns {string} Error message
+ */
+function getCreationErrorMessage(userId, error) {
+  let errorMessage = 'Failed to create agent';
+  if (error.response?.status === 401) {
+    errorMessage = 'Authentication expired. Please sign in again.';
+    clearUserAuthData(userId);
+  } else if (error.response?.status === 422) {
+    errorMessage = 'Invalid agent configuration. Please try a different description.';
+  } else if (error.response?.data?.message) {
+    errorMessage = `Creation failed: ${error.response.data.message}`;
+  } else if (error.message) {
+    errorMessage = `Creation failed: ${error.message}`;
+  }
+  return errorMessage;
+}
+
+/**
+ * Sends the agent creation failure message
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the message to
+ * @param {string} errorMessage - Description of the failure
+ * @returns {Promise<Object>} Sent message
+ */
+function sendCreationFailure(bot, chatId, errorMessage) {
+  return bot.sendMessage(
+    chatId,
+    `❌ **Agent Creation Failed**\n\n` +
+    `${errorMessage}\n\n` +
+    `Please try again with a different description or contact support if this error persists.`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: '🔄 Try Again',
+              callback_data: CALLBACK_DATA.CREATE_AGENT
+            }
+          ],
+          [
+            {
+              text: '🏠 Back to Main Menu',
+              callback_data: CALLBACK_DATA.BACK_TO_START
+            }
+          ]
+        ]
+      }
+    }
+  );
+}
+
+/**
+ * Sends the authentication required message of the agent creation
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the message to
+ * @param {string} userId - Telegram user ID
+ */
+function sendAuthenticationRequired(bot, chatId, userId) {
+  bot.sendMessage(
+    chatId,
+    '❌ **Authentication Required**\n\n' +
+    'Please authenticate first using /login to create agents.',
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createReauthKeyboard(userId)
+      }
+    }
+  );
+}
+
+/**
+ * Shows a draft for review and remembers it until the user decides
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to show the review in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} draft - Agent draft
+ * @param {number} [messageId] - Message to replace with the review, sends a new message if omitted
+ */
+async function showDraftReview(bot, chatId, userId, draft, messageId) {
+  setConversationState(userId, DRAFT_REVIEW_STATE, draft);
+
+  const userData = getUserAuthStatus(userId);
+  const deployByDefault = typeof draft.deployByDefault === 'boolean' ?
+    draft.deployByDefault :
+    Boolean(userData && userData.deployOnCreate);
+  const options = {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: createAgentDraftKeyboard(deployByDefault)
+    }
+  };
+
+  if (messageId) {
+    await bot.editMessageText(createDraftReviewMessage(draft), {
+      chat_id: chatId,
+      message_id: messageId,
+      ...options
+    });
+  } else {
+    await bot.sendMessage(chatId, createDraftReviewMessage(draft), options);
+  }
+}
+
+/**
+ * Generates an agent draft from a prompt, or refines an existing draft, and shows it for review
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the creation runs in
+ * @param {string} userId - Telegram user ID
+ * @param {string} prompt - Agent description or refinement instructions
+ * @param {Object|null} previousDraft - Draft being refined, null for a new agent
+ * @param {boolean} [deployByDefault] - Default deploy choice of a new draft, the user's setting if omitted
+ */
+async function generateAgentDraft(bot, chatId, userId, prompt, previousDraft, deployByDefault) {
+  try {
+    // Check authentication
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      sendAuthenticationRequired(bot, chatId, userId);
+      return;
+    }
+
+    // Send processing message
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      `🔄 **${previousDraft ? 'Refining Agent' : 'Creating Agent'}**\n\n` +
+      `Processing your request...\n` +
+      `📝 ${previousDraft ? 'Instructions' : 'Prompt'}: "${stripMarkdown(prompt.substring(0, 100))}${prompt.length > 100 ? '...' : ''}"\n\n` +
+      `⏳ This may take a few moments.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    const accessToken = getUserAccessToken(userId);
+
+    // Generate agent using the Nation API; refinements continue the same project
+    console.log(`Generating agent for user ${userId} with prompt: ${prompt}`);
+    const generateResponse = await generateAgent({
+      accessToken: accessToken,
+      prompt: prompt.trim(),
+      userId: userId,
+      existingAgent: previousDraft ? previousDraft.agent : null,
+      projectId: previousDraft ? previousDraft.projectId : null,
+      // Generation only produces a draft; the agent exists once the user creates it from the review,
+      // so the deploy choice of the review buttons is applied with deployAgent after createAgent
+      deploy: false
+    });
+
+    console.log(`Agent generation successful for user ${userId}:`, {
+      projectId: generateResponse.project_id,
+      agentName: generateResponse.agent?.name,
+      skillsCount: generateResponse.activated_skills?.length || 0,
+      autonomousTasksCount: generateResponse.autonomous_tasks?.length || 0
+    });
+
+    const draft = {
+      projectId: generateResponse.project_id || (previousDraft && previousDraft.projectId) || null,
+      agent: generateResponse.agent,
+      summary: generateResponse.summary || null,
+      activatedSkills: generateResponse.activated_skills || [],
+      autonomousTasks: generateResponse.autonomous_tasks || [],
+      revision: previousDraft ? previousDraft.revision + 1 : 1,
+      deployByDefault: previousDraft ? previousDraft.deployByDefault : deployByDefault
+    };
+
+    await showDraftReview(bot, chatId, userId, draft, processingMsg.message_id);
+
+  } catch (error) {
+    console.error(`Error generating agent for user ${userId}:`, error);
+
+    await sendCreationFailure(bot, chatId, getCreationErrorMessage(userId, error));
+
+    // Keep the previous draft reviewable when a refinement fails
+    if (previousDraft) {
+      await showDraftReview(bot, chatId, userId, previousDraft);
+    }
+  }
+}
+
+/**
+ * Processes agent creation from prompt text
+ * This function is called when a user completes the agent creation flow and
+ * generates the first draft for review
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {string} prompt - User's agent description prompt
+ */
+async function processAgentCreation(bot, msg, prompt) {
+  await generateAgentDraft(bot, msg.chat.id, msg.from.id, prompt, null);
+}
+
+/**
+ * Processes agent creation from a filled template prompt
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the creation runs in
+ * @param {string} userId - Telegram user ID
+ * @param {string} prompt - Template prompt with all placeholders filled
+ * @param {boolean} deployByDefault - Default deploy choice of the template
+ */
+async function processTemplateCreation(bot, chatId, userId, prompt, deployByDefault) {
+  await generateAgentDraft(bot, chatId, userId, prompt, null, deployByDefault);
+}
+
+/**
+ * Creates a draft from a complete agent configuration
+ * @param {Object} agent - Agent configuration without identity fields
+ * @param {string} summary - Summary shown in the review
+ * @param {string|null} projectId - Generator project of the configuration
+ * @returns {Object} Agent draft
+ */
+function createConfigurationDraft(agent, summary, projectId) {
+  return {
+    projectId,
+    agent,
+    summary,
+    activatedSkills: getAgentSkillNames(agent.skills),
+    autonomousTasks: getAgentTasks(agent),
+    revision: 1
+  };
+}
+
+/**
+ * Prepares a copy of an existing agent for review
+ * The copy starts from the agent's current configuration; an optional change request
+ * is applied by the generator, which starts a new project for the copy.
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the cloning runs in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} clone - { agentId, name, changes }, changes is null to copy the agent unchanged
+ */
+async function processAgentClone(bot, chatId, userId, clone) {
+  try {
+    // Check authentication
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      sendAuthenticationRequired(bot, chatId, userId);
+      return;
+    }
+
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      `🔄 **Cloning Agent**\n\n` +
+      (clone.changes ?
+        `📝 Changes: "${stripMarkdown(clone.changes.substring(0, 100))}${clone.changes.length > 100 ? '...' : ''}"\n\n` :
+        'Copying the configuration...\n\n') +
+      `⏳ This may take a few moments.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    const accessToken = getUserAccessToken(userId);
+
+    // Always copy the current configuration; the review strips Markdown from the summary
+    const source = await getAgent({ accessToken, agentId: clone.agentId });
+    let agent = createAgentCopy(source);
+    let projectId = null;
+    let summary = `Copy of ${source.name || clone.agentId}`;
+
+    if (clone.changes) {
+      console.log(`Generating clone of agent ${clone.agentId} for user ${userId} with prompt: ${clone.changes}`);
+      const generateResponse = await generateAgent({
+        accessToken: accessToken,
+        prompt: clone.changes,
+        userId: userId,
+        existingAgent: agent,
+        projectId: null,
+        // Deployed after creation like every draft, see generateAgentDraft
+        deploy: false
+      });
+
+      agent = createAgentCopy(generateResponse.agent);
+      projectId = generateResponse.project_id || null;
+      if (generateResponse.summary) {
+        summary += `. ${generateResponse.summary}`;
+      }
+    }
+
+    // The chosen name wins over any name the generator came up with
+    agent.name = clone.name;
+
+    await showDraftReview(
+      bot,
+      chatId,
+      userId,
+      createConfigurationDraft(agent, summary, projectId),
+      processingMsg.message_id
+    );
+
+  } catch (error) {
+    console.error(`Error cloning agent ${clone.agentId} for user ${userId}:`, error);
+
+    const notFound = error.response?.status === 404 || error.response?.status === 403;
+    await sendCreationFailure(
+      bot,
+      chatId,
+      notFound ?
+        'The agent to clone no longer exists.' :
+        getCreationErrorMessage(userId, error)
+    );
+  }
+}
+
+/**
+ * Shows an agent imported from a file for review
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the import runs in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} agent - Validated agent definition
+ * @param {string} fileName - Name of the imported file
+ */
+async function processAgentImport(bot, chatId, userId, agent, fileName) {
+  // File names are user input; the review strips Markdown from the agent name
+  const summary = `Imported from ${stripMarkdown(fileName)}`;
+  await showDraftReview(bot, chatId, userId, createConfigurationDraft(agent, summary, null));
+}
+
+/**
+ * Returns the draft the user is reviewing
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} Draft or null if the review expired
+ */
+function getPendingDraft(userId) {
+  const pending = getConversationState(userId);
+  return pending && pending.state === DRAFT_REVIEW_STATE ? pending.payload : null;
+}
+
+/**
+ * Answers a button of a draft review that is no longer pending
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function answerExpiredDraft(bot, callbackQuery) {
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'This draft has expired. Use /createAgent to start again.',
+    show_alert: true
+  });
+}
+
+/**
+ * Deploys a newly created agent and describes the outcome
+ * A failed deployment does not fail the creation, the user can retry with /deployAgent
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - ID of the created agent
+ * @returns {Promise<string>} Deployment status line
+ */
+async function deployCreatedAgent(userId, agentId) {
+  try {
+    const accessToken = getUserAccessToken(userId);
+    await deployAgent({ accessToken, agentId });
+    console.log(`Agent ${agentId} deployed for user ${userId}`);
+
+    const agent = await getAgent({ accessToken, agentId });
+    return formatDeploymentStatus(agent);
+  } catch (error) {
+    console.error(`Error deploying agent ${agentId} for user ${userId}:`, error);
+    return `❌ Deployment failed, retry with \`${COMMANDS.DEPLOY_AGENT} ${agentId}\``;
+  }
+}
+
+/**
+ * Creates the agent from the reviewed draft
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {boolean} deploy - Whether to deploy the agent after creating it
+ */
+async function createAgentFromDraft(bot, callbackQuery, deploy) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const draft = getPendingDraft(userId);
+
+  if (!draft) {
+    await answerExpiredDraft(bot, callbackQuery);
+    return;
+  }
+
+  // Clear first so a double tap cannot create the agent twice
+  clearConversationState(userId);
+
+  let createdAgent;
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: deploy ? 'Creating and deploying agent...' : 'Creating agent...',
+      show_alert: false
+    });
+
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      sendAuthenticationRequired(bot, chatId, userId);
+      return;
+    }
+
+    // Create the agent using the generated configuration
+    createdAgent = await createAgent({
+      accessToken: getUserAccessToken(userId),
+      agent: draft.agent
+    });
+
+  } catch (error) {
+    console.error(`Error creating agent for user ${userId}:`, error);
+
+    try {
+      await sendCreationFailure(bot, chatId, getCreationErrorMessage(userId, error));
+
+      // Let the user try again with the same draft
+      await showDraftReview(bot, chatId, userId, draft);
+    } catch (reportError) {
+      console.error(`Error reporting failed agent creation to user ${userId}:`, reportError);
+    }
+    return;
+  }
+
+  // The agent exists from here on, so a later failure must never offer the draft again
+  console.log(`Agent created successfully for user ${userId}:`, {
+    agentId: createdAgent.id,
+    agentName: createdAgent.name
+  });
+
+  try {
+    // Keep the generator project so later edits continue the same conversation
+    saveAgentProjectId(createdAgent.id, draft.projectId);
+  } catch (error) {
+    console.error(`Error saving generator project of agent ${createdAgent.id}:`, error);
+  }
+
+  const deploymentStatus = deploy ?
+    await deployCreatedAgent(userId, createdAgent.id) :
+    `${formatDeploymentStatus(createdAgent)}, use \`${COMMANDS.DEPLOY_AGENT} ${createdAgent.id}\` to deploy`;
+
+  try {
+    await bot.editMessageText(
+      `✅ **Agent Created Successfully!**\n\n` +
+      `🤖 **Agent Name:** ${stripMarkdown(createdAgent.name || 'Unnamed Agent')}\n` +
+      `🆔 **Agent ID:** \`${createdAgent.id}\`\n` +
+      `📋 **Description:** ${draft.summary ? stripMarkdown(draft.summary) : 'Agent created from your prompt'}\n` +
+      `🔧 **Skills Activated:** ${draft.activatedSkills.length}\n` +
+      `⏰ **Autonomous Tasks:** ${draft.autonomousTasks.length}\n` +
+      `🚀 **Deployment:** ${deploymentStatus}\n\n` +
+      `🎉 Your agent is now ready to use!`,
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: '🏠 Back to Main Menu',
+                callback_data: CALLBACK_DATA.BACK_TO_START
+              }
+            ]
+          ]
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error showing created agent ${createdAgent.id} to user ${userId}:`, error);
+
+    // Plain text, so the user learns the ID even if the formatted message was rejected
+    bot.sendMessage(
+      chatId,
+      `✅ Agent created. Agent ID: ${createdAgent.id}\n\nUse ${COMMANDS.MY_AGENTS} to see your agents.`
+    ).catch((sendError) => {
+      console.error(`Error reporting created agent ${createdAgent.id} to user ${userId}:`, sendError);
+    });
+  }
+}
+
+/**
+ * Creates the agent from the reviewed draft
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleConfirmAgentCreation(bot, callbackQuery) {
+  await createAgentFromDraft(bot, callbackQuery, false);
+}
+
+/**
+ * Creates the agent from the reviewed draft and deploys it
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCreateAndDeployAgent(bot, callbackQuery) {
+  await createAgentFromDraft(bot, callbackQuery, true);
+}
+
+/**
+ * Asks for follow-up instructions to refine the reviewed draft
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleRefineAgent(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const draft = getPendingDraft(userId);
+
+  if (!draft) {
+    await answerExpiredDraft(bot, callbackQuery);
+    return;
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'Send your instructions...',
+    show_alert: false
+  });
+
+  // The refinement flow carries the draft, replacing the review state
+  await startFlow(bot, callbackQuery.message.chat.id, userId, FLOWS.REFINE_AGENT, { draft });
+}
+
+/**
+ * Sends the agent creation cancelled message with the main menu
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the message to
+ * @param {string} userId - Telegram user ID
+ */
+async function sendCreationCancelled(bot, chatId, userId) {
+  // Check authentication status to show appropriate menu
+  const authCheck = await checkUserAuthentication(userId);
+  const welcomeMessage = createWelcomeMessage('User', authCheck);
+  const keyboard = createMainMenuKeyboard(authCheck, userId);
+
+  await bot.sendMessage(
+    chatId,
+    `❌ **Agent Creation Cancelled**\n\n` +
+    `No worries! You can create an agent anytime using the button below.\n\n` +
+    welcomeMessage,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    }
+  );
+}
+
+/**
+ * Discards the reviewed draft
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCancelAgentDraft(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+
+  if (getPendingDraft(userId)) {
+    clearConversationState(userId);
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'Cancelled.',
+    show_alert: false
+  });
+
+  // Remove the buttons so the discarded draft cannot be created anymore
+  await bot.editMessageReplyMarkup(
+    { inline_keyboard: [] },
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id
+    }
+  ).catch(() => {});
+
+  await sendCreationCancelled(bot, callbackQuery.message.chat.id, userId);
+}
+
+defineFlow({
+  name: FLOWS.CREATE_AGENT,
+  steps: [
+    {
+      name: 'prompt',
+      prompt: (data) =>
+        `🤖 **Create Agent**\n\n` +
+        `${data.userName || 'User'}, please describe the agent you want to create.\n\n` +
+        `📝 **Instructions:**\n` +
+        `• Describe what you want your agent to do\n` +
+        `• Include any specific capabilities or tasks\n` +
+        `• Mention scheduling if you want autonomous tasks\n` +
+        `• Minimum ${MIN_PROMPT_LENGTH} characters required\n\n` +
+        `💡 **Examples:**\n` +
+        `• "Buy 0.1 ETH every hour when price drops below $2000"\n` +
+        `• "Monitor my portfolio and send daily reports"\n` +
+        `• "Tweet market updates every 30 minutes"\n\n` +
+        `📚 Or tap **${KEYBOARD_BUTTONS.TEMPLATES}** to start from a ready-made agent.\n\n` +
+        `Please send your agent description as the next message:`,
+      keyboard: () => createAgentCreationKeyboard(),
+      validate: (text) => {
+        if (text.length >= MIN_PROMPT_LENGTH) {
+          return null;
+        }
+        return `❌ **Prompt Too Short**\n\n` +
+               `Your agent description must be at least ${MIN_PROMPT_LENGTH} characters long.\n\n` +
+               `Current length: ${text.length} characters\n\n` +
+               `Please provide a more detailed description of what you want your agent to do:`;
+      }
+    }
+  ],
+  onComplete: async (bot, msg, data) => {
+    console.log(`Processing agent creation prompt from user ${msg.from.id}: ${data.prompt}`);
+    await processAgentCreation(bot, msg, data.prompt);
+  },
+  onCancel: async (bot, chatId, userId) => {
+    await sendCreationCancelled(bot, chatId, userId);
+  }
+});
+
+defineFlow({
+  name: FLOWS.REFINE_AGENT,
+  steps: [
+    {
+      name: 'instructions',
+      prompt: (data) =>
+        `✏️ **Refine Agent**\n\n` +
+        `🤖 **Current draft:** ${stripMarkdown(data.draft.agent?.name || 'Unnamed Agent')}\n\n` +
+        `Tell me what to change, for example:\n` +
+        `• "Also send me a daily summary at 9am"\n` +
+        `• "Only trade on weekdays"\n` +
+        `• "Give it a friendlier name"\n\n` +
+        `Please send your instructions as the next message:`,
+      validate: (text) => {
+        if (text.length >= MIN_REFINEMENT_LENGTH) {
+          return null;
+        }
+        return `❌ **Instructions Too Short**\n\n` +
+               `Please describe the change in at least ${MIN_REFINEMENT_LENGTH} characters:`;
+      }
+    }
+  ],
+  onComplete: async (bot, msg, data) => {
+    console.log(`Refining agent draft of user ${msg.from.id}: ${data.instructions}`);
+    await generateAgentDraft(bot, msg.chat.id, msg.from.id, data.instructions, data.draft);
+  },
+  onCancel: async (bot, chatId, userId, data) => {
+    // Return to the unchanged draft
+    await showDraftReview(bot, chatId, userId, data.draft);
+  }
+});
+
+module.exports = {
+  startAgentCreation,
+  processAgentCreation,
+  processTemplateCreation,
+  processAgentClone,
+  processAgentImport,
+  handleConfirmAgentCreation,
+  handleCreateAndDeployAgent,
+  handleRefineAgent,
+  handleCancelAgentDraft
+};
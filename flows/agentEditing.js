@@ -0,0 +1,333 @@
+const { createReauthKeyboard, createAgentUpdateKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { CALLBACK_DATA, FLOWS } = require('../config/constants');
+const { generateAgent, getAgent, updateAgent } = require('../api/nation');
+const { defineFlow, startFlow } = require('../utils/flows');
+const { setConversationState, getConversationState, clearConversationState } = require('../utils/conversationState');
+const { saveAgentProjectId, getAgentProjectId, getAgentChanges, formatAgentChanges } = require('../utils/agents');
+const { stripMarkdown } = require('../utils/messages');
+
+/**
+ * Agent editing flow
+ * Asks the user how an existing agent should change, lets the generator apply the
+ * change to the current configuration, shows the resulting diff and updates the
+ * agent once the user confirms
+ */
+
+// Minimum length of a change request
+const MIN_CHANGE_REQUEST_LENGTH = 5;
+
+// Conversation state while a generated update waits for confirmation
+const CONFIRM_UPDATE_STATE = 'confirm_agent_update';
+
+// Maximum length of the generator's summary in a review, which must fit into one message with the diff
+const MAX_SUMMARY_LENGTH = 500;
+
+/**
+ * Formats the generator's summary of an update for the review
+ * @param {string} summary - Summary from the generator
+ * @returns {string} Summary without Markdown, cut with an ellipsis if it is too long
+ */
+function formatUpdateSummary(summary) {
+  const text = stripMarkdown(summary);
+  return text.length > MAX_SUMMARY_LENGTH ? `${text.substring(0, MAX_SUMMARY_LENGTH)}...` : text;
+}
+
+/**
+ * Starts the agent editing flow for a user
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to run the flow in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} agent - Agent to edit
+ */
+async function startAgentEdit(bot, chatId, userId, agent) {
+  // The name is shown in every Markdown message of the edit
+  await startFlow(bot, chatId, userId, FLOWS.EDIT_AGENT, {
+    agentId: agent.id,
+    agentName: stripMarkdown(agent.name || 'Unnamed Agent')
+  });
+}
+
+/**
+ * Creates a user facing message for a failed agent API call
+ * @param {string} userId - Telegram user ID
+ * @param {Error} error - The error object
+ * @param {string} action - What failed (e.g. 'Update')
+ * @returns {string} Error message
+ */
+function getAgentErrorMessage(userId, error, action) {
+  if (error.response?.status === 401) {
+    clearUserAuthData(userId);
+    return 'Authentication expired. Please sign in again.';
+  }
+  if (error.response?.status === 404) {
+    return 'The agent no longer exists.';
+  }
+  if (error.response?.status === 422) {
+    return 'Invalid agent configuration. Please try a different change request.';
+  }
+  if (error.response?.data?.message) {
+    return `${action} failed: ${error.response.data.message}`;
+  }
+  return `${action} failed: ${error.message || 'Unknown error'}`;
+}
+
+/**
+ * Generates the updated agent for a change request and asks the user to confirm it
+ * This function is called when a user completes the agent editing flow
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} data - Collected flow data ({ agentId, agentName, changes })
+ */
+async function processAgentEdit(bot, msg, data) {
+  const userId = msg.from.id;
+  let processingMsg;
+
+  try {
+    // Check authentication
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      bot.sendMessage(
+        msg.chat.id,
+        '❌ **Authentication Required**\n\n' +
+        'Please authenticate first using /login to edit agents.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    processingMsg = await bot.sendMessage(
+      msg.chat.id,
+      `🔄 **Preparing Changes**\n\n` +
+      `📝 Request: "${stripMarkdown(data.changes.substring(0, 100))}${data.changes.length > 100 ? '...' : ''}"\n\n` +
+      `⏳ This may take a few moments.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    const accessToken = getUserAccessToken(userId);
+
+    // Always start from the current configuration so concurrent changes are not lost
+    const currentAgent = await getAgent({ accessToken, agentId: data.agentId });
+
+    console.log(`Generating update for agent ${data.agentId} of user ${userId} with prompt: ${data.changes}`);
+    const generateResponse = await generateAgent({
+      accessToken: accessToken,
+      prompt: data.changes,
+      userId: userId,
+      existingAgent: currentAgent,
+      projectId: getAgentProjectId(data.agentId),
+      deploy: false
+    });
+
+    saveAgentProjectId(data.agentId, generateResponse.project_id);
+
+    const changes = getAgentChanges(currentAgent, generateResponse.agent);
+    if (changes.length === 0) {
+      await bot.editMessageText(
+        `ℹ️ **No Changes**\n\n` +
+        `Your request did not change the configuration of **${data.agentName}**.\n\n` +
+        `Use /editAgent ${data.agentId} to try a different request.`,
+        {
+          chat_id: msg.chat.id,
+          message_id: processingMsg.message_id,
+          parse_mode: 'Markdown'
+        }
+      );
+      return;
+    }
+
+    setConversationState(userId, CONFIRM_UPDATE_STATE, {
+      agentId: data.agentId,
+      agentName: data.agentName,
+      agent: generateResponse.agent
+    });
+
+    await bot.editMessageText(
+      `✏️ **Review Changes to ${data.agentName}**\n\n` +
+      `${formatAgentChanges(changes)}\n\n` +
+      `${generateResponse.summary ? `📋 ${formatUpdateSummary(generateResponse.summary)}\n\n` : ''}` +
+      `Apply these changes?`,
+      {
+        chat_id: msg.chat.id,
+        message_id: processingMsg.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createAgentUpdateKeyboard()
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error preparing update of agent ${data.agentId} for user ${userId}:`, error);
+
+    bot.sendMessage(
+      msg.chat.id,
+      `❌ **Agent Update Failed**\n\n` +
+      `${getAgentErrorMessage(userId, error, 'Update')}\n\n` +
+      `Please try again or contact support if this error persists.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Applies the update the user is asked to confirm
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleConfirmAgentUpdate(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const pending = getConversationState(userId);
+
+  if (!pending || pending.state !== CONFIRM_UPDATE_STATE) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'This update has expired. Use /editAgent to start again.',
+      show_alert: true
+    });
+    return;
+  }
+
+  // Clear first so a double tap cannot apply the update twice
+  clearConversationState(userId);
+  const { agentId, agentName, agent } = pending.payload;
+
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Applying changes...',
+      show_alert: false
+    });
+
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      bot.sendMessage(
+        chatId,
+        '❌ **Authentication Required**\n\n' +
+        'Please authenticate first using /login to edit agents.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const updatedAgent = await updateAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId,
+      agent: agent
+    });
+
+    console.log(`Agent ${agentId} updated successfully for user ${userId}`);
+
+    await bot.editMessageText(
+      `✅ **Agent Updated Successfully!**\n\n` +
+      `🤖 **Agent Name:** ${updatedAgent.name ? stripMarkdown(updatedAgent.name) : agentName}\n` +
+      `🆔 **Agent ID:** \`${agentId}\``,
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: '🏠 Back to Main Menu',
+                callback_data: CALLBACK_DATA.BACK_TO_START
+              }
+            ]
+          ]
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error updating agent ${agentId} for user ${userId}:`, error);
+
+    bot.sendMessage(
+      chatId,
+      `❌ **Agent Update Failed**\n\n` +
+      `${getAgentErrorMessage(userId, error, 'Update')}\n\n` +
+      `Please try again or contact support if this error persists.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Discards the update the user is asked to confirm
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCancelAgentUpdate(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const pending = getConversationState(userId);
+
+  if (pending && pending.state === CONFIRM_UPDATE_STATE) {
+    clearConversationState(userId);
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'Changes discarded.',
+    show_alert: false
+  });
+
+  await bot.editMessageText(
+    '❌ **Agent Update Cancelled**\n\n' +
+    'Your agent was not changed.',
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+defineFlow({
+  name: FLOWS.EDIT_AGENT,
+  steps: [
+    {
+      name: 'changes',
+      prompt: (data) =>
+        `✏️ **Edit Agent**\n\n` +
+        `🤖 **Agent:** ${data.agentName}\n\n` +
+        `Describe what you want to change, for example:\n` +
+        `• "Also post a summary to Twitter every evening"\n` +
+        `• "Stop buying when ETH is above $3000"\n` +
+        `• "Rename the agent to Portfolio Watcher"\n\n` +
+        `You will see the changes before anything is saved.`,
+      validate: (text) => {
+        if (text.length >= MIN_CHANGE_REQUEST_LENGTH) {
+          return null;
+        }
+        return `❌ **Request Too Short**\n\n` +
+               `Please describe the change in at least ${MIN_CHANGE_REQUEST_LENGTH} characters:`;
+      }
+    }
+  ],
+  onComplete: async (bot, msg, data) => {
+    await processAgentEdit(bot, msg, data);
+  },
+  onCancel: async (bot, chatId) => {
+    await bot.sendMessage(
+      chatId,
+      '❌ **Agent Editing Cancelled**\n\n' +
+      'Your agent was not changed.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+});
+
+module.exports = {
+  startAgentEdit,
+  handleConfirmAgentUpdate,
+  handleCancelAgentUpdate
+};
@@ -0,0 +1,102 @@
+const { FLOWS } = require('../config/constants');
+const { defineFlow, startFlow } = require('../utils/flows');
+const { getAgentTemplate, fillTemplatePrompt } = require('../utils/agentTemplates');
+const { processTemplateCreation } = require('./agentCreation');
+
+/**
+ * Agent template flow
+ * Asks for the placeholders of a template one at a time, then generates an agent
+ * draft from the filled prompt (see flows/agentCreation.js for the review).
+ * Templates have a varying number of placeholders, so the flow has a single step
+ * and restarts itself for the next placeholder until all are answered.
+ *
+ * Flow data: { templateId, templateName, placeholders, index, values }
+ */
+
+// Maximum length of a placeholder value
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Starts filling in a template for a user
+ * Templates without placeholders go straight to generation
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to run the flow in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} template - Template definition
+ */
+async function startTemplateFlow(bot, chatId, userId, template) {
+  if (template.placeholders.length === 0) {
+    await processTemplateCreation(bot, chatId, userId, template.prompt, template.deploy);
+    return;
+  }
+
+  await startFlow(bot, chatId, userId, FLOWS.AGENT_TEMPLATE, {
+    templateId: template.id,
+    templateName: template.name,
+    placeholders: template.placeholders,
+    index: 0,
+    values: {}
+  });
+}
+
+defineFlow({
+  name: FLOWS.AGENT_TEMPLATE,
+  steps: [
+    {
+      name: 'value',
+      prompt: (data) => {
+        const placeholder = data.placeholders[data.index];
+        return `📚 **${data.templateName}** (${data.index + 1}/${data.placeholders.length})\n\n` +
+               `${placeholder.question}` +
+               (placeholder.example ? `\n\n💡 Example: \`${placeholder.example}\`` : '');
+      },
+      validate: (text) => {
+        if (text.length > 0 && text.length <= MAX_VALUE_LENGTH) {
+          return null;
+        }
+        return `❌ **Invalid Answer**\n\n` +
+               `Please answer with 1 to ${MAX_VALUE_LENGTH} characters:`;
+      }
+    }
+  ],
+  onComplete: async (bot, msg, data) => {
+    const placeholder = data.placeholders[data.index];
+    const values = { ...data.values, [placeholder.name]: data.value };
+
+    if (data.index + 1 < data.placeholders.length) {
+      await startFlow(bot, msg.chat.id, msg.from.id, FLOWS.AGENT_TEMPLATE, {
+        ...data,
+        index: data.index + 1,
+        values
+      });
+      return;
+    }
+
+    // Use the current definition, the template may have been edited meanwhile
+    const template = getAgentTemplate(data.templateId);
+    if (!template) {
+      await bot.sendMessage(
+        msg.chat.id,
+        '❌ **Template Unavailable**\n\n' +
+        'This template was removed. Use /templates to choose another one.',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    console.log(`User ${msg.from.id} filled agent template ${template.id}`);
+    await processTemplateCreation(bot, msg.chat.id, msg.from.id, fillTemplatePrompt(template, values), template.deploy);
+  },
+  onCancel: async (bot, chatId) => {
+    await bot.sendMessage(
+      chatId,
+      '❌ **Template Cancelled**\n\n' +
+      'Use /templates to pick a template again or /createAgent to describe your own agent.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+});
+
+module.exports = {
+  startTemplateFlow
+};
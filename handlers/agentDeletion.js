@@ -0,0 +1,404 @@
+const { createReauthKeyboard, createAgentDeletionKeyboard, createUndoAgentDeletionKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { setConversationState, getConversationState, clearConversationState } = require('../utils/conversationState');
+const { validateAgentId, saveAgentArchival, takeAgentArchival } = require('../utils/agents');
+const { stripMarkdown } = require('../utils/messages');
+const { COMMANDS, CALLBACK_DATA } = require('../config/constants');
+const { getAgent, archiveAgent, unarchiveAgent, deleteAgent } = require('../api/nation');
+
+/**
+ * Agent deletion
+ * Deleting an agent takes two confirmations. Agents are archived when the backend
+ * supports it, and can then be restored with an Undo button for a limited time;
+ * otherwise they are deleted permanently.
+ */
+
+// Conversation state while a deletion waits for confirmation
+const CONFIRM_DELETION_STATE = 'confirm_agent_deletion';
+
+// Default minutes during which an archival can be undone
+const DEFAULT_UNDO_WINDOW_MINUTES = 10;
+
+// Statuses with which the backend rejects archival as unsupported
+const ARCHIVAL_UNSUPPORTED_STATUSES = [405, 501];
+
+/**
+ * Gets the time an archival can be undone in minutes
+ * @returns {number} Undo window in minutes
+ */
+function getUndoWindowMinutes() {
+  const minutes = parseInt(process.env.AGENT_UNDO_WINDOW_MINUTES, 10);
+  return minutes > 0 ? minutes : DEFAULT_UNDO_WINDOW_MINUTES;
+}
+
+/**
+ * Creates a user facing message for a failed deletion API call
+ * @param {string} userId - Telegram user ID
+ * @param {Error} error - The error object
+ * @param {string} action - What failed (e.g. 'Deletion')
+ * @returns {string} Error message
+ */
+function getDeletionErrorMessage(userId, error, action) {
+  if (error.response?.status === 401) {
+    clearUserAuthData(userId);
+    return '❌ Authentication expired. Please sign in again using /login.';
+  }
+  if (error.response?.status === 404 || error.response?.status === 403) {
+    return '❌ Agent not found. Use /myAgents to see your available agents.';
+  }
+  if (error.response?.data?.message) {
+    return `❌ ${action} failed: ${error.response.data.message}`;
+  }
+  return `❌ ${action} failed: ${error.message || 'Unknown error'}`;
+}
+
+/**
+ * Asks the user for the first confirmation to delete an agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to ask in
+ * @param {string} userId - Telegram user ID
+ * @param {Object} agent - Agent to delete
+ */
+async function requestAgentDeletion(bot, chatId, userId, agent) {
+  // The name is shown in every Markdown message of the deletion
+  const agentName = stripMarkdown(agent.name || 'Unnamed Agent');
+  setConversationState(userId, CONFIRM_DELETION_STATE, { agentId: agent.id, agentName, finalStep: false });
+
+  await bot.sendMessage(
+    chatId,
+    `🗑️ **Delete Agent**\n\n` +
+    `🤖 **Agent Name:** ${agentName}\n` +
+    `🆔 **Agent ID:** \`${agent.id}\`\n\n` +
+    `The agent stops running. Where possible it is archived, so you can undo this for ${getUndoWindowMinutes()} minutes.\n\n` +
+    `Delete **${agentName}**?`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createAgentDeletionKeyboard(agent.id, false)
+      }
+    }
+  );
+}
+
+/**
+ * Handles the /deleteAgent command to delete or archive an agent
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID format and loads the agent
+ * 3. Asks for two confirmations showing the agent's name before anything is deleted
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleDeleteAgentCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /deleteAgent command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `🗑️ **Delete Agent**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to delete agents.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to delete agents.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const agentId = msg.text.trim().split(/\s+/)[1];
+
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `🗑️ **Delete Agent**\n\n` +
+        `Usage: \`${COMMANDS.DELETE_AGENT} <agent_id>\`\n\n` +
+        `**Example:**\n` +
+        `• \`${COMMANDS.DELETE_AGENT} d0o1lqvd14ts73arku3g\`\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const agent = await getAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+
+    await requestAgentDeletion(bot, msg.chat.id, userId, { ...agent, id: agent.id || agentId });
+
+  } catch (error) {
+    console.error(`Error processing /deleteAgent command for user ${userId}:`, error);
+    bot.sendMessage(msg.chat.id, getDeletionErrorMessage(userId, error, 'Deletion'));
+  }
+}
+
+/**
+ * Returns the deletion the user is asked to confirm
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} { agentId, agentName, finalStep } or null if it expired
+ */
+function getPendingDeletion(userId) {
+  const pending = getConversationState(userId);
+  return pending && pending.state === CONFIRM_DELETION_STATE ? pending.payload : null;
+}
+
+/**
+ * Answers a confirmation button of a deletion that is no longer pending
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function answerExpiredDeletion(bot, callbackQuery) {
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'This confirmation has expired. Use /deleteAgent to start again.',
+    show_alert: true
+  });
+}
+
+/**
+ * Answers a confirmation button that belongs to another deletion than the pending one
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function answerReplacedDeletion(bot, callbackQuery) {
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'You started deleting another agent since. Confirm the latest deletion or use /deleteAgent again.',
+    show_alert: true
+  });
+}
+
+/**
+ * Handles the first confirmation by asking for the final one
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleConfirmAgentDeletion(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.CONFIRM_AGENT_DELETION.length);
+  const pending = getPendingDeletion(userId);
+
+  if (pending && pending.agentId !== agentId) {
+    await answerReplacedDeletion(bot, callbackQuery);
+    return;
+  }
+  if (!pending || pending.finalStep) {
+    await answerExpiredDeletion(bot, callbackQuery);
+    return;
+  }
+
+  setConversationState(userId, CONFIRM_DELETION_STATE, { ...pending, finalStep: true });
+
+  await bot.answerCallbackQuery(callbackQuery.id);
+
+  await bot.editMessageText(
+    `⚠️ **Are you sure?**\n\n` +
+    `🤖 **${pending.agentName}** (\`${pending.agentId}\`) will be deleted.\n\n` +
+    `Tap the button again to confirm.`,
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createAgentDeletionKeyboard(pending.agentId, true)
+      }
+    }
+  );
+}
+
+/**
+ * Handles the final confirmation by archiving the agent, or deleting it if archival is unsupported
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleFinalAgentDeletion(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const pending = getPendingDeletion(userId);
+
+  // The buttons carry the agent ID, so an older confirmation can never delete another agent
+  if (pending && pending.agentId !== callbackQuery.data.slice(CALLBACK_DATA.FINAL_CONFIRM_AGENT_DELETION.length)) {
+    await answerReplacedDeletion(bot, callbackQuery);
+    return;
+  }
+  if (!pending || !pending.finalStep) {
+    await answerExpiredDeletion(bot, callbackQuery);
+    return;
+  }
+
+  // Clear first so a double tap cannot run the deletion twice
+  clearConversationState(userId);
+  const { agentId, agentName } = pending;
+
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Deleting agent...',
+      show_alert: false
+    });
+
+    const accessToken = getUserAccessToken(userId);
+    let archived = true;
+
+    try {
+      await archiveAgent({ accessToken, agentId });
+    } catch (error) {
+      if (!ARCHIVAL_UNSUPPORTED_STATUSES.includes(error.response?.status)) {
+        throw error;
+      }
+      archived = false;
+      await deleteAgent({ accessToken, agentId });
+    }
+
+    const options = {
+      chat_id: chatId,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown'
+    };
+
+    if (archived) {
+      const undoWindowMinutes = getUndoWindowMinutes();
+      saveAgentArchival(userId, agentId, Date.now() + undoWindowMinutes * 60 * 1000);
+      console.log(`Agent ${agentId} archived for user ${userId}`);
+
+      await bot.editMessageText(
+        `🗄️ **${agentName} Archived**\n\n` +
+        `The agent no longer runs. You can restore it within the next ${undoWindowMinutes} minutes.`,
+        {
+          ...options,
+          reply_markup: {
+            inline_keyboard: createUndoAgentDeletionKeyboard(agentId)
+          }
+        }
+      );
+    } else {
+      console.log(`Agent ${agentId} deleted for user ${userId}`);
+
+      await bot.editMessageText(
+        `🗑️ **${agentName} Deleted**\n\n` +
+        `The agent was deleted permanently.`,
+        options
+      );
+    }
+
+  } catch (error) {
+    console.error(`Error deleting agent ${agentId} for user ${userId}:`, error);
+    bot.sendMessage(chatId, getDeletionErrorMessage(userId, error, 'Deletion'));
+  }
+}
+
+/**
+ * Discards the deletion the user is asked to confirm
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCancelAgentDeletion(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.CANCEL_AGENT_DELETION.length);
+  const pending = getPendingDeletion(userId);
+
+  // Cancelling an older confirmation leaves a newer pending deletion alone
+  if (pending && pending.agentId === agentId) {
+    clearConversationState(userId);
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'Cancelled.',
+    show_alert: false
+  });
+
+  await bot.editMessageText(
+    '❌ **Deletion Cancelled**\n\n' +
+    'Your agent was not changed.',
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+/**
+ * Handles the Undo button by restoring an archived agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleUndoAgentDeletion(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.UNDO_AGENT_DELETION.length);
+
+  if (!takeAgentArchival(userId, agentId)) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'The undo window has passed, the agent stays archived.',
+      show_alert: true
+    });
+    return;
+  }
+
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Restoring agent...',
+      show_alert: false
+    });
+
+    const agent = await unarchiveAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+    console.log(`Agent ${agentId} restored for user ${userId}`);
+
+    await bot.editMessageText(
+      `↩️ **Agent Restored**\n\n` +
+      `🤖 **Agent Name:** ${stripMarkdown(agent?.name || 'Unnamed Agent')}\n` +
+      `🆔 **Agent ID:** \`${agentId}\``,
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error restoring agent ${agentId} for user ${userId}:`, error);
+    bot.sendMessage(chatId, getDeletionErrorMessage(userId, error, 'Restore'));
+  }
+}
+
+module.exports = {
+  requestAgentDeletion,
+  handleDeleteAgentCommand,
+  handleConfirmAgentDeletion,
+  handleFinalAgentDeletion,
+  handleCancelAgentDeletion,
+  handleUndoAgentDeletion
+};
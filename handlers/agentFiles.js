@@ -0,0 +1,238 @@
+const { createReauthKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication, handleInvalidToken } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { createErrorMessage } = require('../utils/messages');
+const { validateAgentId } = require('../utils/agents');
+const {
+  AGENT_FILE_FORMATS,
+  MAX_AGENT_FILE_SIZE,
+  getAgentFileFormat,
+  parseAgentFile,
+  formatAgentFile,
+  getAgentFileName
+} = require('../utils/agentFiles');
+const { processAgentImport } = require('../flows/agentCreation');
+const { COMMANDS } = require('../config/constants');
+const { getAgent } = require('../api/nation');
+
+/**
+ * Agent import and export
+ * /exportAgent sends an agent definition as a JSON or YAML file; sending such a file
+ * to the bot validates it and shows the agent for review before it is created.
+ */
+
+/**
+ * Sends an agent definition file
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the file to
+ * @param {Object} agent - Agent to export
+ * @param {string} format - Key of AGENT_FILE_FORMATS
+ */
+async function sendAgentFile(bot, chatId, agent, format) {
+  await bot.sendDocument(
+    chatId,
+    Buffer.from(formatAgentFile(agent, format), 'utf8'),
+    {
+      caption: `📤 Definition of ${agent.name || 'Unnamed Agent'}\n` +
+               'Send this file to the bot to create a copy of the agent.'
+    },
+    {
+      filename: getAgentFileName(agent, format),
+      contentType: AGENT_FILE_FORMATS[format].contentType
+    }
+  );
+}
+
+/**
+ * Handles the /exportAgent command to send an agent definition as a file
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID format and the optional format (json or yaml)
+ * 3. Sends the agent configuration without its identity fields as a document
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleExportAgentCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /exportAgent command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `📤 **Export Agent**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to export agents.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to export agents.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const [agentId, formatArg] = msg.text.trim().split(/\s+/).slice(1);
+    const format = (formatArg || 'yaml').toLowerCase();
+
+    if (!agentId || !Object.prototype.hasOwnProperty.call(AGENT_FILE_FORMATS, format)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `📤 **Export Agent**\n\n` +
+        `Usage: \`${COMMANDS.EXPORT_AGENT} <agent_id> [yaml|json]\`\n\n` +
+        `**Examples:**\n` +
+        `• \`${COMMANDS.EXPORT_AGENT} d0o1lqvd14ts73arku3g\` - export as YAML\n` +
+        `• \`${COMMANDS.EXPORT_AGENT} d0o1lqvd14ts73arku3g json\` - export as JSON\n\n` +
+        `Send an exported file to the bot to import it as a new agent.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const agent = await getAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+
+    await sendAgentFile(bot, msg.chat.id, { ...agent, id: agent.id || agentId }, format);
+    console.log(`Exported agent ${agentId} as ${format} for user ${userId}`);
+
+  } catch (error) {
+    console.error(`Error processing /exportAgent command for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(msg.chat.id, errorMessage + '\n\nIf this error persists, please contact support.');
+  }
+}
+
+/**
+ * Downloads a document sent to the bot
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<string>} File content
+ */
+function downloadDocument(bot, fileId) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = bot.getFileStream(fileId);
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_AGENT_FILE_SIZE) {
+        stream.destroy();
+        reject(new Error('File too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Imports an agent definition sent as a document
+ * The agent is validated and shown for review; it is created once the user confirms.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} True if the message contained a document
+ */
+async function handleAgentDocument(bot, msg) {
+  if (!msg.document) {
+    return false;
+  }
+
+  const userId = msg.from.id;
+  const fileName = msg.document.file_name || 'agent';
+  const format = getAgentFileFormat(fileName);
+
+  if (!format) {
+    bot.sendMessage(
+      msg.chat.id,
+      `📥 **Import Agent**\n\n` +
+      `Only agent definitions in \`.json\`, \`.yaml\` or \`.yml\` files can be imported.\n\n` +
+      `Use \`${COMMANDS.EXPORT_AGENT} <agent_id>\` to get a file to start from.`,
+      { parse_mode: 'Markdown' }
+    );
+    return true;
+  }
+
+  console.log(`Importing agent file ${fileName} for user ${userId}`);
+
+  try {
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      bot.sendMessage(
+        msg.chat.id,
+        '❌ **Authentication Required**\n\n' +
+        'Please authenticate first using /login to import agents.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return true;
+    }
+
+    if (msg.document.file_size > MAX_AGENT_FILE_SIZE) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Import Failed**\n\nThe file is larger than ${MAX_AGENT_FILE_SIZE / 1024} KB.`,
+        { parse_mode: 'Markdown' }
+      );
+      return true;
+    }
+
+    const { agent, error } = parseAgentFile(await downloadDocument(bot, msg.document.file_id), format);
+    if (error) {
+      // Parser messages may contain Markdown characters
+      bot.sendMessage(msg.chat.id, `❌ Import failed\n\n${error}`);
+      return true;
+    }
+
+    await processAgentImport(bot, msg.chat.id, userId, agent, fileName);
+
+  } catch (error) {
+    console.error(`Error importing agent file ${fileName} for user ${userId}:`, error);
+    bot.sendMessage(msg.chat.id, '❌ Sorry, the file could not be imported. Please try again later.');
+  }
+
+  return true;
+}
+
+module.exports = {
+  sendAgentFile,
+  handleExportAgentCommand,
+  handleAgentDocument
+};
@@ -0,0 +1,356 @@
+const { createReauthKeyboard, createAgentTasksKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication, handleInvalidToken } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { createAgentTasksMessage, createErrorMessage } = require('../utils/messages');
+const {
+  validateAgentId,
+  getAgentTasks,
+  isTaskEnabled,
+  getTaskKey,
+  saveAgentTaskPause,
+  takeAgentTaskPause
+} = require('../utils/agents');
+const { CALLBACK_DATA, COMMANDS } = require('../config/constants');
+const { getAgent, updateAgent } = require('../api/nation');
+
+/**
+ * Autonomous tasks of an agent
+ * /agentTasks (or the Tasks button of an agent card) lists the tasks of an agent with
+ * their schedule and prompt. Tapping a task enables or disables it, "Pause all" disables
+ * every task and "Resume all" enables the tasks that were running before.
+ * Every change is saved on the agent through updateAgent.
+ */
+
+/**
+ * Sends the tasks view of an agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the view to
+ * @param {Object} agent - Agent data
+ */
+async function sendAgentTasks(bot, chatId, agent) {
+  await bot.sendMessage(
+    chatId,
+    createAgentTasksMessage(agent),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createAgentTasksKeyboard(agent)
+      }
+    }
+  );
+}
+
+/**
+ * Handles the /agentTasks command to show the autonomous tasks of an agent
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID format and loads the agent
+ * 3. Sends the tasks with buttons to enable, disable, pause and resume them
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleAgentTasksCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /agentTasks command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `⏰ **Agent Tasks**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to manage agent tasks.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to manage agent tasks.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const agentId = msg.text.trim().split(/\s+/)[1];
+
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `⏰ **Agent Tasks**\n\n` +
+        `Usage: \`${COMMANDS.AGENT_TASKS} <agent_id>\`\n\n` +
+        `**Example:**\n` +
+        `• \`${COMMANDS.AGENT_TASKS} d0o1lqvd14ts73arku3g\`\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const agent = await getAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+
+    await sendAgentTasks(bot, msg.chat.id, { ...agent, id: agent.id || agentId });
+
+  } catch (error) {
+    console.error(`Error processing /agentTasks command for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(msg.chat.id, errorMessage + '\n\nIf this error persists, please contact support.');
+  }
+}
+
+/**
+ * Loads the current agent of a tasks button
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {string} agentId - Agent ID from the callback data
+ * @returns {Promise<Object|null>} Agent data or null if the button was answered with an error
+ */
+async function loadTasksAgent(bot, callbackQuery, agentId) {
+  if (!validateAgentId(agentId)) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Invalid agent.',
+      show_alert: true
+    });
+    return null;
+  }
+
+  const authCheck = await checkUserAuthentication(callbackQuery.from.id);
+  if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '🔐 Please authenticate first using /login',
+      show_alert: true
+    });
+    return null;
+  }
+
+  // Always start from the current configuration so concurrent edits are not lost
+  const agent = await getAgent({
+    accessToken: getUserAccessToken(callbackQuery.from.id),
+    agentId: agentId
+  });
+  return { ...agent, id: agent.id || agentId };
+}
+
+/**
+ * Replaces a tasks view with the current tasks of the agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {Object} agent - Agent data
+ */
+async function refreshAgentTasks(bot, callbackQuery, agent) {
+  await bot.editMessageText(
+    createAgentTasksMessage(agent),
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createAgentTasksKeyboard(agent)
+      }
+    }
+  );
+}
+
+/**
+ * Saves changed tasks on the agent and refreshes the tasks view
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {Object} agent - Current agent data
+ * @param {Array<Object>} tasks - Changed tasks
+ */
+async function saveAgentTasks(bot, callbackQuery, agent, tasks) {
+  const updatedAgent = await updateAgent({
+    accessToken: getUserAccessToken(callbackQuery.from.id),
+    agentId: agent.id,
+    agent: { ...agent, autonomous: tasks }
+  });
+
+  await refreshAgentTasks(
+    bot,
+    callbackQuery,
+    updatedAgent && Array.isArray(updatedAgent.autonomous) ?
+      { ...updatedAgent, id: agent.id } :
+      { ...agent, autonomous: tasks }
+  );
+}
+
+/**
+ * Sends the error message of a failed tasks button
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {Error} error - The error object
+ */
+function sendTasksError(bot, callbackQuery, error) {
+  const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+  handleInvalidToken(callbackQuery.from.id, shouldClearAuth);
+
+  bot.sendMessage(
+    callbackQuery.message.chat.id,
+    errorMessage + '\n\nIf this error persists, please contact support.'
+  );
+}
+
+/**
+ * Handles a task button by enabling or disabling the task
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleToggleAgentTask(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const [agentId, taskKey] = callbackQuery.data.slice(CALLBACK_DATA.TOGGLE_AGENT_TASK.length).split(':');
+
+  try {
+    const agent = await loadTasksAgent(bot, callbackQuery, agentId);
+    if (!agent) {
+      return;
+    }
+
+    const tasks = getAgentTasks(agent);
+    const index = tasks.findIndex((task, position) => getTaskKey(task, position) === taskKey);
+    if (index === -1) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'This task no longer exists. The list was refreshed.',
+        show_alert: true
+      });
+      await refreshAgentTasks(bot, callbackQuery, agent);
+      return;
+    }
+
+    const enable = !isTaskEnabled(tasks[index]);
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: enable ? 'Enabling task...' : 'Disabling task...',
+      show_alert: false
+    });
+
+    const changed = tasks.map((task, position) => (position === index ? { ...task, enabled: enable } : task));
+    await saveAgentTasks(bot, callbackQuery, agent, changed);
+    console.log(`User ${userId} ${enable ? 'enabled' : 'disabled'} task ${taskKey} of agent ${agentId}`);
+
+  } catch (error) {
+    console.error(`Error toggling task ${taskKey} of agent ${agentId} for user ${userId}:`, error);
+    sendTasksError(bot, callbackQuery, error);
+  }
+}
+
+/**
+ * Handles the "Pause all" button by disabling every task of the agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handlePauseAgentTasks(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.PAUSE_AGENT_TASKS.length);
+
+  try {
+    const agent = await loadTasksAgent(bot, callbackQuery, agentId);
+    if (!agent) {
+      return;
+    }
+
+    const tasks = getAgentTasks(agent);
+    const runningKeys = tasks
+      .map((task, index) => (isTaskEnabled(task) ? getTaskKey(task, index) : null))
+      .filter((key) => key !== null);
+
+    if (runningKeys.length === 0) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'All tasks are already paused.',
+        show_alert: false
+      });
+      await refreshAgentTasks(bot, callbackQuery, agent);
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Pausing all tasks...',
+      show_alert: false
+    });
+
+    await saveAgentTasks(bot, callbackQuery, agent, tasks.map((task) => ({ ...task, enabled: false })));
+    saveAgentTaskPause(agentId, runningKeys);
+    console.log(`User ${userId} paused ${runningKeys.length} task(s) of agent ${agentId}`);
+
+  } catch (error) {
+    console.error(`Error pausing tasks of agent ${agentId} for user ${userId}:`, error);
+    sendTasksError(bot, callbackQuery, error);
+  }
+}
+
+/**
+ * Handles the "Resume all" button by enabling the tasks that ran before "Pause all"
+ * Tasks are all enabled if the pause is unknown, e.g. because they were disabled one by one
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleResumeAgentTasks(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.RESUME_AGENT_TASKS.length);
+
+  try {
+    const agent = await loadTasksAgent(bot, callbackQuery, agentId);
+    if (!agent) {
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Resuming tasks...',
+      show_alert: false
+    });
+
+    const tasks = getAgentTasks(agent);
+    const pausedKeys = takeAgentTaskPause(agentId);
+    const knownKeys = (pausedKeys || []).filter((key) =>
+      tasks.some((task, index) => getTaskKey(task, index) === key)
+    );
+
+    const resumed = tasks.map((task, index) =>
+      knownKeys.length === 0 || knownKeys.includes(getTaskKey(task, index)) ?
+        { ...task, enabled: true } :
+        task
+    );
+
+    await saveAgentTasks(bot, callbackQuery, agent, resumed);
+    console.log(`User ${userId} resumed tasks of agent ${agentId}`);
+
+  } catch (error) {
+    console.error(`Error resuming tasks of agent ${agentId} for user ${userId}:`, error);
+    sendTasksError(bot, callbackQuery, error);
+  }
+}
+
+module.exports = {
+  sendAgentTasks,
+  handleAgentTasksCommand,
+  handleToggleAgentTask,
+  handlePauseAgentTasks,
+  handleResumeAgentTasks
+};
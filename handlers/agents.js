@@ -0,0 +1,461 @@
+const { createReauthKeyboard, createAgentListKeyboard, createAgentDetailKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication, handleInvalidToken } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const {
+  createAgentListMessage,
+  createAgentSearchMessage,
+  createAgentCardMessage,
+  createErrorMessage
+} = require('../utils/messages');
+const { resetPagination, getPageCursor, savePageCursor } = require('../utils/pagination');
+const { validateAgentId } = require('../utils/agents');
+const { startAgentEdit } = require('../flows/agentEditing');
+const { startAgentClone } = require('../flows/agentCloning');
+const { requestAgentDeletion } = require('./agentDeletion');
+const { sendAgentFile } = require('./agentFiles');
+const { sendAgentTasks } = require('./agentTasks');
+const { CALLBACK_DATA } = require('../config/constants');
+const { getUserAgents, getAgent } = require('../api/nation');
+
+/**
+ * Agent browser
+ * /myAgents lists the user's agents page by page as buttons; every button opens
+ * a card of the agent with actions. "/myAgents <name>" searches agents by name.
+ * The card actions also serve the card of /getAgent.
+ */
+
+// Name of the agent list in the pagination state
+const AGENTS_LIST = 'agents';
+
+// Number of agents on a page of the browser
+const AGENTS_PAGE_SIZE = 10;
+
+// Number of agents fetched per request while searching
+const SEARCH_PAGE_SIZE = 100;
+
+// Maximum number of requests of a search, so huge accounts cannot stall the bot
+const MAX_SEARCH_PAGES = 10;
+
+// Maximum number of matching agents listed as buttons
+const MAX_SEARCH_RESULTS = 10;
+
+/**
+ * Loads one page of the user's agents
+ * @param {string} userId - Telegram user ID
+ * @param {number} pageIndex - Zero based page index
+ * @param {string} cursor - Cursor the page is loaded with
+ * @returns {Promise<Object>} { text, keyboard }
+ */
+async function loadAgentsPage(userId, pageIndex, cursor) {
+  const agentsData = await getUserAgents({
+    accessToken: getUserAccessToken(userId),
+    cursor: cursor || undefined,
+    limit: AGENTS_PAGE_SIZE
+  });
+
+  const agents = agentsData.data || [];
+  const hasMore = !!(agentsData.has_more && agentsData.next_cursor);
+  if (hasMore) {
+    savePageCursor(userId, AGENTS_LIST, pageIndex, agentsData.next_cursor);
+  }
+
+  return {
+    text: createAgentListMessage(agents, pageIndex),
+    keyboard: createAgentListKeyboard(agents, pageIndex, hasMore)
+  };
+}
+
+/**
+ * Searches the user's agents by name or ID
+ * @param {string} userId - Telegram user ID
+ * @param {string} query - Text to search for
+ * @returns {Promise<Object>} { text, keyboard }
+ */
+async function searchAgents(userId, query) {
+  const accessToken = getUserAccessToken(userId);
+  const needle = query.toLowerCase();
+  const matches = [];
+  let cursor;
+  let truncated = false;
+
+  for (let page = 0; ; page++) {
+    if (page === MAX_SEARCH_PAGES) {
+      truncated = true;
+      break;
+    }
+
+    const agentsData = await getUserAgents({ accessToken, cursor, limit: SEARCH_PAGE_SIZE });
+    (agentsData.data || []).forEach((agent) => {
+      if ((agent.name || '').toLowerCase().includes(needle) || agent.id === query) {
+        matches.push(agent);
+      }
+    });
+
+    if (!agentsData.has_more || !agentsData.next_cursor) {
+      break;
+    }
+    cursor = agentsData.next_cursor;
+  }
+
+  const shown = matches.slice(0, MAX_SEARCH_RESULTS);
+  return {
+    text: createAgentSearchMessage(query, matches.length, shown.length, truncated),
+    keyboard: createAgentListKeyboard(shown, 0, false)
+  };
+}
+
+/**
+ * Handles the /myAgents command to browse the user's agents
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Without arguments, shows the first page of agents with Next/Prev buttons
+ * 3. With a name, lists the agents whose name contains it
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleMyAgentsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /myAgents command for user ${userId}`);
+
+  let loadingMessage;
+
+  try {
+    // Check if user is authenticated
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      if (authCheck.isAuthenticated) {
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        '🔐 **Authentication Required**\n\n' +
+        'You need to authenticate first to view your agents.\n\n' +
+        'Please use the login button below to authenticate with Privy.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const query = msg.text.trim().split(/\s+/).slice(1).join(' ');
+
+    // Show loading message
+    loadingMessage = await bot.sendMessage(
+      msg.chat.id,
+      query ? '🔍 Searching your agents...' : '🔄 Loading your agents...'
+    );
+
+    let page;
+    if (query) {
+      page = await searchAgents(userId, query);
+    } else {
+      // Every /myAgents starts a new browser from the first page
+      resetPagination(userId, AGENTS_LIST);
+      page = await loadAgentsPage(userId, 0, '');
+    }
+
+    await bot.editMessageText(
+      page.text,
+      {
+        chat_id: msg.chat.id,
+        message_id: loadingMessage.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: page.keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /myAgents command for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    const text = errorMessage + '\n\nIf this error persists, please contact support.';
+    if (loadingMessage) {
+      bot.editMessageText(text, {
+        chat_id: msg.chat.id,
+        message_id: loadingMessage.message_id
+      });
+    } else {
+      bot.sendMessage(msg.chat.id, text);
+    }
+  }
+}
+
+/**
+ * Answers a browser button when the user is not authenticated
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @returns {Promise<boolean>} True if the user is authenticated
+ */
+async function ensureAuthenticated(bot, callbackQuery) {
+  const authCheck = await checkUserAuthentication(callbackQuery.from.id);
+  if (authCheck.isAuthenticated && authCheck.hasValidToken) {
+    return true;
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: '🔐 Please authenticate first using /login',
+    show_alert: true
+  });
+  return false;
+}
+
+/**
+ * Handles Next/Prev buttons of the agent browser
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleAgentsPage(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const pageIndex = parseInt(callbackQuery.data.slice(CALLBACK_DATA.AGENTS_PAGE.length), 10);
+
+  try {
+    if (!(await ensureAuthenticated(bot, callbackQuery))) {
+      return;
+    }
+
+    const cursor = Number.isInteger(pageIndex) && pageIndex >= 0 ?
+      getPageCursor(userId, AGENTS_LIST, pageIndex) :
+      null;
+    if (cursor === null) {
+      // The buttons belong to an older /myAgents message
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'This page is no longer available. Use /myAgents to reload your agents.',
+        show_alert: true
+      });
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: `Loading page ${pageIndex + 1}...`,
+      show_alert: false
+    });
+
+    const { text, keyboard } = await loadAgentsPage(userId, pageIndex, cursor);
+
+    await bot.editMessageText(
+      text,
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error loading agents page for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(chatId, errorMessage + '\n\nIf this error persists, please contact support.');
+  }
+}
+
+/**
+ * Loads the agent of a card button
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {string} prefix - Callback data prefix in front of the agent ID
+ * @returns {Promise<Object|null>} Agent data or null if the button was answered with an error
+ */
+async function loadButtonAgent(bot, callbackQuery, prefix) {
+  const agentId = callbackQuery.data.slice(prefix.length);
+
+  if (!validateAgentId(agentId)) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Invalid agent.',
+      show_alert: true
+    });
+    return null;
+  }
+  if (!(await ensureAuthenticated(bot, callbackQuery))) {
+    return null;
+  }
+
+  const agent = await getAgent({
+    accessToken: getUserAccessToken(callbackQuery.from.id),
+    agentId: agentId
+  });
+  return { ...agent, id: agent.id || agentId };
+}
+
+/**
+ * Runs the action of an agent card button
+ * Loads the agent of the button, answers the button and reports errors in the chat.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {Object} options - Button options
+ * @param {string} options.prefix - Callback data prefix in front of the agent ID
+ * @param {string} options.description - What the button does, for the error log
+ * @param {string} [options.loadingText] - Text shown on the button while the action runs
+ * @param {Function} action - Called with (agent, chatId, userId) once the button is answered
+ */
+async function runAgentButton(bot, callbackQuery, options, action) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  let answered = false;
+
+  try {
+    const agent = await loadButtonAgent(bot, callbackQuery, options.prefix);
+    if (!agent) {
+      return;
+    }
+
+    answered = true;
+    await bot.answerCallbackQuery(
+      callbackQuery.id,
+      options.loadingText ? { text: options.loadingText, show_alert: false } : undefined
+    );
+    await action(agent, chatId, userId);
+
+  } catch (error) {
+    console.error(`Error ${options.description} for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    if (!answered) {
+      // Stop the loading indicator of the button when the agent could not be loaded
+      bot.answerCallbackQuery(callbackQuery.id).catch(() => {});
+    }
+    bot.sendMessage(chatId, errorMessage + '\n\nIf this error persists, please contact support.');
+  }
+}
+
+/**
+ * Handles an agent button of the browser by sending the card of the agent
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleViewAgent(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.VIEW_AGENT,
+    description: 'loading agent card'
+  }, async (agent, chatId) => {
+    // The card is a new message so the list stays available
+    await bot.sendMessage(
+      chatId,
+      createAgentCardMessage(agent),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createAgentDetailKeyboard(agent.id)
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Handles the Edit button of an agent card by starting the agent editing flow
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleEditAgentButton(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.EDIT_AGENT,
+    description: 'starting agent edit'
+  }, (agent, chatId, userId) => startAgentEdit(bot, chatId, userId, agent));
+}
+
+/**
+ * Handles the Clone button of an agent card by starting the agent cloning flow
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCloneAgentButton(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.CLONE_AGENT,
+    description: 'starting agent clone'
+  }, (agent, chatId, userId) => startAgentClone(bot, chatId, userId, agent));
+}
+
+/**
+ * Handles the Tasks button of an agent card by sending the autonomous tasks view
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleAgentTasksButton(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.AGENT_TASKS,
+    description: 'loading agent tasks'
+  }, (agent, chatId) => sendAgentTasks(bot, chatId, agent));
+}
+
+/**
+ * Handles the Raw JSON button of an agent card by sending the full configuration as a document
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleAgentJson(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.AGENT_JSON,
+    description: 'sending agent configuration',
+    loadingText: 'Sending configuration...'
+  }, async (agent, chatId) => {
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(JSON.stringify(agent, null, 2), 'utf8'),
+      {
+        caption: `📄 Configuration of ${agent.name || 'Unnamed Agent'}`
+      },
+      {
+        filename: `agent-${agent.id}.json`,
+        contentType: 'application/json'
+      }
+    );
+  });
+}
+
+/**
+ * Handles the Export button of an agent card by sending the agent definition as a YAML file
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleExportAgentButton(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.EXPORT_AGENT,
+    description: 'exporting agent',
+    loadingText: 'Exporting agent...'
+  }, (agent, chatId) => sendAgentFile(bot, chatId, agent, 'yaml'));
+}
+
+/**
+ * Handles the Delete button of an agent card by asking for confirmation
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleDeleteAgentButton(bot, callbackQuery) {
+  await runAgentButton(bot, callbackQuery, {
+    prefix: CALLBACK_DATA.DELETE_AGENT,
+    description: 'starting agent deletion'
+  }, (agent, chatId, userId) => requestAgentDeletion(bot, chatId, userId, agent));
+}
+
+module.exports = {
+  handleMyAgentsCommand,
+  handleAgentsPage,
+  handleViewAgent,
+  handleEditAgentButton,
+  handleCloneAgentButton,
+  handleAgentTasksButton,
+  handleAgentJson,
+  handleExportAgentButton,
+  handleDeleteAgentButton
+};
@@ -0,0 +1,196 @@
+const { createReauthKeyboard, createCreditAlertKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData, getUserAuthStatus, updateUserData } = require('../mockDb');
+const { formatCredits } = require('../utils/messages');
+const { COMMANDS } = require('../config/constants');
+
+/**
+ * Creates the alert settings message
+ * @param {Object} userData - User record from the database
+ * @returns {string} Formatted alert settings
+ */
+function createAlertSettingsMessage(userData) {
+  const threshold = userData && typeof userData.creditAlertThreshold === 'number' ?
+    userData.creditAlertThreshold :
+    null;
+
+  return '🔔 **Alerts**\n\n' +
+         (threshold !== null ?
+           `💳 Low credits: ✅ below ${formatCredits(threshold)} credits\n\n` :
+           '💳 Low credits: ❌ off\n\n') +
+         `**Usage:**\n` +
+         `• \`${COMMANDS.ALERTS} credits 100\` - alert me when my balance drops below 100\n` +
+         `• \`${COMMANDS.ALERTS} credits off\` - turn the low credit alert off`;
+}
+
+/**
+ * Handles the /alerts command to view and configure alerts
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Without arguments, shows the current alert settings
+ * 3. With "credits <amount>" or "credits off", sets or removes the low credit threshold
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleAlertsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /alerts command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `🔔 **Alerts**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to configure alerts.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to configure alerts.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const [type, value] = msg.text.trim().split(/\s+/).slice(1).map((arg) => arg.toLowerCase());
+
+    if (type === 'credits' && value !== undefined) {
+      let threshold = null;
+
+      if (value !== 'off') {
+        threshold = Number(value);
+        if (!Number.isFinite(threshold) || threshold <= 0) {
+          bot.sendMessage(
+            msg.chat.id,
+            `❌ **Invalid Threshold**\n\n` +
+            `The threshold must be a positive number of credits, e.g. \`${COMMANDS.ALERTS} credits 100\`.`,
+            { parse_mode: 'Markdown' }
+          );
+          return;
+        }
+      }
+
+      // A new threshold is evaluated from scratch on the next check
+      updateUserData(userId, { creditAlertThreshold: threshold, lowCreditAlertSentAt: null });
+      console.log(`Set credit alert threshold for user ${userId} to ${threshold}`);
+
+      bot.sendMessage(
+        msg.chat.id,
+        threshold !== null ?
+          `✅ **Low Credit Alert Set**\n\nYou will get a message when your balance drops below ${formatCredits(threshold)} credits.` :
+          '🔕 **Low Credit Alert Off**\n\nYou will no longer be alerted about your credit balance.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createCreditAlertKeyboard(threshold !== null)
+          }
+        }
+      );
+      return;
+    }
+
+    if (type !== undefined) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Unknown Alert**\n\n` + createAlertSettingsMessage(authCheck.userData),
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const userData = authCheck.userData;
+    bot.sendMessage(
+      msg.chat.id,
+      createAlertSettingsMessage(userData),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createCreditAlertKeyboard(typeof userData.creditAlertThreshold === 'number')
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /alerts command for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, there was an error updating your alerts. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Handles the button that turns the low credit alert off
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleDisableCreditAlert(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  let answered = false;
+
+  try {
+    // Telegram rejects edits that leave the message unchanged, e.g. a second tap on the button
+    const userData = getUserAuthStatus(userId);
+    if (!userData || typeof userData.creditAlertThreshold !== 'number') {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'Low credit alert is already off',
+        show_alert: false
+      });
+      return;
+    }
+
+    updateUserData(userId, { creditAlertThreshold: null, lowCreditAlertSentAt: null });
+    console.log(`Disabled credit alert for user ${userId}`);
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Low credit alert turned off',
+      show_alert: false
+    });
+    answered = true;
+
+    await bot.editMessageText(
+      createAlertSettingsMessage(getUserAuthStatus(userId)),
+      {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createCreditAlertKeyboard(false)
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error disabling credit alert for user ${userId}:`, error);
+
+    // A button can only be answered once; the alert is off even if showing it failed
+    if (answered) {
+      return;
+    }
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Error updating your alerts. Please try again.',
+      show_alert: true
+    });
+  }
+}
+
+module.exports = {
+  handleAlertsCommand,
+  handleDisableCreditAlert
+};
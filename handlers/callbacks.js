@@ -1,13 +1,49 @@
-const { createReauthKeyboard, createAgentCreationKeyboard } = require('../utils/keyboards');
+const { createReauthKeyboard } = require('../utils/keyboards');
 const { checkUserAuthentication } = require('../utils/auth');
 const { getUserAccessToken, clearUserAuthData, updateUserAuthStatus } = require('../mockDb');
-const { createHelpMessage } = require('../utils/messages');
+const { createHelpMessage, createSessionExpiryText } = require('../utils/messages');
 const { createWelcomeMessage } = require('../utils/messages');
 const { createMainMenuKeyboard } = require('../utils/keyboards');
 const { generateLoginUrl } = require('../config/bot');
 const { CALLBACK_DATA } = require('../config/constants');
-const { generateAgent, createAgent } = require('../api/nation');
-const { setUserState, clearUserState } = require('../utils/userState');
+const {
+  startAgentCreation,
+  handleConfirmAgentCreation,
+  handleCreateAndDeployAgent,
+  handleRefineAgent,
+  handleCancelAgentDraft
+} = require('../flows/agentCreation');
+const { cancelFlow } = require('../utils/flows');
+const { handleCreditsPage } = require('./credits');
+const { handleDisableCreditAlert } = require('./alerts');
+const { handleRefreshWallet } = require('./wallet');
+const { handleConfirmSwap, handleCancelSwap } = require('./swap');
+const { handleSettingsButton } = require('./settings');
+const {
+  handleNotificationSettingsButton,
+  handleMuteAgentActivity,
+  handleUnmuteAgentActivity
+} = require('./notifications');
+const { handleConfirmAgentUpdate, handleCancelAgentUpdate } = require('../flows/agentEditing');
+const {
+  handleAgentsPage,
+  handleViewAgent,
+  handleEditAgentButton,
+  handleCloneAgentButton,
+  handleAgentTasksButton,
+  handleAgentJson,
+  handleExportAgentButton,
+  handleDeleteAgentButton
+} = require('./agents');
+const {
+  handleConfirmAgentDeletion,
+  handleFinalAgentDeletion,
+  handleCancelAgentDeletion,
+  handleUndoAgentDeletion
+} = require('./agentDeletion');
+const { handleDeployAgentButton } = require('./deploy');
+const { handleShowTemplates, handleTemplateCategory, handleUseTemplate } = require('./templates');
+const { handleToggleAgentTask, handlePauseAgentTasks, handleResumeAgentTasks } = require('./agentTasks');
 
 /**
  * Main callback query handler that routes to specific handlers
@@ -37,8 +73,83 @@ async function handleCallbackQuery(bot, callbackQuery) {
       await handleGetAccessToken(bot, callbackQuery);
     } else if (data === CALLBACK_DATA.CREATE_AGENT) {
       await handleCreateAgent(bot, callbackQuery);
-    } else if (data === CALLBACK_DATA.CANCEL_AGENT_CREATION) {
-      await handleCancelAgentCreation(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CANCEL_AGENT_CREATION || data === CALLBACK_DATA.CANCEL_FLOW) {
+      await handleCancelFlow(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CONFIRM_AGENT_CREATION) {
+      await handleConfirmAgentCreation(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CREATE_AND_DEPLOY_AGENT) {
+      await handleCreateAndDeployAgent(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.REFINE_AGENT) {
+      await handleRefineAgent(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CANCEL_AGENT_DRAFT) {
+      await handleCancelAgentDraft(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CREDITS_PAGE)) {
+      await handleCreditsPage(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.REFRESH_WALLET) {
+      await handleRefreshWallet(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CONFIRM_SWAP)) {
+      await handleConfirmSwap(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CANCEL_SWAP)) {
+      await handleCancelSwap(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.SHOW_SETTINGS ||
+               (data && data.startsWith(CALLBACK_DATA.SWAP_SLIPPAGE)) ||
+               (data && data.startsWith(CALLBACK_DATA.SWAP_PRIORITY_FEE)) ||
+               (data && data.startsWith(CALLBACK_DATA.SWAP_QUOTE_TOKEN)) ||
+               (data && data.startsWith(CALLBACK_DATA.SWAP_CONFIRM_THRESHOLD))) {
+      await handleSettingsButton(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.DISABLE_CREDIT_ALERT) {
+      await handleDisableCreditAlert(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.NOTIFICATION_SETTINGS ||
+               data === CALLBACK_DATA.ENABLE_NOTIFICATIONS ||
+               data === CALLBACK_DATA.DISABLE_NOTIFICATIONS ||
+               (data && data.startsWith(CALLBACK_DATA.NOTIFICATION_MODE))) {
+      await handleNotificationSettingsButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.MUTE_AGENT_ACTIVITY)) {
+      await handleMuteAgentActivity(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.UNMUTE_AGENT_ACTIVITY)) {
+      await handleUnmuteAgentActivity(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CONFIRM_AGENT_UPDATE) {
+      await handleConfirmAgentUpdate(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.CANCEL_AGENT_UPDATE) {
+      await handleCancelAgentUpdate(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.AGENTS_PAGE)) {
+      await handleAgentsPage(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.VIEW_AGENT)) {
+      await handleViewAgent(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.EDIT_AGENT)) {
+      await handleEditAgentButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CLONE_AGENT)) {
+      await handleCloneAgentButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.DEPLOY_AGENT)) {
+      await handleDeployAgentButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.AGENT_JSON)) {
+      await handleAgentJson(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.AGENT_TASKS)) {
+      await handleAgentTasksButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.TOGGLE_AGENT_TASK)) {
+      await handleToggleAgentTask(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.PAUSE_AGENT_TASKS)) {
+      await handlePauseAgentTasks(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.RESUME_AGENT_TASKS)) {
+      await handleResumeAgentTasks(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.EXPORT_AGENT)) {
+      await handleExportAgentButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.DELETE_AGENT)) {
+      await handleDeleteAgentButton(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CONFIRM_AGENT_DELETION)) {
+      await handleConfirmAgentDeletion(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.FINAL_CONFIRM_AGENT_DELETION)) {
+      await handleFinalAgentDeletion(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.CANCEL_AGENT_DELETION)) {
+      await handleCancelAgentDeletion(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.UNDO_AGENT_DELETION)) {
+      await handleUndoAgentDeletion(bot, callbackQuery);
+    } else if (data === CALLBACK_DATA.SHOW_TEMPLATES) {
+      await handleShowTemplates(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.TEMPLATE_CATEGORY)) {
+      await handleTemplateCategory(bot, callbackQuery);
+    } else if (data && data.startsWith(CALLBACK_DATA.USE_TEMPLATE)) {
+      await handleUseTemplate(bot, callbackQuery);
     } else if (data && data.startsWith(CALLBACK_DATA.LOGIN_COMPLETE)) {
       // Handle legacy login completion (if still needed)
       await handleLoginComplete(bot, callbackQuery);
@@ -69,7 +180,7 @@ async function handleGetAccessToken(bot, callbackQuery) {
     });
     
     // Check if user is authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       if (!authCheck.isAuthenticated) {
         return bot.sendMessage(
@@ -179,7 +290,7 @@ async function handleBackToStart(bot, callbackQuery) {
     });
     
     // Check if user is already authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     // Create welcome message
     const welcomeMessage = createWelcomeMessage('User', authCheck);
@@ -224,7 +335,7 @@ async function handleLogoutUser(bot, callbackQuery) {
     });
     
     // Check if user is currently authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     if (!authCheck.isAuthenticated) {
       bot.sendMessage(
@@ -362,7 +473,7 @@ async function handleCheckStatus(bot, callbackQuery) {
     });
     
     // Get user authentication status
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       let message = '❌ **Not Authenticated**\n\n';
@@ -389,6 +500,7 @@ async function handleCheckStatus(bot, callbackQuery) {
     const lastLoginText = authCheck.userData.lastLogin ? 
       new Date(authCheck.userData.lastLogin).toLocaleString() : 'Unknown';
     const walletIdText = authCheck.userData.walletId ? authCheck.userData.walletId : 'Not linked';
+    const sessionExpiryText = createSessionExpiryText(authCheck.userData);
     
     bot.sendMessage(
       callbackQuery.message.chat.id,
@@ -396,8 +508,9 @@ async function handleCheckStatus(bot, callbackQuery) {
       `✅ **Authentication:** Active\n` +
       `🔑 **Privy User ID:** \`${authCheck.userData.privyUserId || 'N/A'}\`\n` +
       `👛 **Wallet ID:** \`${walletIdText}\`\n` +
-      `📅 **Last Login:** ${lastLoginText}\n\n` +
-      'All bot features are available to you.',
+      `📅 **Last Login:** ${lastLoginText}\n` +
+      (sessionExpiryText ? `⏳ ${sessionExpiryText}\n` : '') +
+      '\nAll bot features are available to you.',
       {
         parse_mode: 'Markdown',
         reply_markup: {
@@ -481,7 +594,7 @@ async function handleCreateAgent(bot, callbackQuery) {
     });
 
     // Check user authentication status
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
 
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       let statusMessage = `🤖 **Create Agent**\n\n`;
@@ -509,33 +622,10 @@ async function handleCreateAgent(bot, callbackQuery) {
       return;
     }
 
-    // Set user state to await prompt
-    setUserState(userId, 'awaiting_agent_prompt');
-
-    // Send prompt request message
-    bot.sendMessage(
-      callbackQuery.message.chat.id,
-      `🤖 **Create Agent**\n\n` +
-      `${userName}, please describe the agent you want to create.\n\n` +
-      `📝 **Instructions:**\n` +
-      `• Describe what you want your agent to do\n` +
-      `• Include any specific capabilities or tasks\n` +
-      `• Mention scheduling if you want autonomous tasks\n` +
-      `• Minimum 10 characters required\n\n` +
-      `💡 **Examples:**\n` +
-      `• "Buy 0.1 ETH every hour when price drops below $2000"\n` +
-      `• "Monitor my portfolio and send daily reports"\n` +
-      `• "Tweet market updates every 30 minutes"\n\n` +
-      `Please send your agent description as the next message:`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: createAgentCreationKeyboard()
-        }
-      }
-    );
+    // Start the agent creation flow, which asks for the agent description
+    await startAgentCreation(bot, callbackQuery.message.chat.id, userId, userName);
     
-    console.log(`Sent agent creation prompt to user ${userId} via callback and set awaiting state`);
+    console.log(`Started agent creation flow for user ${userId} via callback`);
     
   } catch (error) {
     console.error(`Error handling create agent callback for user ${userId}:`, error);
@@ -548,45 +638,32 @@ async function handleCreateAgent(bot, callbackQuery) {
 }
 
 /**
- * Handles cancel agent creation callback
+ * Handles cancel callbacks of multi-step flows (including agent creation)
  * @param {Object} bot - Telegram bot instance
  * @param {Object} callbackQuery - Telegram callback query object
  */
-async function handleCancelAgentCreation(bot, callbackQuery) {
+async function handleCancelFlow(bot, callbackQuery) {
   const userId = callbackQuery.from.id;
   
   try {
     // Answer the callback query
     await bot.answerCallbackQuery(callbackQuery.id, {
-      text: 'Agent creation cancelled.',
+      text: 'Cancelled.',
       show_alert: false
     });
     
-    // Clear user state since they cancelled
-    clearUserState(userId);
-    
-    // Check authentication status to show appropriate menu
-    const authCheck = checkUserAuthentication(userId);
-    const welcomeMessage = createWelcomeMessage('User', authCheck);
-    const keyboard = createMainMenuKeyboard(authCheck, userId);
-    
-    bot.sendMessage(
-      callbackQuery.message.chat.id,
-      `❌ **Agent Creation Cancelled**\n\n` +
-      `No worries! You can create an agent anytime using the button below.\n\n` +
-      welcomeMessage,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: keyboard
-        }
-      }
-    );
+    // Clear the flow state; the flow sends its own cancellation message
+    const cancelled = await cancelFlow(bot, callbackQuery.message.chat.id, userId);
     
-    console.log(`User ${userId} cancelled agent creation and cleared state`);
+    if (!cancelled) {
+      bot.sendMessage(
+        callbackQuery.message.chat.id,
+        'ℹ️ There is nothing to cancel. The request may have already finished or expired.'
+      );
+    }
     
   } catch (error) {
-    console.error(`Error handling cancel agent creation for user ${userId}:`, error);
+    console.error(`Error handling cancel for user ${userId}:`, error);
     
     await bot.answerCallbackQuery(callbackQuery.id, {
       text: '❌ Error cancelling. Please try again.',
@@ -595,162 +672,6 @@ async function handleCancelAgentCreation(bot, callbackQuery) {
   }
 }
 
-/**
- * Processes agent creation from prompt text
- * This function should be called when a user sends a text message after requesting agent creation
- * @param {Object} bot - Telegram bot instance
- * @param {Object} msg - Telegram message object
- * @param {string} prompt - User's agent description prompt
- */
-async function processAgentCreation(bot, msg, prompt) {
-  const userId = msg.from.id;
-  const userName = msg.from.first_name || 'User';
-  
-  try {
-    // Validate prompt length
-    if (!prompt || prompt.trim().length < 10) {
-      bot.sendMessage(
-        msg.chat.id,
-        `❌ **Prompt Too Short**\n\n` +
-        `Your agent description must be at least 10 characters long.\n\n` +
-        `Current length: ${prompt ? prompt.trim().length : 0} characters\n\n` +
-        `Please provide a more detailed description of what you want your agent to do:`,
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: createAgentCreationKeyboard()
-          }
-        }
-      );
-      return;
-    }
-
-    // Check authentication
-    const authCheck = checkUserAuthentication(userId);
-    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
-      bot.sendMessage(
-        msg.chat.id,
-        '❌ **Authentication Required**\n\n' +
-        'Please authenticate first using /login to create agents.',
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: createReauthKeyboard(userId)
-          }
-        }
-      );
-      return;
-    }
-
-    // Send processing message
-    const processingMsg = await bot.sendMessage(
-      msg.chat.id,
-      `🔄 **Creating Agent**\n\n` +
-      `Processing your request...\n` +
-      `📝 Prompt: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"\n\n` +
-      `⏳ This may take a few moments.`,
-      { parse_mode: 'Markdown' }
-    );
-
-    const accessToken = getUserAccessToken(userId);
-
-    // Generate agent using the Nation API
-    console.log(`Generating agent for user ${userId} with prompt: ${prompt}`);
-    const generateResponse = await generateAgent({
-      accessToken: accessToken,
-      prompt: prompt.trim(),
-      userId: userId,
-      existingAgent: null,
-      projectId: null,
-      deploy: false
-    });
-
-    console.log(`Agent generation successful for user ${userId}:`, {
-      projectId: generateResponse.project_id,
-      agentName: generateResponse.agent?.name,
-      skillsCount: generateResponse.activated_skills?.length || 0,
-      autonomousTasksCount: generateResponse.autonomous_tasks?.length || 0
-    });
-
-    // Create the agent using the generated configuration
-    const createdAgent = await createAgent({
-      accessToken: accessToken,
-      agent: generateResponse.agent
-    });
-
-    console.log(`Agent created successfully for user ${userId}:`, {
-      agentId: createdAgent.id,
-      agentName: createdAgent.name
-    });
-
-    // Update the processing message with success
-    bot.editMessageText(
-      `✅ **Agent Created Successfully!**\n\n` +
-      `🤖 **Agent Name:** ${createdAgent.name}\n` +
-      `📋 **Description:** ${generateResponse.summary || 'Agent created from your prompt'}\n` +
-      `🔧 **Skills Activated:** ${generateResponse.activated_skills?.length || 0}\n` +
-      `⏰ **Autonomous Tasks:** ${generateResponse.autonomous_tasks?.length || 0}\n\n` +
-      `🎉 Your agent is now ready to use!`,
-      {
-        chat_id: msg.chat.id,
-        message_id: processingMsg.message_id,
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              {
-                text: '🏠 Back to Main Menu',
-                callback_data: CALLBACK_DATA.BACK_TO_START
-              }
-            ]
-          ]
-        }
-      }
-    );
-
-  } catch (error) {
-    console.error(`Error creating agent for user ${userId}:`, error);
-    
-    let errorMessage = 'Failed to create agent';
-    if (error.response?.status === 401) {
-      errorMessage = 'Authentication expired. Please sign in again.';
-      clearUserAuthData(userId);
-    } else if (error.response?.status === 422) {
-      errorMessage = 'Invalid agent configuration. Please try a different description.';
-    } else if (error.response?.data?.message) {
-      errorMessage = `Creation failed: ${error.response.data.message}`;
-    } else if (error.message) {
-      errorMessage = `Creation failed: ${error.message}`;
-    }
-
-    bot.sendMessage(
-      msg.chat.id,
-      `❌ **Agent Creation Failed**\n\n` +
-      `${errorMessage}\n\n` +
-      `Please try again with a different description or contact support if this error persists.`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              {
-                text: '🔄 Try Again',
-                callback_data: CALLBACK_DATA.CREATE_AGENT
-              }
-            ],
-            [
-              {
-                text: '🏠 Back to Main Menu',
-                callback_data: CALLBACK_DATA.BACK_TO_START
-              }
-            ]
-          ]
-        }
-      }
-    );
-  }
-}
-
 module.exports = {
   handleCallbackQuery,
   handleGetAccessToken,
@@ -761,6 +682,5 @@ module.exports = {
   handleCheckStatus,
   handleLoginComplete,
   handleCreateAgent,
-  handleCancelAgentCreation,
-  processAgentCreation
+  handleCancelFlow
 };
@@ -0,0 +1,354 @@
+const { createReauthKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { setConversationState, getConversationState, updateConversationPayload, clearConversationState } = require('../utils/conversationState');
+const { getChatThreadId, saveChatThreadId } = require('../utils/chatThreads');
+const { validateAgentId } = require('../utils/agents');
+const { COMMANDS, KEYBOARD_BUTTONS } = require('../config/constants');
+const { stripMarkdown } = require('../utils/messages');
+const { getAgent, createChatThread, streamChatMessage } = require('../api/nation');
+
+/**
+ * Chat mode
+ * After /chat <agent_id> every non-command message of the user is sent to the agent
+ * and the agent's replies are sent back, until the user taps "End chat".
+ * The thread of every user and agent is kept (see utils/chatThreads.js), so chats resume.
+ */
+
+// Conversation state while a user chats with an agent
+const CHAT_STATE = 'agent_chat';
+
+// Chat mode stays active this long without messages
+const CHAT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Telegram shows a chat action for about 5 seconds, so it is renewed while the agent works
+const TYPING_INTERVAL_MS = 4000;
+
+// Maximum length of a sent message part, below Telegram's 4096 character limit
+const MAX_REPLY_LENGTH = 4000;
+
+// Minimum time between edits of a streaming reply, Telegram limits edits to about one per second
+const STREAM_EDIT_INTERVAL_MS = 1000;
+
+/**
+ * Creates the sticky keyboard shown while chatting
+ * @returns {Object} Reply keyboard markup
+ */
+function createChatReplyMarkup() {
+  return {
+    keyboard: [[{ text: KEYBOARD_BUTTONS.END_CHAT }]],
+    resize_keyboard: true,
+    is_persistent: true
+  };
+}
+
+/**
+ * Creates a user facing message for a failed chat API call
+ * @param {string} userId - Telegram user ID
+ * @param {Error} error - The error object
+ * @returns {string} Error message
+ */
+function getChatErrorMessage(userId, error) {
+  if (error.response?.status === 401) {
+    clearUserAuthData(userId);
+    return '❌ Authentication expired. Please sign in again using /login.';
+  }
+  if (error.response?.status === 404 || error.response?.status === 403) {
+    return '❌ Agent not found. Use /myAgents to see your available agents.';
+  }
+  if (error.response?.data?.message) {
+    return `❌ Chat failed: ${error.response.data.message}`;
+  }
+  return '❌ Sorry, the agent could not be reached. Please try again later.';
+}
+
+/**
+ * Handles the /chat command to start chatting with an agent
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates and loads the agent
+ * 3. Resumes the previous thread with the agent, or creates one ("/chat <id> new" always creates one)
+ * 4. Switches the user into chat mode with an "End chat" keyboard
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleChatCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /chat command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `💬 **Chat**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to chat with agents.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to chat with agents.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const [agentId, option] = msg.text.trim().split(/\s+/).slice(1);
+
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `💬 **Chat**\n\n` +
+        `Usage: \`${COMMANDS.CHAT} <agent_id> [new]\`\n\n` +
+        `**Examples:**\n` +
+        `• \`${COMMANDS.CHAT} d0o1lqvd14ts73arku3g\` - continue your last chat\n` +
+        `• \`${COMMANDS.CHAT} d0o1lqvd14ts73arku3g new\` - start a new conversation\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const accessToken = getUserAccessToken(userId);
+    const agent = await getAgent({ accessToken, agentId });
+    const agentName = agent.name || 'Unnamed Agent';
+
+    let threadId = option === 'new' ? null : getChatThreadId(userId, agentId);
+    const resumed = !!threadId;
+    if (!threadId) {
+      const thread = await createChatThread({ accessToken, agentId });
+      threadId = thread.id;
+      saveChatThreadId(userId, agentId, threadId);
+    }
+
+    setConversationState(userId, CHAT_STATE, { agentId, agentName, threadId }, CHAT_TTL_MS);
+    console.log(`User ${userId} started chatting with agent ${agentId} in thread ${threadId}`);
+
+    bot.sendMessage(
+      msg.chat.id,
+      `💬 **Chatting with ${stripMarkdown(agentName)}**\n\n` +
+      (resumed ?
+        `Continuing your previous conversation. Use \`${COMMANDS.CHAT} ${agentId} new\` to start over.\n\n` :
+        'Started a new conversation.\n\n') +
+      `Every message you send now goes to the agent. Tap **${KEYBOARD_BUTTONS.END_CHAT}** to leave.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: createChatReplyMarkup()
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /chat command for user ${userId}:`, error);
+    bot.sendMessage(msg.chat.id, getChatErrorMessage(userId, error));
+  }
+}
+
+/**
+ * Leaves chat mode and removes the chat keyboard
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object|null} chat - Chat state payload, null if the user was not chatting
+ */
+async function endChat(bot, msg, chat) {
+  if (chat) {
+    clearConversationState(msg.from.id);
+    console.log(`User ${msg.from.id} ended chat with agent ${chat.agentId}`);
+  }
+
+  await bot.sendMessage(
+    msg.chat.id,
+    chat ?
+      `👋 **Chat with ${stripMarkdown(chat.agentName)} ended**\n\nUse \`${COMMANDS.CHAT} ${chat.agentId}\` to continue later.` :
+      'ℹ️ You are not chatting with an agent.',
+    {
+      parse_mode: 'Markdown',
+      reply_markup: { remove_keyboard: true }
+    }
+  );
+}
+
+/**
+ * Sends a message to the agent, creating a new thread if the stored one is gone
+ * @param {string} userId - Telegram user ID
+ * @param {Object} chat - Chat state payload
+ * @param {string} text - Message text
+ * @param {Function} onMessage - Called with every message of the chat as it arrives
+ * @returns {Promise<Array<Object>>} Messages the agent produced
+ */
+async function sendToAgent(userId, chat, text, onMessage) {
+  const accessToken = getUserAccessToken(userId);
+
+  try {
+    return await streamChatMessage({ accessToken, agentId: chat.agentId, threadId: chat.threadId, message: text, onMessage });
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+
+    // The thread was deleted on the server, continue in a new one
+    const thread = await createChatThread({ accessToken, agentId: chat.agentId });
+    saveChatThreadId(userId, chat.agentId, thread.id);
+    updateConversationPayload(userId, { threadId: thread.id }, CHAT_TTL_MS);
+    console.log(`Replaced missing chat thread ${chat.threadId} of user ${userId} with ${thread.id}`);
+
+    return streamChatMessage({ accessToken, agentId: chat.agentId, threadId: thread.id, message: text, onMessage });
+  }
+}
+
+/**
+ * Formats a message produced by the agent
+ * @param {Object} reply - Chat message from the API
+ * @returns {string} Text to send, empty if there is nothing to show
+ */
+function formatAgentReply(reply) {
+  const skillLines = (reply.skill_calls || []).map((call) =>
+    `🔧 ${call.name}${call.success === false ? ' (failed)' : ''}`
+  );
+  return [...skillLines, reply.message || ''].filter(Boolean).join('\n');
+}
+
+/**
+ * Splits a text into parts that fit into a Telegram message
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Message parts
+ */
+function splitMessage(text) {
+  const parts = [];
+  for (let start = 0; start < text.length; start += MAX_REPLY_LENGTH) {
+    parts.push(text.substring(start, start + MAX_REPLY_LENGTH));
+  }
+  return parts;
+}
+
+/**
+ * Shows a streaming agent reply in the chat
+ * The reply grows in place by editing its messages; text beyond the size of one
+ * message continues in a new message. Failed sends and edits are logged and retried
+ * with the next update, so a rate limit does not stop the reply from streaming.
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} messageId - ID of the message the reply starts in
+ * @returns {Function} Shows the reply text so far; pass true as second argument to show it without throttling
+ */
+function createReplyView(bot, chatId, messageId) {
+  const messageIds = [messageId];
+  const shown = [null];
+  let lastEditAt = 0;
+
+  return async (text, final) => {
+    const parts = splitMessage(text);
+
+    for (let index = 0; index < parts.length; index++) {
+      if (index === messageIds.length) {
+        try {
+          const sent = await bot.sendMessage(chatId, parts[index]);
+          messageIds.push(sent.message_id);
+          shown.push(parts[index]);
+          continue;
+        } catch (error) {
+          // Later parts need this message first
+          console.error(`Error sending reply part ${index + 1} in chat ${chatId}:`, error);
+          return;
+        }
+      }
+
+      // Full parts are shown right away, only the growing last part is throttled
+      const isLast = index === parts.length - 1;
+      if (parts[index] === shown[index] || (isLast && !final && Date.now() - lastEditAt < STREAM_EDIT_INTERVAL_MS)) {
+        continue;
+      }
+      // Throttle retries of failed edits as well
+      lastEditAt = Date.now();
+      try {
+        await bot.editMessageText(parts[index], { chat_id: chatId, message_id: messageIds[index] });
+        shown[index] = parts[index];
+      } catch (error) {
+        console.error(`Error updating reply part ${index + 1} in chat ${chatId}:`, error);
+      }
+    }
+  };
+}
+
+/**
+ * Forwards a message to the agent the user is chatting with and streams back the replies
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} True if the message belonged to a chat
+ */
+async function handleChatMessage(bot, msg) {
+  const userId = msg.from.id;
+  const current = getConversationState(userId);
+  const chat = current && current.state === CHAT_STATE ? current.payload : null;
+  const text = (msg.text || '').trim();
+
+  // The keyboard can outlive the chat, so the button always works
+  if (text === KEYBOARD_BUTTONS.END_CHAT) {
+    await endChat(bot, msg, chat);
+    return true;
+  }
+  if (!chat) {
+    return false;
+  }
+
+  // Every message keeps the chat alive
+  updateConversationPayload(userId, {}, CHAT_TTL_MS);
+
+  const sendTyping = () => bot.sendChatAction(msg.chat.id, 'typing').catch(() => {});
+  sendTyping();
+  const typingInterval = setInterval(sendTyping, TYPING_INTERVAL_MS);
+
+  try {
+    const replyMessage = await bot.sendMessage(msg.chat.id, `🤖 ${chat.agentName} is thinking...`);
+    const showReply = createReplyView(bot, msg.chat.id, replyMessage.message_id);
+
+    // Agent replies are sent as plain text, they are not guaranteed to be valid Telegram Markdown
+    const texts = [];
+    await sendToAgent(userId, chat, text, async (reply) => {
+      const replyText = reply && reply.author_type !== 'user' ? formatAgentReply(reply) : '';
+      if (replyText) {
+        texts.push(replyText);
+        await showReply(texts.join('\n\n'), false);
+      }
+    });
+
+    await showReply(texts.length > 0 ? texts.join('\n\n') : `🤖 ${chat.agentName} did not reply.`, true);
+
+  } catch (error) {
+    console.error(`Error chatting with agent ${chat.agentId} for user ${userId}:`, error);
+    await bot.sendMessage(msg.chat.id, getChatErrorMessage(userId, error));
+  } finally {
+    clearInterval(typingInterval);
+  }
+
+  return true;
+}
+
+module.exports = {
+  handleChatCommand,
+  handleChatMessage
+};
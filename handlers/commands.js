@@ -2,14 +2,17 @@ const { createReauthKeyboard } = require('../utils/keyboards');
 const { checkUserAuthentication, handleInvalidToken } = require('../utils/auth');
 const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
 const { createStatusMessage, createErrorMessage } = require('../utils/messages');
-const { createWelcomeMessage, createHelpMessage } = require('../utils/messages');
+const { createWelcomeMessage, createHelpMessage, createAgentCardMessage } = require('../utils/messages');
 const { createMainMenuKeyboard } = require('../utils/keyboards');
 const { createLoginKeyboard } = require('../utils/keyboards');
-const { createLogoutKeyboard } = require('../utils/keyboards');
+const { createLogoutKeyboard, createAgentDetailKeyboard } = require('../utils/keyboards');
 const { generateLoginUrl } = require('../config/bot');
-const { getUserAccount, generateAgent, createAgent, getUserAgents, getAgent } = require('../api/nation');
-const { createAgentCreationKeyboard } = require('../utils/keyboards');
-const { setUserState } = require('../utils/userState');
+const { getUserAccount, generateAgent, createAgent, getAgent } = require('../api/nation');
+const { startAgentCreation } = require('../flows/agentCreation');
+const { startAgentEdit } = require('../flows/agentEditing');
+const { startAgentClone } = require('../flows/agentCloning');
+const { COMMANDS } = require('../config/constants');
+const { validateAgentId } = require('../utils/agents');
 
 /**
  * Handles the /start command to display a welcome message and menu of available commands
@@ -25,7 +28,7 @@ async function handleStartCommand(bot, msg) {
   
   try {
     // Check if user is already authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     // Create welcome message
     const welcomeMessage = createWelcomeMessage(userName, authCheck);
@@ -70,7 +73,7 @@ async function handleLoginCommand(bot, msg) {
     const loginUrl = generateLoginUrl(userId);
     
     // Check if user is already authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     if (authCheck.isAuthenticated && authCheck.hasValidToken) {
       console.log(`User ${userId} is already authenticated with valid token`);
       
@@ -156,7 +159,7 @@ async function handleLogoutCommand(bot, msg) {
   
   try {
     // Check if user is currently authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     if (!authCheck.isAuthenticated) {
       return bot.sendMessage(
@@ -231,7 +234,7 @@ async function handleStatusCommand(bot, msg) {
   
   try {
     // Check user authentication status
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
 
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       let statusMessage = `📊 **Account Status**\n\n`;
@@ -305,7 +308,7 @@ async function handleAccessTokenCommand(bot, msg) {
   
   try {
     // Check if user is authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       if (!authCheck.isAuthenticated) {
         return bot.sendMessage(
@@ -358,10 +361,9 @@ async function handleAccessTokenCommand(bot, msg) {
  * Handles the /create_agent command to create agents from natural language prompts
  * This command:
  * 1. Checks if user is authenticated
- * 2. Prompts user to enter an agent description
- * 3. Validates the prompt (minimum 10 characters)
- * 4. Calls the agent generation API
- * 5. Creates the agent and provides feedback
+ * 2. Starts the agent creation flow (see flows/agentCreation.js), which
+ *    prompts for an agent description, validates it (minimum 10 characters),
+ *    calls the agent generation API and creates the agent
  * 
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
@@ -373,7 +375,7 @@ async function handleCreateAgentCommand(bot, msg) {
   
   try {
     // Check user authentication status
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
 
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       let statusMessage = `🤖 **Create Agent**\n\n`;
@@ -401,33 +403,10 @@ async function handleCreateAgentCommand(bot, msg) {
       return;
     }
 
-    // Set user state to await prompt
-    setUserState(userId, 'awaiting_agent_prompt');
-
-    // Send prompt request message
-    bot.sendMessage(
-      msg.chat.id,
-      `🤖 **Create Agent**\n\n` +
-      `${userName}, please describe the agent you want to create.\n\n` +
-      `📝 **Instructions:**\n` +
-      `• Describe what you want your agent to do\n` +
-      `• Include any specific capabilities or tasks\n` +
-      `• Mention scheduling if you want autonomous tasks\n` +
-      `• Minimum 10 characters required\n\n` +
-      `💡 **Examples:**\n` +
-      `• "Buy 0.1 ETH every hour when price drops below $2000"\n` +
-      `• "Monitor my portfolio and send daily reports"\n` +
-      `• "Tweet market updates every 30 minutes"\n\n` +
-      `Please send your agent description as the next message:`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: createAgentCreationKeyboard()
-        }
-      }
-    );
+    // Start the agent creation flow, which asks for the agent description
+    await startAgentCreation(bot, msg.chat.id, userId, userName);
     
-    console.log(`Sent agent creation prompt to user ${userId} and set awaiting state`);
+    console.log(`Started agent creation flow for user ${userId}`);
     
   } catch (error) {
     console.error(`Error processing /create_agent command for user ${userId}:`, error);
@@ -439,146 +418,13 @@ async function handleCreateAgentCommand(bot, msg) {
   }
 }
 
-/**
- * Handles the /my_agents command to display user's agents
- * This command:
- * 1. Checks if user is authenticated
- * 2. Calls getUserAgents API to fetch user's agents
- * 3. Displays the agents in a formatted message
- * 
- * @param {Object} bot - Telegram bot instance
- * @param {Object} msg - Telegram message object
- */
-async function handleMyAgentsCommand(bot, msg) {
-  const userId = msg.from.id;
-  const userName = msg.from.first_name || 'User';
-  console.log(`Processing /my_agents command for user ${userId}`);
-  
-  try {
-    // Check if user is authenticated
-    const authCheck = checkUserAuthentication(userId);
-    
-    if (!authCheck.isAuthenticated) {
-      const keyboard = createReauthKeyboard(userId);
-      bot.sendMessage(
-        msg.chat.id,
-        '🔐 **Authentication Required**\n\n' +
-        'You need to authenticate first to view your agents.\n\n' +
-        'Please use the login button below to authenticate with Privy.',
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: keyboard
-          }
-        }
-      );
-      return;
-    }
-
-    // Show loading message
-    const loadingMessage = await bot.sendMessage(
-      msg.chat.id,
-      '🔄 Loading your agents...'
-    );
-
-    // Get access token directly
-    const accessToken = getUserAccessToken(userId);
-    
-    // Get user's agents
-    const agentsData = await getUserAgents({
-      accessToken: accessToken,
-      limit: 100 // Limit to 100 agents for better readability
-    });
-
-    // Format agents message
-    let message = '🤖 **Your Agents**\n\n';
-    
-    if (!agentsData.data || agentsData.data.length === 0) {
-      message += 'You don\'t have any agents yet.\n\n' +
-                'Use /create_agent to create your first agent!';
-    } else {
-      message += `Found ${agentsData.data.length} agent(s):\n`;
-      message += `You can use /get_agent <agent_id> to get the information of a specific agent.\n\n`;
-      
-      agentsData.data.forEach((agent, index) => {
-        message += `**${index + 1}. ${agent.name || 'Unnamed Agent'}**\n`;
-        message += `   • ID: \`${agent.id}\`\n`;
-        if (agent.description) {
-          message += `   • Description: ${agent.description}\n`;
-        }
-        if (agent.status) {
-          message += `   • Status: ${agent.status}\n`;
-        }
-        if (agent.created_at) {
-          const createdDate = new Date(agent.created_at).toLocaleDateString();
-          message += `   • Created: ${createdDate}\n`;
-        }
-        message += '\n';
-      });
-      
-      if (agentsData.has_more) {
-        message += '... and more agents available.\n';
-      }
-    }
-
-    // Update the loading message with the results
-    bot.editMessageText(
-      message,
-      {
-        chat_id: msg.chat.id,
-        message_id: loadingMessage.message_id,
-        parse_mode: 'Markdown'
-      }
-    );
-
-  } catch (error) {
-    console.error(`Error processing /my_agents command for user ${userId}:`, error);
-    
-    // Try to edit the loading message if it exists
-    try {
-      await bot.editMessageText(
-        '❌ **Error loading your agents**\n\n' +
-        'There was an error retrieving your agents. Please try again later.\n\n' +
-        'If this error persists, please contact support.',
-        {
-          chat_id: msg.chat.id,
-          message_id: loadingMessage.message_id,
-          parse_mode: 'Markdown'
-        }
-      );
-    } catch (editError) {
-      // If editing fails, send a new message
-      bot.sendMessage(
-        msg.chat.id,
-        '❌ **Error loading your agents**\n\n' +
-        'There was an error retrieving your agents. Please try again later.\n\n' +
-        'If this error persists, please contact support.',
-        { parse_mode: 'Markdown' }
-      );
-    }
-  }
-}
-
-/**
- * Validates if the provided agent ID matches the expected format
- * Based on the example ID: d0o1lqvd14ts73arku3g
- * @param {string} agentId - The agent ID to validate
- * @returns {boolean} True if the ID format is valid
- */
-function validateAgentId(agentId) {
-  // Agent ID should be alphanumeric, 20 characters long
-  // Based on the example: d0o1lqvd14ts73arku3g
-  const agentIdPattern = /^[a-z0-9]{20}$/;
-  return agentIdPattern.test(agentId);
-}
-
 /**
  * Handles the /get_agent command to retrieve a specific agent by ID
  * This command:
  * 1. Checks if user is authenticated
  * 2. Validates the agent ID format
  * 3. Calls getAgent API to fetch the specific agent
- * 4. Displays the agent information in JSON format
+ * 4. Displays a formatted agent card with actions and a Raw JSON button
  * 
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
@@ -590,7 +436,7 @@ async function handleGetAgentCommand(bot, msg) {
   
   try {
     // Check if user is authenticated
-    const authCheck = checkUserAuthentication(userId);
+    const authCheck = await checkUserAuthentication(userId);
     
     if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
       let statusMessage = `🤖 **Get Agent**\n\n`;
@@ -673,19 +519,16 @@ async function handleGetAgentCommand(bot, msg) {
       agentId: agentId
     });
 
-    // Format the response with JSON display
-    let message = `🤖 **Agent Information**\n\n`;
-    message += `**Agent ID:** \`${agentId}\`\n\n`;
-    message += `**JSON Data:**\n`;
-    message += `\`\`\`json\n${JSON.stringify(agentData, null, 2)}\n\`\`\``;
-
-    // Update the loading message with the results
-    bot.editMessageText(
-      message,
+    // Update the loading message with the agent card, the full configuration is one button away
+    await bot.editMessageText(
+      createAgentCardMessage({ ...agentData, id: agentData.id || agentId }),
       {
         chat_id: msg.chat.id,
         message_id: loadingMessage.message_id,
-        parse_mode: 'Markdown'
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createAgentDetailKeyboard(agentId)
+        }
       }
     );
 
@@ -725,6 +568,194 @@ async function handleGetAgentCommand(bot, msg) {
   }
 }
 
+/**
+ * Handles the /editAgent command to change an existing agent conversationally
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID format and loads the agent
+ * 3. Starts the agent editing flow (see flows/agentEditing.js), which asks for
+ *    the change, shows a diff of the generated update and applies it after confirmation
+ * 
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleEditAgentCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /editAgent command for user ${userId}`);
+  
+  try {
+    // Check if user is authenticated
+    const authCheck = await checkUserAuthentication(userId);
+    
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `✏️ **Edit Agent**\n\n`;
+      
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to edit agents.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to edit agents.`;
+        clearUserAuthData(userId);
+      }
+      
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const agentId = msg.text.trim().split(/\s+/)[1];
+    
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `✏️ **Edit Agent**\n\n` +
+        `Usage: \`${COMMANDS.EDIT_AGENT} <agent_id>\`\n\n` +
+        `**Example:**\n` +
+        `• \`${COMMANDS.EDIT_AGENT} d0o1lqvd14ts73arku3g\`\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const agent = await getAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+
+    // Start the agent editing flow, which asks for the requested change
+    await startAgentEdit(bot, msg.chat.id, userId, { ...agent, id: agent.id || agentId });
+    
+    console.log(`Started agent editing flow for agent ${agentId} of user ${userId}`);
+
+  } catch (error) {
+    console.error(`Error processing /editAgent command for user ${userId}:`, error);
+    
+    const notFound = error.response?.status === 404 || error.response?.status === 403;
+    bot.sendMessage(
+      msg.chat.id,
+      notFound ?
+        '❌ Agent not found. Use /myAgents to see your available agents and their IDs.' :
+        '❌ Sorry, there was an error loading the agent. Please try again later.\n\n' +
+        'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Handles the /cloneAgent command to create a new agent from an existing one
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID format and loads the agent
+ * 3. Starts the agent cloning flow (see flows/agentCloning.js), which asks for the
+ *    name of the copy and an optional change, and shows the copy for review
+ * 
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleCloneAgentCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /cloneAgent command for user ${userId}`);
+  
+  try {
+    // Check if user is authenticated
+    const authCheck = await checkUserAuthentication(userId);
+    
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `🧬 **Clone Agent**\n\n`;
+      
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to clone agents.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to clone agents.`;
+        clearUserAuthData(userId);
+      }
+      
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const agentId = msg.text.trim().split(/\s+/)[1];
+    
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `🧬 **Clone Agent**\n\n` +
+        `Usage: \`${COMMANDS.CLONE_AGENT} <agent_id>\`\n\n` +
+        `**Example:**\n` +
+        `• \`${COMMANDS.CLONE_AGENT} d0o1lqvd14ts73arku3g\`\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const agent = await getAgent({
+      accessToken: getUserAccessToken(userId),
+      agentId: agentId
+    });
+
+    // Start the agent cloning flow, which asks for the name and changes of the copy
+    await startAgentClone(bot, msg.chat.id, userId, { ...agent, id: agent.id || agentId });
+    
+    console.log(`Started agent cloning flow for agent ${agentId} of user ${userId}`);
+
+  } catch (error) {
+    console.error(`Error processing /cloneAgent command for user ${userId}:`, error);
+    
+    const notFound = error.response?.status === 404 || error.response?.status === 403;
+    bot.sendMessage(
+      msg.chat.id,
+      notFound ?
+        '❌ Agent not found. Use /myAgents to see your available agents and their IDs.' :
+        '❌ Sorry, there was an error loading the agent. Please try again later.\n\n' +
+        'If this error persists, please contact support.'
+    );
+  }
+}
+
 /**
  * Handles the /help command to display all available commands and their descriptions
  * This command provides detailed information about all bot features
@@ -775,7 +806,8 @@ module.exports = {
   handleStatusCommand,
   handleAccessTokenCommand,
   handleCreateAgentCommand,
-  handleMyAgentsCommand,
   handleGetAgentCommand,
+  handleEditAgentCommand,
+  handleCloneAgentCommand,
   handleHelpCommand
 };
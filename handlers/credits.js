@@ -0,0 +1,353 @@
+const { createReauthKeyboard, createCreditsKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication, handleInvalidToken } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { createCreditsMessage, createErrorMessage } = require('../utils/messages');
+const { resetPagination, getPageCursor, savePageCursor } = require('../utils/pagination');
+const { CALLBACK_DATA, COMMANDS } = require('../config/constants');
+const { getUserAccount, getCreditExpenseHistory } = require('../api/nation');
+const {
+  EXPORT_FORMATS,
+  parseExportDate,
+  fetchExpenseEvents,
+  formatEventsAsCsv,
+  formatEventsAsJson
+} = require('../utils/creditExport');
+
+// Name of the expense history list in the pagination state
+const CREDITS_LIST = 'credits';
+
+/**
+ * Loads the credit balance and one page of expense history
+ * @param {string} userId - Telegram user ID
+ * @param {number} pageIndex - Zero based page index
+ * @param {string} cursor - Cursor the page is loaded with
+ * @returns {Promise<Object>} { text, keyboard }
+ */
+async function loadCreditsPage(userId, pageIndex, cursor) {
+  const accessToken = getUserAccessToken(userId);
+
+  const [accountData, history] = await Promise.all([
+    getUserAccount(accessToken),
+    getCreditExpenseHistory({
+      accessToken: accessToken,
+      cursor: cursor || undefined
+    })
+  ]);
+
+  const hasMore = !!(history.has_more && history.next_cursor);
+  if (hasMore) {
+    savePageCursor(userId, CREDITS_LIST, pageIndex, history.next_cursor);
+  }
+
+  return {
+    text: createCreditsMessage(accountData, history.data, pageIndex),
+    keyboard: createCreditsKeyboard(pageIndex, hasMore)
+  };
+}
+
+/**
+ * Handles the /credits command to display the credit balance and expense history
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Calls getUserAccount API to get the current balance
+ * 3. Calls the credit expense history API for the first page of expenses
+ * 4. Displays both with Next/Prev buttons to page through the history
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleCreditsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /credits command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `💳 **Your Credits**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to view your credits.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to view your credits.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    // Every /credits starts a new history from the most recent expenses
+    resetPagination(userId, CREDITS_LIST);
+    const { text, keyboard } = await loadCreditsPage(userId, 0, '');
+
+    bot.sendMessage(
+      msg.chat.id,
+      text,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error fetching credits for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+
+    // Clear user authentication data if token appears to be expired
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(
+      msg.chat.id,
+      errorMessage + '\n\nIf this error persists, please contact support.',
+      {
+        reply_markup: {
+          inline_keyboard: createReauthKeyboard(userId)
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handles Next/Prev buttons of the expense history
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCreditsPage(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const pageIndex = parseInt(callbackQuery.data.slice(CALLBACK_DATA.CREDITS_PAGE.length), 10);
+
+  try {
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: '🔐 Please authenticate first using /login',
+        show_alert: true
+      });
+      return;
+    }
+
+    const cursor = Number.isInteger(pageIndex) && pageIndex >= 0 ?
+      getPageCursor(userId, CREDITS_LIST, pageIndex) :
+      null;
+    if (cursor === null) {
+      // The buttons belong to an older /credits message
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'This page is no longer available. Use /credits to reload your history.',
+        show_alert: true
+      });
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: `Loading page ${pageIndex + 1}...`,
+      show_alert: false
+    });
+
+    const { text, keyboard } = await loadCreditsPage(userId, pageIndex, cursor);
+
+    await bot.editMessageText(
+      text,
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error loading credits page for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(
+      chatId,
+      errorMessage + '\n\nIf this error persists, please contact support.',
+      {
+        reply_markup: {
+          inline_keyboard: createReauthKeyboard(userId)
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Parses the arguments of the export command
+ * Accepted forms: [csv|json] [from YYYY-MM-DD] [to YYYY-MM-DD], in any order of format and dates
+ * @param {string} text - Command text
+ * @returns {Object} { format, from, to } or { error } with a usage problem
+ */
+function parseExportArguments(text) {
+  const args = text.trim().split(/\s+/).slice(1);
+  let format = 'csv';
+  const dates = [];
+
+  for (const arg of args) {
+    const lower = arg.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, lower)) {
+      format = lower;
+    } else {
+      dates.push(arg);
+    }
+  }
+
+  if (dates.length > 2) {
+    return { error: 'Too many arguments.' };
+  }
+
+  const from = dates[0] ? parseExportDate(dates[0]) : null;
+  const to = dates[1] ? parseExportDate(dates[1], true) : null;
+
+  if ((dates[0] && !from) || (dates[1] && !to)) {
+    return { error: 'Invalid date. Dates must use the format YYYY-MM-DD.' };
+  }
+  if (from && to && from > to) {
+    return { error: 'The start date must be before the end date.' };
+  }
+
+  return { format, from, to };
+}
+
+/**
+ * Handles the /exportCredits command to send the full expense history as a file
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Parses the optional format (csv or json) and date range
+ * 3. Walks every page of the credit expense history
+ * 4. Sends the matching events as a CSV or JSON document
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleExportCreditsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /exportCredits command for user ${userId}`);
+
+  let loadingMessage;
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `📤 **Export Credits**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to export your credit history.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to export your credit history.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const { format, from, to, error } = parseExportArguments(msg.text);
+    if (error) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **${error}**\n\n` +
+        `Usage: \`${COMMANDS.EXPORT_CREDITS} [csv|json] [from] [to]\`\n\n` +
+        `**Examples:**\n` +
+        `• \`${COMMANDS.EXPORT_CREDITS}\` - all expenses as CSV\n` +
+        `• \`${COMMANDS.EXPORT_CREDITS} json\` - all expenses as JSON\n` +
+        `• \`${COMMANDS.EXPORT_CREDITS} csv 2025-01-01 2025-01-31\` - expenses in January 2025\n\n` +
+        `Dates are inclusive and interpreted in UTC.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Show loading message
+    loadingMessage = await bot.sendMessage(
+      msg.chat.id,
+      '🔄 Collecting your credit history...'
+    );
+
+    const accessToken = getUserAccessToken(userId);
+    const { events, truncated } = await fetchExpenseEvents(accessToken, { from, to });
+
+    const content = format === 'json' ?
+      formatEventsAsJson(events, { from, to }) :
+      formatEventsAsCsv(events);
+
+    const rangeLabel = from || to ?
+      `${from ? from.toISOString().slice(0, 10) : 'start'} to ${to ? to.toISOString().slice(0, 10) : 'today'}` :
+      'all time';
+    const fileName = `credit-expenses-${from || to ? rangeLabel.replace(/ /g, '-') : 'all'}.${EXPORT_FORMATS[format].extension}`;
+
+    await bot.sendDocument(
+      msg.chat.id,
+      Buffer.from(content, 'utf8'),
+      {
+        caption: `📤 Credit expenses (${rangeLabel}): ${events.length} event(s)` +
+                 (truncated ? '\n⚠️ History too long, only the most recent pages were exported.' : '')
+      },
+      {
+        filename: fileName,
+        contentType: EXPORT_FORMATS[format].contentType
+      }
+    );
+
+    bot.deleteMessage(msg.chat.id, loadingMessage.message_id).catch(() => {});
+    console.log(`Exported ${events.length} credit events as ${format} for user ${userId}`);
+
+  } catch (error) {
+    console.error(`Error exporting credits for user ${userId}:`, error);
+
+    const { message: errorMessage, shouldClearAuth } = createErrorMessage(error);
+    handleInvalidToken(userId, shouldClearAuth);
+
+    bot.sendMessage(
+      msg.chat.id,
+      errorMessage + '\n\nIf this error persists, please contact support.',
+      {
+        reply_markup: {
+          inline_keyboard: createReauthKeyboard(userId)
+        }
+      }
+    );
+  }
+}
+
+module.exports = {
+  handleCreditsCommand,
+  handleCreditsPage,
+  handleExportCreditsCommand
+};
@@ -0,0 +1,281 @@
+const { createReauthKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { getUserAccessToken, clearUserAuthData, updateUserData } = require('../mockDb');
+const { deployAgent, getAgent } = require('../api/nation');
+const { validateAgentId, formatDeploymentStatus } = require('../utils/agents');
+const { stripMarkdown } = require('../utils/messages');
+const { COMMANDS, CALLBACK_DATA } = require('../config/constants');
+
+/**
+ * Sends the authentication required message of the deployment commands
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} authCheck - Result of checkUserAuthentication
+ * @param {string} title - Message title
+ */
+function sendAuthenticationRequired(bot, msg, authCheck, title) {
+  let statusMessage = `${title}\n\n`;
+
+  if (!authCheck.isAuthenticated) {
+    statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+    statusMessage += `Use /login to authenticate with Privy first to deploy agents.`;
+  } else if (!authCheck.hasValidToken) {
+    statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+    statusMessage += `Please re-authenticate using /login to deploy agents.`;
+    // Clear the invalid authentication data
+    clearUserAuthData(msg.from.id);
+  }
+
+  bot.sendMessage(
+    msg.chat.id,
+    statusMessage,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createReauthKeyboard(msg.from.id)
+      }
+    }
+  );
+}
+
+/**
+ * Deploys an agent and reloads it to get the resulting status
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID to deploy
+ * @returns {Promise<Object>} Agent data after the deployment
+ */
+async function deployAndReload(userId, agentId) {
+  const accessToken = getUserAccessToken(userId);
+  await deployAgent({ accessToken, agentId });
+  console.log(`Agent ${agentId} deployed for user ${userId}`);
+
+  // Report the status the API holds after the deployment
+  return getAgent({ accessToken, agentId });
+}
+
+/**
+ * Creates the message of a completed deployment
+ * @param {string} agentId - Agent ID
+ * @param {Object} agent - Agent data after the deployment
+ * @returns {string} Formatted message
+ */
+function createDeploymentMessage(agentId, agent) {
+  return `✅ **Deployment Requested**\n\n` +
+         `🤖 **Agent Name:** ${stripMarkdown(agent.name || 'Unnamed Agent')}\n` +
+         `🆔 **Agent ID:** \`${agentId}\`\n` +
+         `🚀 **Status:** ${formatDeploymentStatus(agent)}`;
+}
+
+/**
+ * Creates a user facing message for a failed deployment
+ * @param {string} userId - Telegram user ID
+ * @param {Error} error - The error object
+ * @returns {string} Error message
+ */
+function getDeploymentErrorMessage(userId, error) {
+  if (error.response?.status === 401) {
+    clearUserAuthData(userId);
+    return '❌ Authentication expired. Please sign in again using /login.';
+  }
+  if (error.response?.status === 404 || error.response?.status === 403) {
+    return '❌ Agent not found. Use /myAgents to see your available agents.';
+  }
+  if (error.response?.data?.message) {
+    return `❌ Deployment failed: ${error.response.data.message}`;
+  }
+  return '❌ Sorry, there was an error deploying the agent. Please try again later.\n\n' +
+         'If this error persists, please contact support.';
+}
+
+/**
+ * Handles the /deployAgent command to deploy an existing agent
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the agent ID
+ * 3. Deploys the agent and reports the resulting status from getAgent
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleDeployAgentCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /deployAgent command for user ${userId}`);
+
+  let processingMsg;
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      sendAuthenticationRequired(bot, msg, authCheck, '🚀 **Deploy Agent**');
+      return;
+    }
+
+    const agentId = msg.text.trim().split(/\s+/)[1];
+
+    if (!agentId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `🚀 **Deploy Agent**\n\n` +
+        `Usage: \`${COMMANDS.DEPLOY_AGENT} <agent_id>\`\n\n` +
+        `**Example:**\n` +
+        `• \`${COMMANDS.DEPLOY_AGENT} d0o1lqvd14ts73arku3g\`\n\n` +
+        `Use ${COMMANDS.MY_AGENTS} to see your available agents and their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (!validateAgentId(agentId)) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Agent ID Format**\n\n` +
+        `The agent ID \`${agentId}\` is not valid.\n\n` +
+        `Agent IDs are exactly 20 lowercase letters and numbers, e.g. \`d0o1lqvd14ts73arku3g\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    processingMsg = await bot.sendMessage(
+      msg.chat.id,
+      `🚀 **Deploying Agent**\n\n` +
+      `🆔 \`${agentId}\`\n\n` +
+      `⏳ This may take a few moments.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    const agent = await deployAndReload(userId, agentId);
+
+    await bot.editMessageText(
+      createDeploymentMessage(agentId, agent),
+      {
+        chat_id: msg.chat.id,
+        message_id: processingMsg.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /deployAgent command for user ${userId}:`, error);
+
+    const errorMessage = getDeploymentErrorMessage(userId, error);
+
+    if (processingMsg) {
+      bot.editMessageText(errorMessage, {
+        chat_id: msg.chat.id,
+        message_id: processingMsg.message_id
+      });
+    } else {
+      bot.sendMessage(msg.chat.id, errorMessage);
+    }
+  }
+}
+
+/**
+ * Handles the Deploy button of an agent card
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleDeployAgentButton(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const agentId = callbackQuery.data.slice(CALLBACK_DATA.DEPLOY_AGENT.length);
+
+  if (!validateAgentId(agentId)) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Invalid agent.',
+      show_alert: true
+    });
+    return;
+  }
+
+  try {
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: '🔐 Please authenticate first using /login',
+        show_alert: true
+      });
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Deploying agent...',
+      show_alert: false
+    });
+
+    const agent = await deployAndReload(userId, agentId);
+
+    await bot.sendMessage(chatId, createDeploymentMessage(agentId, agent), { parse_mode: 'Markdown' });
+
+  } catch (error) {
+    console.error(`Error deploying agent ${agentId} for user ${userId}:`, error);
+    bot.sendMessage(chatId, getDeploymentErrorMessage(userId, error));
+  }
+}
+
+/**
+ * Handles the /autoDeploy command to view and change whether new agents are deployed by default
+ * With "on" or "off", "Create & Deploy" becomes or stops being the first option when creating agents
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleAutoDeployCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /autoDeploy command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      sendAuthenticationRequired(bot, msg, authCheck, '🚀 **Auto Deploy**');
+      return;
+    }
+
+    const value = (msg.text.trim().split(/\s+/)[1] || '').toLowerCase();
+    const usage = `**Usage:**\n` +
+                  `• \`${COMMANDS.AUTO_DEPLOY} on\` - deploy new agents by default\n` +
+                  `• \`${COMMANDS.AUTO_DEPLOY} off\` - only create new agents by default`;
+
+    if (value !== 'on' && value !== 'off') {
+      const enabled = Boolean(authCheck.userData && authCheck.userData.deployOnCreate);
+      bot.sendMessage(
+        msg.chat.id,
+        `${value ? '❌ **Unknown Option**' : '🚀 **Auto Deploy**'}\n\n` +
+        `Deploy new agents by default: ${enabled ? '✅ on' : '❌ off'}\n\n` +
+        usage,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    updateUserData(userId, { deployOnCreate: value === 'on' });
+    console.log(`Set deploy on create for user ${userId} to ${value}`);
+
+    bot.sendMessage(
+      msg.chat.id,
+      value === 'on' ?
+        '✅ **Auto Deploy On**\n\nNew agents will offer "Create & Deploy" as the default option.' :
+        '✅ **Auto Deploy Off**\n\nNew agents will offer "Create" as the default option.',
+      { parse_mode: 'Markdown' }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /autoDeploy command for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, there was an error updating your settings. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+module.exports = {
+  handleDeployAgentCommand,
+  handleDeployAgentButton,
+  handleAutoDeployCommand
+};
@@ -0,0 +1,320 @@
+const { createReauthKeyboard, createNotificationSettingsKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData, getUserAuthStatus, getUserAccessToken, updateUserData } = require('../mockDb');
+const { DIGEST_PERIODS, resetAgentActivity } = require('../utils/agentActivity');
+const { stripMarkdown } = require('../utils/messages');
+const { COMMANDS, CALLBACK_DATA } = require('../config/constants');
+const { getAgent } = require('../api/nation');
+
+/**
+ * Agent activity notifications
+ * /notifications turns the activity summaries of jobs/activityNotifications.js on or off
+ * and chooses between instant notifications and an hourly or daily digest. Agents are
+ * muted with the button under a notification and unmuted from the settings.
+ */
+
+// Notification modes accepted by /notifications and the mode buttons
+const NOTIFICATION_MODES = ['instant', ...Object.keys(DIGEST_PERIODS)];
+
+/**
+ * Creates the notification settings message
+ * @param {Object} userData - User record from the database
+ * @returns {string} Formatted notification settings
+ */
+function createNotificationSettingsMessage(userData) {
+  const settings = userData || {};
+  const mutedNames = Object.values(settings.mutedActivityAgents || {});
+
+  let message = '🔔 **Agent Activity Notifications**\n\n';
+
+  if (!settings.activityNotifications) {
+    message += 'Notifications: ❌ off\n\n';
+  } else {
+    message += 'Notifications: ✅ on\n';
+    message += settings.activityDigest ?
+      `Delivery: ${settings.activityDigest} digest\n\n` :
+      'Delivery: instant\n\n';
+  }
+
+  if (mutedNames.length > 0) {
+    message += `🔇 Muted agents: ${mutedNames.map(stripMarkdown).join(', ')}\n\n`;
+  }
+
+  return message +
+         'You get a summary of task runs, trades, errors and credits spent by your agents.\n\n' +
+         `**Usage:**\n` +
+         `• \`${COMMANDS.NOTIFICATIONS} on\` - turn notifications on\n` +
+         `• \`${COMMANDS.NOTIFICATIONS} off\` - turn notifications off\n` +
+         `• \`${COMMANDS.NOTIFICATIONS} instant|hourly|daily\` - send activity right away or as a digest`;
+}
+
+/**
+ * Applies a notification setting
+ * @param {string} userId - Telegram user ID
+ * @param {string} setting - "on", "off" or a notification mode
+ * @returns {Object} Updated user record
+ */
+function applyNotificationSetting(userId, setting) {
+  const userData = getUserAuthStatus(userId) || {};
+
+  if (setting === 'off') {
+    updateUserData(userId, { activityNotifications: false });
+  } else if (setting === 'on') {
+    if (!userData.activityNotifications) {
+      // Only activity from now on is delivered, not what happened while notifications were off
+      resetAgentActivity(userId);
+      updateUserData(userId, { activityNotifications: true });
+    }
+  } else {
+    if (!userData.activityNotifications) {
+      resetAgentActivity(userId);
+    }
+    updateUserData(userId, {
+      activityNotifications: true,
+      activityDigest: setting === 'instant' ? null : setting
+    });
+  }
+
+  console.log(`Set activity notifications of user ${userId} to ${setting}`);
+  return getUserAuthStatus(userId);
+}
+
+/**
+ * Handles the /notifications command to view and configure agent activity notifications
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Without arguments, shows the current notification settings
+ * 3. With "on", "off", "instant", "hourly" or "daily", changes the settings
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleNotificationsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /notifications command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `🔔 **Agent Activity Notifications**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to get notifications.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to get notifications.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const setting = (msg.text.trim().split(/\s+/)[1] || '').toLowerCase();
+    let userData = authCheck.userData;
+
+    if (setting) {
+      if (setting !== 'on' && setting !== 'off' && !NOTIFICATION_MODES.includes(setting)) {
+        await bot.sendMessage(
+          msg.chat.id,
+          `❌ **Unknown Setting**\n\n` + createNotificationSettingsMessage(userData),
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      userData = applyNotificationSetting(userId, setting);
+    }
+
+    await bot.sendMessage(
+      msg.chat.id,
+      createNotificationSettingsMessage(userData),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createNotificationSettingsKeyboard(userData)
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /notifications command for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, there was an error updating your notifications. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Shows the notification settings after a button was tapped
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @param {Object} userData - User record from the database
+ * @param {boolean} replace - Whether to edit the message instead of sending a new one
+ */
+async function showNotificationSettings(bot, callbackQuery, userData, replace) {
+  const text = createNotificationSettingsMessage(userData);
+  const options = {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: createNotificationSettingsKeyboard(userData)
+    }
+  };
+
+  if (replace) {
+    await bot.editMessageText(text, {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      ...options
+    });
+  } else {
+    await bot.sendMessage(callbackQuery.message.chat.id, text, options);
+  }
+}
+
+/**
+ * Handles the buttons of the notification settings
+ * The settings button under a notification opens the settings in a new message,
+ * so the notification itself stays readable.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleNotificationSettingsButton(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const data = callbackQuery.data;
+  let answered = false;
+
+  try {
+    let userData = getUserAuthStatus(userId) || {};
+    let notice = null;
+
+    if (data === CALLBACK_DATA.ENABLE_NOTIFICATIONS) {
+      userData = applyNotificationSetting(userId, 'on');
+      notice = 'Notifications turned on';
+    } else if (data === CALLBACK_DATA.DISABLE_NOTIFICATIONS) {
+      userData = applyNotificationSetting(userId, 'off');
+      notice = 'Notifications turned off';
+    } else if (data.startsWith(CALLBACK_DATA.NOTIFICATION_MODE)) {
+      const mode = data.substring(CALLBACK_DATA.NOTIFICATION_MODE.length);
+      if (!NOTIFICATION_MODES.includes(mode)) {
+        throw new Error(`Unknown notification mode ${mode}`);
+      }
+      userData = applyNotificationSetting(userId, mode);
+      notice = mode === 'instant' ?
+        'Activity is sent right away' :
+        `Activity is sent once ${mode === 'hourly' ? 'an hour' : 'a day'}`;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, notice ? { text: notice, show_alert: false } : {});
+    answered = true;
+    await showNotificationSettings(bot, callbackQuery, userData, data !== CALLBACK_DATA.NOTIFICATION_SETTINGS);
+
+  } catch (error) {
+    console.error(`Error updating notifications for user ${userId}:`, error);
+
+    // A button can only be answered once; the setting is saved even if showing it failed
+    if (answered) {
+      return;
+    }
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Error updating your notifications. Please try again.',
+      show_alert: true
+    });
+  }
+}
+
+/**
+ * Handles the mute button under an activity notification
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleMuteAgentActivity(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.substring(CALLBACK_DATA.MUTE_AGENT_ACTIVITY.length);
+
+  try {
+    let name = agentId;
+    try {
+      const agent = await getAgent({ accessToken: getUserAccessToken(userId), agentId });
+      name = agent.name || name;
+    } catch (error) {
+      // The agent ID is shown in the settings if the name cannot be loaded
+      console.error(`Error loading agent ${agentId} to mute it for user ${userId}:`, error.message);
+    }
+
+    const userData = getUserAuthStatus(userId) || {};
+    updateUserData(userId, {
+      mutedActivityAgents: { ...(userData.mutedActivityAgents || {}), [agentId]: name }
+    });
+    console.log(`Muted activity of agent ${agentId} for user ${userId}`);
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: `🔇 ${name} muted. Unmute it in ${COMMANDS.NOTIFICATIONS}.`,
+      show_alert: false
+    });
+
+  } catch (error) {
+    console.error(`Error muting agent ${agentId} for user ${userId}:`, error);
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Error muting the agent. Please try again.',
+      show_alert: true
+    });
+  }
+}
+
+/**
+ * Handles the unmute button of the notification settings
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleUnmuteAgentActivity(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const agentId = callbackQuery.data.substring(CALLBACK_DATA.UNMUTE_AGENT_ACTIVITY.length);
+  let answered = false;
+
+  try {
+    const { [agentId]: name, ...mutedAgents } = (getUserAuthStatus(userId) || {}).mutedActivityAgents || {};
+    updateUserData(userId, { mutedActivityAgents: mutedAgents });
+    console.log(`Unmuted activity of agent ${agentId} for user ${userId}`);
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: `🔊 ${name || agentId} unmuted`,
+      show_alert: false
+    });
+    answered = true;
+    await showNotificationSettings(bot, callbackQuery, getUserAuthStatus(userId), true);
+
+  } catch (error) {
+    console.error(`Error unmuting agent ${agentId} for user ${userId}:`, error);
+
+    if (answered) {
+      return;
+    }
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Error unmuting the agent. Please try again.',
+      show_alert: true
+    });
+  }
+}
+
+module.exports = {
+  handleNotificationsCommand,
+  handleNotificationSettingsButton,
+  handleMuteAgentActivity,
+  handleUnmuteAgentActivity
+};
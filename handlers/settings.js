@@ -0,0 +1,245 @@
+const { createReauthKeyboard, createSwapSettingsKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData, getUserAuthStatus, updateUserData } = require('../mockDb');
+const {
+  MAX_SLIPPAGE_BPS,
+  PRIORITY_FEE_LEVELS,
+  QUOTE_TOKENS,
+  getSwapSettings,
+  parseTokenAmount,
+  formatPriorityFee
+} = require('../utils/swap');
+const { COMMANDS, CALLBACK_DATA } = require('../config/constants');
+
+/**
+ * Trading settings
+ * /settings chooses the slippage, priority fee and quote token used by every /swap,
+ * and the swap size up to which swaps are sent without asking for confirmation.
+ */
+
+// Settings changed by the buttons, by callback data prefix
+const SETTING_CALLBACKS = [
+  [CALLBACK_DATA.SWAP_SLIPPAGE, 'slippage'],
+  [CALLBACK_DATA.SWAP_PRIORITY_FEE, 'fee'],
+  [CALLBACK_DATA.SWAP_QUOTE_TOKEN, 'token'],
+  [CALLBACK_DATA.SWAP_CONFIRM_THRESHOLD, 'confirm']
+];
+
+/**
+ * Creates the trading settings message
+ * @param {Object} settings - Swap settings of the user (see getSwapSettings)
+ * @returns {string} Formatted trading settings
+ */
+function createSwapSettingsMessage(settings) {
+  return '⚙️ **Trading Settings**\n\n' +
+         `📉 Slippage: ${settings.slippageBps / 100}%\n` +
+         `⛽ Priority fee: ${formatPriorityFee(settings.priorityFee)}\n` +
+         `💰 Quote token: ${settings.quoteToken}\n` +
+         (settings.confirmThreshold === null ?
+           '✅ Confirmation: every swap\n\n' :
+           `✅ Confirmation: swaps above ${settings.confirmThreshold} ${settings.quoteToken}\n\n`) +
+         'Swaps are paid in the quote token. The buttons below set slippage, priority fee, ' +
+         'quote token and confirmation, one row each.\n\n' +
+         `**Usage:**\n` +
+         `• \`${COMMANDS.SETTINGS} slippage 75\` - accept 0.75% slippage (in basis points, up to ${MAX_SLIPPAGE_BPS})\n` +
+         `• \`${COMMANDS.SETTINGS} fee auto|medium|high|veryhigh\` - set the priority fee level\n` +
+         `• \`${COMMANDS.SETTINGS} token ${Object.keys(QUOTE_TOKENS).join('|')}\` - pay swaps with this token\n` +
+         `• \`${COMMANDS.SETTINGS} confirm 0.5\` - send swaps up to 0.5 without confirmation\n` +
+         `• \`${COMMANDS.SETTINGS} confirm always\` - confirm every swap`;
+}
+
+/**
+ * Turns a setting into the fields to store on the user record
+ * @param {string} name - "slippage", "fee", "token" or "confirm"
+ * @param {string} value - New value as typed or from a button
+ * @param {Object} settings - Current swap settings of the user
+ * @returns {Object|null} Fields to update, null if the setting is invalid
+ */
+function parseSwapSetting(name, value, settings) {
+  if (name === 'slippage') {
+    const bps = Number(value);
+    return Number.isInteger(bps) && bps > 0 && bps <= MAX_SLIPPAGE_BPS ? { swapSlippageBps: bps } : null;
+  }
+
+  if (name === 'fee') {
+    const level = Object.keys(PRIORITY_FEE_LEVELS).find((key) => key.toLowerCase() === value.toLowerCase());
+    return level ? { swapPriorityFee: level } : null;
+  }
+
+  if (name === 'token') {
+    const symbol = value.toUpperCase();
+    if (!Object.keys(QUOTE_TOKENS).includes(symbol)) {
+      return null;
+    }
+    // The threshold is an amount of the quote token, so it does not carry over to another token
+    return symbol === settings.quoteToken ?
+      { swapQuoteToken: symbol } :
+      { swapQuoteToken: symbol, swapConfirmThreshold: null };
+  }
+
+  if (name === 'confirm') {
+    if (value.toLowerCase() === 'always') {
+      return { swapConfirmThreshold: null };
+    }
+    const amount = parseTokenAmount(value, QUOTE_TOKENS[settings.quoteToken].decimals);
+    return amount ? { swapConfirmThreshold: Number(value) } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Handles the /settings command to view and change the trading settings
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Without arguments, shows the current settings with buttons to change them
+ * 3. With "slippage", "fee", "token" or "confirm" and a value, changes that setting
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleSettingsCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /settings command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `⚙️ **Trading Settings**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to change your settings.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to change your settings.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const [name, value] = msg.text.trim().split(/\s+/).slice(1);
+    let settings = getSwapSettings(authCheck.userData);
+
+    if (name !== undefined) {
+      const update = value !== undefined ? parseSwapSetting(name.toLowerCase(), value, settings) : null;
+
+      if (!update) {
+        bot.sendMessage(
+          msg.chat.id,
+          `❌ **Invalid Setting**\n\n` + createSwapSettingsMessage(settings),
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      updateUserData(userId, update);
+      console.log(`Updated trading settings of user ${userId}:`, update);
+      settings = getSwapSettings(getUserAuthStatus(userId));
+    }
+
+    bot.sendMessage(
+      msg.chat.id,
+      createSwapSettingsMessage(settings),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createSwapSettingsKeyboard(settings)
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /settings command for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, there was an error updating your settings. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Handles the buttons of the trading settings
+ * The settings button of the main menu opens the settings in a new message;
+ * the setting buttons update the settings message in place.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleSettingsButton(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const data = callbackQuery.data;
+
+  try {
+    const userData = getUserAuthStatus(userId) || {};
+    const settings = getSwapSettings(userData);
+
+    if (data === CALLBACK_DATA.SHOW_SETTINGS) {
+      await bot.answerCallbackQuery(callbackQuery.id);
+      await bot.sendMessage(
+        callbackQuery.message.chat.id,
+        createSwapSettingsMessage(settings),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createSwapSettingsKeyboard(settings)
+          }
+        }
+      );
+      return;
+    }
+
+    const [prefix, name] = SETTING_CALLBACKS.find(([callbackPrefix]) => data.startsWith(callbackPrefix));
+    const update = parseSwapSetting(name, data.substring(prefix.length), settings);
+    if (!update) {
+      throw new Error(`Invalid ${name} setting ${data}`);
+    }
+
+    // Telegram rejects edits that leave the message unchanged, e.g. a tap on the current choice
+    const updated = getSwapSettings({ ...userData, ...update });
+    if (JSON.stringify(updated) === JSON.stringify(settings)) {
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return;
+    }
+
+    updateUserData(userId, update);
+    console.log(`Updated trading settings of user ${userId}:`, update);
+
+    await bot.answerCallbackQuery(callbackQuery.id, { text: '✅ Settings saved', show_alert: false });
+    await bot.editMessageText(createSwapSettingsMessage(updated), {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createSwapSettingsKeyboard(updated)
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error updating trading settings for user ${userId}:`, error);
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: '❌ Error updating your settings. Please try again.',
+      show_alert: true
+    });
+  }
+}
+
+module.exports = {
+  handleSettingsCommand,
+  handleSettingsButton
+};
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { createReauthKeyboard, createSwapConfirmationKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData } = require('../mockDb');
+const { setConversationState, getConversationState, clearConversationState } = require('../utils/conversationState');
+const { createSwapQuoteMessage } = require('../utils/messages');
+const {
+  getUserWallet,
+  getTokenBalance,
+  getTokenMetadata,
+  getMintDecimals,
+  formatTokenAmount
+} = require('../utils/wallet');
+const {
+  SOL_DECIMALS,
+  QUOTE_TOKENS,
+  SWAP_FEE_RESERVE_LAMPORTS,
+  getSwapSettings,
+  parseTokenAmount,
+  executeSwap
+} = require('../utils/swap');
+const { getSolanaConnection } = require('../config/solana');
+const { COMMANDS, CALLBACK_DATA } = require('../config/constants');
+const { getSwapQuote } = require('../api/jupiter');
+
+/**
+ * Token swaps
+ * /swap quotes a swap from the user's quote token (SOL by default) to a token through
+ * Jupiter and shows a preview with price impact, route and minimum received. The swap
+ * is signed and sent by their Privy embedded wallet once the user confirms it, or right
+ * away if it is below the confirmation threshold of their /settings.
+ */
+
+// Conversation state while a quoted swap waits for confirmation
+const CONFIRM_SWAP_STATE = 'confirm_swap';
+
+// Time a quote can be confirmed before prices have moved too far
+const SWAP_QUOTE_TTL_MS = 60 * 1000;
+
+/**
+ * Creates the usage message of /swap
+ * @returns {string} Usage message
+ */
+function createSwapUsageMessage() {
+  return `💱 **Swap**\n\n` +
+         `Usage: \`${COMMANDS.SWAP} <TOKEN_ADDRESS> <AMOUNT>\`\n\n` +
+         `**Example:**\n` +
+         `• \`${COMMANDS.SWAP} EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v 0.1\` - swap 0.1 SOL for USDC\n\n` +
+         `The amount is paid in your quote token, SOL unless you changed it in ${COMMANDS.SETTINGS}. ` +
+         `You see a quote with price impact, route and minimum received before anything is swapped.`;
+}
+
+/**
+ * Creates a user facing message for a failed swap
+ * @param {Error} error - The error object
+ * @param {string} action - What failed (e.g. 'Quote')
+ * @returns {string} Error message
+ */
+function getSwapErrorMessage(error, action) {
+  if (error.response?.status === 400) {
+    return `❌ ${action} failed: Jupiter could not route this swap. Check the token address and amount.`;
+  }
+  if (error.response?.status === 429) {
+    return `❌ ${action} failed: Jupiter is rate limiting requests. Please try again in a minute.`;
+  }
+  return `❌ ${action} failed: ${error.message || 'Unknown error'}`;
+}
+
+/**
+ * Checks that a wallet can pay for a swap and its network fees
+ * @param {string} address - Wallet address
+ * @param {Object} inputToken - Token paid with: { mint, decimals, symbol }
+ * @param {bigint} amount - Amount paid in the smallest unit
+ * @returns {Promise<string|null>} Message explaining the shortfall, null if the balance suffices
+ */
+async function checkSwapBalance(address, inputToken, amount) {
+  const lamports = BigInt(await getSolanaConnection().getBalance(new PublicKey(address)));
+  const paysWithSol = inputToken.mint === QUOTE_TOKENS.SOL.mint;
+  const reserve = formatTokenAmount(SWAP_FEE_RESERVE_LAMPORTS, SOL_DECIMALS);
+
+  if (paysWithSol && lamports < amount + SWAP_FEE_RESERVE_LAMPORTS) {
+    return `❌ **Insufficient SOL**\n\n` +
+           `Your wallet holds ${formatTokenAmount(lamports, SOL_DECIMALS)} SOL. ` +
+           `Swapping ${formatTokenAmount(amount, SOL_DECIMALS)} SOL also needs about ${reserve} SOL for fees.`;
+  }
+  if (!paysWithSol && lamports < SWAP_FEE_RESERVE_LAMPORTS) {
+    return `❌ **Insufficient SOL**\n\n` +
+           `Your wallet holds ${formatTokenAmount(lamports, SOL_DECIMALS)} SOL and needs about ${reserve} SOL for fees.`;
+  }
+
+  if (!paysWithSol) {
+    const balance = await getTokenBalance(address, inputToken.mint);
+    if (balance < amount) {
+      return `❌ **Insufficient ${inputToken.symbol}**\n\n` +
+             `Your wallet holds ${formatTokenAmount(balance, inputToken.decimals)} ${inputToken.symbol}.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Signs and sends a quoted swap and reports the result in place of its preview
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat of the preview
+ * @param {number} messageId - Message of the preview
+ * @param {string} userId - Telegram user ID
+ * @param {Object} swap - Quoted swap: { quote, inputToken, outputToken, priorityFee, walletId, address }
+ */
+async function sendSwap(bot, chatId, messageId, userId, swap) {
+  let signature;
+  try {
+    signature = await executeSwap(swap);
+    console.log(`Swap ${signature} sent for user ${userId}`);
+  } catch (error) {
+    console.error(`Error sending swap for user ${userId}:`, error);
+    bot.sendMessage(chatId, getSwapErrorMessage(error, 'Swap'));
+    return;
+  }
+
+  const sentMessage = `✅ **Swap Sent**\n\n` +
+    `Your swap of ${formatTokenAmount(BigInt(swap.quote.inAmount), swap.inputToken.decimals)} ${swap.inputToken.symbol} ` +
+    `was sent to the network.\n\n` +
+    `🔗 [View on Solscan](https://solscan.io/tx/${signature})\n\n` +
+    `Use ${COMMANDS.WALLET} to see your new balances once it is confirmed.`;
+
+  // The swap is on its way at this point, so a failed edit must not read as a failed swap
+  try {
+    await bot.editMessageText(sentMessage, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    });
+  } catch (error) {
+    console.error(`Error showing sent swap ${signature} for user ${userId}:`, error);
+    bot.sendMessage(chatId, sentMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  }
+}
+
+/**
+ * Handles the /swap command to quote a swap from the user's quote token to a token
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Validates the token address and the amount against the wallet balance
+ * 3. Fetches a Jupiter quote with the user's slippage and asks the user to confirm it,
+ *    or sends the swap right away if it is below the user's confirmation threshold
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleSwapCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /swap command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `💱 **Swap**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to swap tokens.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to swap tokens.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const [, mint, amountText] = msg.text.trim().split(/\s+/);
+
+    if (!mint || !amountText) {
+      bot.sendMessage(msg.chat.id, createSwapUsageMessage(), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const settings = getSwapSettings(authCheck.userData);
+    const inputToken = { ...QUOTE_TOKENS[settings.quoteToken], symbol: settings.quoteToken };
+
+    let validMint = mint !== inputToken.mint;
+    try {
+      new PublicKey(mint);
+    } catch (error) {
+      validMint = false;
+    }
+    const decimals = validMint ? await getMintDecimals(mint) : null;
+
+    if (decimals === null) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Token Address**\n\n` +
+        `\`${mint}\` is not the address of a token you can buy with ${inputToken.symbol}.\n\n` +
+        createSwapUsageMessage(),
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const amount = parseTokenAmount(amountText, inputToken.decimals);
+
+    if (!amount) {
+      bot.sendMessage(
+        msg.chat.id,
+        `❌ **Invalid Amount**\n\n` +
+        `\`${amountText}\` is not a valid amount of ${inputToken.symbol}, e.g. \`0.1\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const wallet = await getUserWallet(userId);
+
+    if (!wallet || !wallet.walletId) {
+      bot.sendMessage(
+        msg.chat.id,
+        `💱 **Swap**\n\n` +
+        `Swaps are signed by your Privy embedded Solana wallet, and none is linked to your account yet.\n\n` +
+        `Create a Solana wallet in the web app via /login, then try again.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Privy only lets the bot sign with wallets the user has delegated to it
+    if (!wallet.delegated) {
+      bot.sendMessage(
+        msg.chat.id,
+        `💱 **Swap**\n\n` +
+        `Swaps are signed by the bot on your behalf, which needs your permission.\n\n` +
+        `Enable delegated actions for your Solana wallet in the web app via /login, then try again.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const insufficientMessage = await checkSwapBalance(wallet.address, inputToken, amount);
+
+    if (insufficientMessage) {
+      bot.sendMessage(msg.chat.id, insufficientMessage, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    let quote;
+    try {
+      quote = await getSwapQuote({
+        inputMint: inputToken.mint,
+        outputMint: mint,
+        amount: Number(amount),
+        slippageBps: settings.slippageBps
+      });
+    } catch (error) {
+      console.error(`Error quoting swap for user ${userId}:`, error.message);
+      bot.sendMessage(msg.chat.id, getSwapErrorMessage(error, 'Quote'));
+      return;
+    }
+
+    const metadata = (await getTokenMetadata([mint])).get(mint);
+    const outputToken = {
+      mint,
+      decimals,
+      name: metadata ? metadata.name : null,
+      symbol: metadata ? metadata.symbol : null
+    };
+
+    const swap = {
+      quote,
+      inputToken: { symbol: inputToken.symbol, decimals: inputToken.decimals },
+      outputToken,
+      priorityFee: settings.priorityFee,
+      walletId: wallet.walletId,
+      address: wallet.address
+    };
+
+    // Swaps up to the threshold go out without asking
+    const size = Number(formatTokenAmount(amount, inputToken.decimals));
+    if (settings.confirmThreshold !== null && size <= settings.confirmThreshold) {
+      const sent = await bot.sendMessage(
+        msg.chat.id,
+        createSwapQuoteMessage(swap) + '\n\n⏳ Signing and sending the swap...',
+        { parse_mode: 'Markdown' }
+      );
+      await sendSwap(bot, msg.chat.id, sent.message_id, userId, swap);
+      return;
+    }
+
+    // The buttons carry the quote ID, so buttons of an older quote cannot confirm this one
+    const quoteId = crypto.randomBytes(4).toString('hex');
+    setConversationState(userId, CONFIRM_SWAP_STATE, { ...swap, quoteId }, SWAP_QUOTE_TTL_MS);
+
+    bot.sendMessage(
+      msg.chat.id,
+      createSwapQuoteMessage(swap) +
+      `\n\n_Confirm within ${SWAP_QUOTE_TTL_MS / 1000} seconds, prices move quickly._`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createSwapConfirmationKeyboard(quoteId)
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /swap command for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, the swap could not be quoted. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Returns the swap the user is asked to confirm
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} { quote, inputToken, outputToken, priorityFee, walletId, address, quoteId }
+ *   or null if it expired
+ */
+function getPendingSwap(userId) {
+  const pending = getConversationState(userId);
+  return pending && pending.state === CONFIRM_SWAP_STATE ? pending.payload : null;
+}
+
+/**
+ * Handles the confirmation of a quoted swap by signing and sending it
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleConfirmSwap(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const quoteId = callbackQuery.data.slice(CALLBACK_DATA.CONFIRM_SWAP.length);
+  const pending = getPendingSwap(userId);
+
+  if (!pending) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'This quote has expired. Use /swap to get a new one.',
+      show_alert: true
+    });
+    return;
+  }
+  if (pending.quoteId !== quoteId) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'This quote was replaced by a newer one. Confirm the latest quote or use /swap again.',
+      show_alert: true
+    });
+    return;
+  }
+
+  // Clear first so a double tap cannot send the swap twice
+  clearConversationState(userId);
+
+  try {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Sending swap...',
+      show_alert: false
+    });
+
+    await bot.editMessageText(
+      createSwapQuoteMessage(pending) + '\n\n⏳ Signing and sending the swap...',
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error showing swap progress for user ${userId}:`, error);
+  }
+
+  await sendSwap(bot, chatId, callbackQuery.message.message_id, userId, pending);
+}
+
+/**
+ * Discards the swap the user is asked to confirm
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleCancelSwap(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+  const quoteId = callbackQuery.data.slice(CALLBACK_DATA.CANCEL_SWAP.length);
+  const pending = getPendingSwap(userId);
+
+  // Cancelling an older quote leaves a newer pending quote alone
+  if (pending && pending.quoteId === quoteId) {
+    clearConversationState(userId);
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: 'Cancelled.',
+    show_alert: false
+  });
+
+  await bot.editMessageText(
+    '❌ **Swap Cancelled**\n\n' +
+    'Nothing was swapped.',
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+module.exports = {
+  handleSwapCommand,
+  handleConfirmSwap,
+  handleCancelSwap
+};
@@ -0,0 +1,203 @@
+const { createReauthKeyboard, createTemplateCategoriesKeyboard, createTemplateListKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData } = require('../mockDb');
+const { createTemplateCatalogMessage, createTemplateCategoryMessage } = require('../utils/messages');
+const { loadAgentTemplates, getTemplatesByCategory, getAgentTemplate } = require('../utils/agentTemplates');
+const { getActiveFlow } = require('../utils/flows');
+const { clearConversationState } = require('../utils/conversationState');
+const { startTemplateFlow } = require('../flows/agentTemplate');
+const { CALLBACK_DATA, FLOWS } = require('../config/constants');
+
+/**
+ * Template catalog
+ * /templates (or "Use a Template" while creating an agent) lists the template categories;
+ * a category lists its templates and choosing one starts the template flow
+ * (see flows/agentTemplate.js). Templates are configured in config/agentTemplates.json.
+ */
+
+/**
+ * Answers a callback query of an unauthenticated user
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ * @returns {Promise<boolean>} True if the user is authenticated
+ */
+async function ensureAuthenticated(bot, callbackQuery) {
+  const authCheck = await checkUserAuthentication(callbackQuery.from.id);
+  if (authCheck.isAuthenticated && authCheck.hasValidToken) {
+    return true;
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: '🔐 Please authenticate first using /login',
+    show_alert: true
+  });
+  return false;
+}
+
+/**
+ * Handles the /templates command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleTemplatesCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /templates command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `📚 **Agent Templates**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to create agents from templates.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to create agents from templates.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const { categories } = loadAgentTemplates();
+
+    bot.sendMessage(
+      msg.chat.id,
+      createTemplateCatalogMessage(categories),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: createTemplateCategoriesKeyboard(categories)
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error processing /templates command for user ${userId}:`, error);
+    bot.sendMessage(msg.chat.id, '❌ Sorry, the templates could not be loaded. Please try again later.');
+  }
+}
+
+/**
+ * Handles the "Use a Template" and "All Categories" buttons by showing the categories
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleShowTemplates(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+
+  if (!(await ensureAuthenticated(bot, callbackQuery))) {
+    return;
+  }
+
+  // The button is also shown while the agent description is requested, which no longer applies
+  const active = getActiveFlow(userId);
+  if (active && active.flow.name === FLOWS.CREATE_AGENT) {
+    clearConversationState(userId);
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id);
+
+  const { categories } = loadAgentTemplates();
+
+  await bot.editMessageText(
+    createTemplateCatalogMessage(categories),
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createTemplateCategoriesKeyboard(categories)
+      }
+    }
+  );
+}
+
+/**
+ * Handles a category button by listing the templates of the category
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleTemplateCategory(bot, callbackQuery) {
+  if (!(await ensureAuthenticated(bot, callbackQuery))) {
+    return;
+  }
+
+  const categoryId = callbackQuery.data.slice(CALLBACK_DATA.TEMPLATE_CATEGORY.length);
+  const { category, templates } = getTemplatesByCategory(categoryId);
+
+  if (!category || templates.length === 0) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'This category is no longer available. Use /templates to reload the templates.',
+      show_alert: true
+    });
+    return;
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id);
+
+  await bot.editMessageText(
+    createTemplateCategoryMessage(category, templates),
+    {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: createTemplateListKeyboard(templates)
+      }
+    }
+  );
+}
+
+/**
+ * Handles a template button by asking for the placeholders of the template
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleUseTemplate(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+
+  if (!(await ensureAuthenticated(bot, callbackQuery))) {
+    return;
+  }
+
+  const templateId = callbackQuery.data.slice(CALLBACK_DATA.USE_TEMPLATE.length);
+  const template = getAgentTemplate(templateId);
+
+  if (!template) {
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'This template is no longer available. Use /templates to reload the templates.',
+      show_alert: true
+    });
+    return;
+  }
+
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: `Using template "${template.name}"`,
+    show_alert: false
+  });
+
+  console.log(`User ${userId} chose agent template ${template.id}`);
+  await startTemplateFlow(bot, callbackQuery.message.chat.id, userId, template);
+}
+
+module.exports = {
+  handleTemplatesCommand,
+  handleShowTemplates,
+  handleTemplateCategory,
+  handleUseTemplate
+};
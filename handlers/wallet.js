@@ -0,0 +1,153 @@
+const { createReauthKeyboard, createWalletKeyboard } = require('../utils/keyboards');
+const { checkUserAuthentication } = require('../utils/auth');
+const { clearUserAuthData } = require('../mockDb');
+const { createWalletMessage } = require('../utils/messages');
+const { getUserWallet, getWalletBalances } = require('../utils/wallet');
+
+/**
+ * Wallet view
+ * /wallet shows the SOL and SPL token balances of the Solana wallet linked to the
+ * user's Privy account; the Refresh button reloads them in place.
+ */
+
+/**
+ * Loads the wallet view of a user
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<Object>} { text, keyboard }
+ */
+async function loadWalletView(userId) {
+  const wallet = await getUserWallet(userId);
+
+  if (!wallet) {
+    return {
+      text: '👛 **Your Wallet**\n\n' +
+            'No Solana wallet is linked to your Privy account yet.\n\n' +
+            'Log in with /login and create a Solana wallet in the web app, then try again.',
+      keyboard: createReauthKeyboard(userId)
+    };
+  }
+
+  const balances = await getWalletBalances(wallet.address);
+  return {
+    text: createWalletMessage(wallet.address, balances),
+    keyboard: createWalletKeyboard()
+  };
+}
+
+/**
+ * Handles the /wallet command to display the balances of the user's Solana wallet
+ * This command:
+ * 1. Checks if user is authenticated
+ * 2. Resolves the Solana wallet linked to the user's Privy account
+ * 3. Displays the SOL balance and SPL token balances with token names and symbols
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+async function handleWalletCommand(bot, msg) {
+  const userId = msg.from.id;
+  console.log(`Processing /wallet command for user ${userId}`);
+
+  try {
+    // Check user authentication status
+    const authCheck = await checkUserAuthentication(userId);
+
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      let statusMessage = `👛 **Your Wallet**\n\n`;
+
+      if (!authCheck.isAuthenticated) {
+        statusMessage += `Authentication: ❌ Not authenticated\n\n`;
+        statusMessage += `Use /login to authenticate with Privy first to view your wallet.`;
+      } else if (!authCheck.hasValidToken) {
+        statusMessage += `Authentication: ❌ Access token not found or expired\n\n`;
+        statusMessage += `Please re-authenticate using /login to view your wallet.`;
+        // Clear the invalid authentication data
+        clearUserAuthData(userId);
+      }
+
+      bot.sendMessage(
+        msg.chat.id,
+        statusMessage,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+      return;
+    }
+
+    const { text, keyboard } = await loadWalletView(userId);
+
+    bot.sendMessage(
+      msg.chat.id,
+      text,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error fetching wallet for user ${userId}:`, error);
+    bot.sendMessage(
+      msg.chat.id,
+      '❌ Sorry, your wallet balances could not be loaded. Please try again later.\n\n' +
+      'If this error persists, please contact support.'
+    );
+  }
+}
+
+/**
+ * Handles the Refresh button of the wallet view
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Telegram callback query object
+ */
+async function handleRefreshWallet(bot, callbackQuery) {
+  const userId = callbackQuery.from.id;
+
+  try {
+    const authCheck = await checkUserAuthentication(userId);
+    if (!authCheck.isAuthenticated || !authCheck.hasValidToken) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: '🔐 Please authenticate first using /login',
+        show_alert: true
+      });
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, {
+      text: 'Refreshing balances...',
+      show_alert: false
+    });
+
+    const { text, keyboard } = await loadWalletView(userId);
+
+    await bot.editMessageText(
+      text,
+      {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error(`Error refreshing wallet for user ${userId}:`, error);
+    bot.sendMessage(
+      callbackQuery.message.chat.id,
+      '❌ Sorry, your wallet balances could not be loaded. Please try again later.'
+    );
+  }
+}
+
+module.exports = {
+  handleWalletCommand,
+  handleRefreshWallet
+};
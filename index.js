@@ -12,13 +12,27 @@ const {
   handleLogoutCommand,
   handleAccessTokenCommand,
   handleCreateAgentCommand,
-  handleMyAgentsCommand,
   handleGetAgentCommand,
+  handleEditAgentCommand,
+  handleCloneAgentCommand,
   handleHelpCommand
 } = require('./handlers/commands');
+const { handleCreditsCommand, handleExportCreditsCommand } = require('./handlers/credits');
+const { handleAlertsCommand } = require('./handlers/alerts');
+const { handleWalletCommand } = require('./handlers/wallet');
+const { handleSwapCommand } = require('./handlers/swap');
+const { handleSettingsCommand } = require('./handlers/settings');
+const { handleNotificationsCommand } = require('./handlers/notifications');
+const { handleDeployAgentCommand, handleAutoDeployCommand } = require('./handlers/deploy');
+const { handleMyAgentsCommand } = require('./handlers/agents');
+const { handleChatCommand, handleChatMessage } = require('./handlers/chat');
+const { handleDeleteAgentCommand } = require('./handlers/agentDeletion');
+const { handleTemplatesCommand } = require('./handlers/templates');
+const { handleExportAgentCommand, handleAgentDocument } = require('./handlers/agentFiles');
+const { handleAgentTasksCommand } = require('./handlers/agentTasks');
 
 // Import callback handlers
-const { handleCallbackQuery, processAgentCreation } = require('./handlers/callbacks');
+const { handleCallbackQuery } = require('./handlers/callbacks');
 
 // Import route handlers
 const { 
@@ -34,22 +48,33 @@ const {
   createKeepAliveHandler 
 } = require('./routes/health');
 
+// Fail fast if token encryption is not configured safely
+const { validateEncryptionConfig } = require('./cryptoUtils');
+validateEncryptionConfig();
+
 // Import constants
 const { COMMANDS } = require('./config/constants');
 const { updateUserAuthStatus } = require('./mockDb');
-const { getUserState, clearUserState } = require('./utils/userState');
+const { handleFlowMessage } = require('./utils/flows');
+const { startTokenExpiryReminder } = require('./jobs/tokenExpiryReminder');
+const { startLowCreditAlerts } = require('./jobs/lowCreditAlerts');
+const { startActivityNotifications } = require('./jobs/activityNotifications');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Middleware to parse JSON
-app.use(express.json());
+// Middleware to parse JSON, keeping the raw body for signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // CORS middleware to allow cross-origin requests
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Signature, X-Timestamp, X-Nonce');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -77,17 +102,33 @@ app.post('/auth/callback', createAuthCallbackHandler(bot));
 bot.onText(new RegExp(COMMANDS.START), (msg) => handleStartCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.LOGIN), (msg) => handleLoginCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.STATUS), (msg) => handleStatusCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.WALLET), (msg) => handleWalletCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.SWAP), (msg) => handleSwapCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.SETTINGS), (msg) => handleSettingsCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.LOGOUT), (msg) => handleLogoutCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.ACCESS_TOKEN), (msg) => handleAccessTokenCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.CREATE_AGENT), (msg) => handleCreateAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.TEMPLATES), (msg) => handleTemplatesCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.MY_AGENTS), (msg) => handleMyAgentsCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.GET_AGENT), (msg) => handleGetAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.EDIT_AGENT), (msg) => handleEditAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.CLONE_AGENT), (msg) => handleCloneAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.AGENT_TASKS), (msg) => handleAgentTasksCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.EXPORT_AGENT), (msg) => handleExportAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.DEPLOY_AGENT), (msg) => handleDeployAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.AUTO_DEPLOY), (msg) => handleAutoDeployCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.CHAT), (msg) => handleChatCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.DELETE_AGENT), (msg) => handleDeleteAgentCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.CREDITS), (msg) => handleCreditsCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.EXPORT_CREDITS), (msg) => handleExportCreditsCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.ALERTS), (msg) => handleAlertsCommand(bot, msg));
+bot.onText(new RegExp(COMMANDS.NOTIFICATIONS), (msg) => handleNotificationsCommand(bot, msg));
 bot.onText(new RegExp(COMMANDS.HELP), (msg) => handleHelpCommand(bot, msg));
 
 // Setup callback query handler
 bot.on('callback_query', (callbackQuery) => handleCallbackQuery(bot, callbackQuery));
 
-// Handle web app data and text messages for agent creation
+// Handle web app data, agent files and text messages for multi-step flows
 bot.on('message', async (msg) => {
   const userId = msg.from.id;
   
@@ -129,19 +170,28 @@ bot.on('message', async (msg) => {
     return;
   }
   
-  // Handle text messages for agent creation
+  // Handle agent definition files sent for import
+  if (msg.document) {
+    try {
+      await handleAgentDocument(bot, msg);
+    } catch (error) {
+      console.error(`Error handling document from user ${userId}:`, error);
+    }
+    return;
+  }
+
+  // Handle text messages for multi-step flows (e.g. agent creation), otherwise for an agent chat
   if (msg.text && !msg.web_app_data) {
-    const userState = getUserState(userId);
-    
-    // Check if user is in agent creation mode
-    if (userState === 'awaiting_agent_prompt') {
-      console.log(`Processing agent creation prompt from user ${userId}: ${msg.text}`);
-      
-      // Clear the user state since we're processing the prompt
-      clearUserState(userId);
-      
-      // Process the agent creation with the provided prompt
-      await processAgentCreation(bot, msg, msg.text);
+    try {
+      if (!(await handleFlowMessage(bot, msg))) {
+        await handleChatMessage(bot, msg);
+      }
+    } catch (error) {
+      console.error(`Error handling flow message from user ${userId}:`, error);
+      bot.sendMessage(
+        msg.chat.id,
+        '❌ Sorry, there was an error processing your message. Please try again later.'
+      );
     }
   }
 });
@@ -208,10 +258,24 @@ async function setupWebhookWithRetry(maxRetries = 3) {
 // Export the Express app for Vercel
 module.exports = app;
 
+// Background jobs started once the server is listening
+let tokenExpiryReminder = null;
+let lowCreditAlerts = null;
+let activityNotifications = null;
+
 // Start server for Railway deployment
 const server = app.listen(port, '0.0.0.0', async () => {
   console.log(`Server is running on port ${port} and accessible from network`);
   
+  // Remind users to re-authenticate before their Privy session expires
+  tokenExpiryReminder = startTokenExpiryReminder(bot);
+  
+  // Warn users whose credit balance drops below their alert threshold
+  lowCreditAlerts = startLowCreditAlerts(bot);
+  
+  // Send subscribed users the activity of their agents
+  activityNotifications = startActivityNotifications(bot);
+  
   // Auto-setup webhook for production deployment with retry logic
   if (process.env.NODE_ENV === 'production' && process.env.WEBHOOK_BASE_URL) {
     // Delay webhook setup to ensure server is fully ready
@@ -232,6 +296,9 @@ const server = app.listen(port, '0.0.0.0', async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(tokenExpiryReminder);
+  clearInterval(lowCreditAlerts);
+  clearInterval(activityNotifications);
   // No need to stop polling in webhook mode
   server.close(() => {
     console.log('Process terminated');
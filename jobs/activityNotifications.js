@@ -0,0 +1,235 @@
+const { getAllUserData, getUserAccessToken } = require('../mockDb');
+const { getUserAgents, getAgentActivities, getCreditExpenseHistory } = require('../api/nation');
+const {
+  CREDITS_SOURCE,
+  DIGEST_PERIODS,
+  getItemsAfterWatermark,
+  advanceWatermark,
+  getActivityWatermarks,
+  saveActivityWatermarks,
+  createActivitySummary,
+  addActivity,
+  addCreditExpense,
+  isSummaryEmpty,
+  queueActivityDigest,
+  getDueActivityDigest,
+  startActivityDigest
+} = require('../utils/agentActivity');
+const { createActivityMessage } = require('../utils/messages');
+const { createActivityNotificationKeyboard } = require('../utils/keyboards');
+
+/**
+ * Background scheduler that sends users a summary of the activity of their agents
+ * (task runs, trades, errors and credits spent) after they turned it on with /notifications
+ */
+
+// How often to poll the activity of subscribed users
+const DEFAULT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Maximum number of agents watched per user, fetched in a single request
+const MAX_WATCHED_AGENTS = 100;
+
+// Number of activities fetched per request
+const ACTIVITY_PAGE_SIZE = 20;
+
+// Maximum number of pages fetched per agent or credit history and poll, older activity is skipped
+const MAX_ACTIVITY_PAGES = 10;
+
+// Maximum number of agents in one notification, each has a mute button
+const MAX_NOTIFIED_AGENTS = 10;
+
+/**
+ * Fetches the items of an activity source back to its watermark
+ * Pages are newest first, so paging stops at the first page that reaches the watermark.
+ * A source without a watermark only needs its newest page to start one.
+ * @param {Function} fetchPage - Loads the page of a cursor, resolves to { data, has_more, next_cursor }
+ * @param {Object|undefined} watermark - Watermark of the source
+ * @returns {Promise<Array<Object>>} Fetched items, newest first
+ */
+async function fetchItemsSinceWatermark(fetchPage, watermark) {
+  const at = watermark ? new Date(watermark.at).getTime() : null;
+  const items = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_ACTIVITY_PAGES; page++) {
+    const pageData = await fetchPage(cursor);
+    const pageItems = pageData.data || [];
+    items.push(...pageItems);
+
+    cursor = pageData.has_more !== false ? pageData.next_cursor : null;
+    if (at === null || !cursor || pageItems.some((item) => !(new Date(item.created_at).getTime() > at))) {
+      return items;
+    }
+  }
+
+  console.warn(`Stopped fetching activity after ${MAX_ACTIVITY_PAGES} pages, older items are skipped`);
+  return items;
+}
+
+/**
+ * Collects the activity of a user's agents since the last delivery
+ * @param {string} accessToken - The access token for authentication
+ * @param {Object} watermarks - Watermarks of the user, advanced in place
+ * @param {Object} mutedAgents - Muted agent names by ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<Object>>} One activity summary per agent with new activity
+ */
+async function collectAgentActivity(accessToken, watermarks, mutedAgents, now) {
+  const summaries = {};
+  const getSummary = (agentId, name) => {
+    summaries[agentId] = summaries[agentId] || createActivitySummary(agentId, name || 'Unnamed Agent');
+    return summaries[agentId];
+  };
+
+  const agentsData = await getUserAgents({ accessToken, limit: MAX_WATCHED_AGENTS });
+  const agents = agentsData.data || [];
+  const agentNames = {};
+
+  for (const agent of agents) {
+    agentNames[agent.id] = agent.name;
+
+    const watermark = watermarks[agent.id];
+    const activities = await fetchItemsSinceWatermark(
+      (cursor) => getAgentActivities({ accessToken, agentId: agent.id, cursor, limit: ACTIVITY_PAGE_SIZE }),
+      watermark
+    );
+
+    // Activity of muted agents still moves the watermark, so unmuting does not replay it
+    if (watermark && !mutedAgents[agent.id]) {
+      getItemsAfterWatermark(activities, watermark).forEach((activity) => {
+        addActivity(getSummary(agent.id, agent.name), activity);
+      });
+    }
+    watermarks[agent.id] = advanceWatermark(watermark, activities, now);
+  }
+
+  const creditsWatermark = watermarks[CREDITS_SOURCE];
+  const events = await fetchItemsSinceWatermark(
+    (cursor) => getCreditExpenseHistory({ accessToken, cursor }),
+    creditsWatermark
+  );
+
+  if (creditsWatermark) {
+    getItemsAfterWatermark(events, creditsWatermark)
+      .filter((event) => event.agent_id && !mutedAgents[event.agent_id])
+      .forEach((event) => {
+        addCreditExpense(getSummary(event.agent_id, agentNames[event.agent_id] || event.agent_id), event);
+      });
+  }
+  watermarks[CREDITS_SOURCE] = advanceWatermark(creditsWatermark, events, now);
+
+  return Object.values(summaries).filter((summary) => !isSummaryEmpty(summary));
+}
+
+/**
+ * Sends an activity notification
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} userId - Telegram user ID
+ * @param {Array<Object>} summaries - Activity summaries
+ * @param {string|null} digest - Digest mode or null for an instant notification
+ */
+async function sendActivityNotification(bot, userId, summaries, digest) {
+  const shown = summaries.slice(0, MAX_NOTIFIED_AGENTS);
+  let message = createActivityMessage(shown, digest);
+  if (summaries.length > shown.length) {
+    message += `_... and ${summaries.length - shown.length} more agent(s) with activity._`;
+  }
+
+  await bot.sendMessage(userId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: createActivityNotificationKeyboard(shown)
+    }
+  });
+}
+
+/**
+ * Polls the agent activity of every subscribed user and delivers it
+ * Instant notifications are sent right away; in digest mode the activity is queued
+ * in storage and sent once the hour or day since the last digest has passed.
+ * The watermarks are stored after delivery, so a restart never resends activity.
+ * @param {Object} bot - Telegram bot instance
+ */
+async function checkAgentActivity(bot) {
+  const now = Date.now();
+  const allUserData = getAllUserData();
+
+  for (const [userId, userData] of Object.entries(allUserData)) {
+    if (!userData.activityNotifications || !userData.isAuthenticated) {
+      continue;
+    }
+
+    // Expired sessions cannot query the API; the expiry reminder takes care of those users
+    if (userData.tokenExpiresAt && new Date(userData.tokenExpiresAt).getTime() <= now) {
+      continue;
+    }
+
+    try {
+      const accessToken = getUserAccessToken(userId);
+      if (!accessToken) {
+        continue;
+      }
+
+      const watermarks = getActivityWatermarks(userId);
+      const summaries = await collectAgentActivity(
+        accessToken,
+        watermarks,
+        userData.mutedActivityAgents || {},
+        now
+      );
+      const digest = DIGEST_PERIODS[userData.activityDigest] ? userData.activityDigest : null;
+
+      if (digest) {
+        if (summaries.length > 0) {
+          queueActivityDigest(userId, summaries, now);
+        }
+        saveActivityWatermarks(userId, watermarks);
+
+        const due = getDueActivityDigest(userId, DIGEST_PERIODS[digest], now);
+        if (due) {
+          await sendActivityNotification(bot, userId, due, digest);
+          startActivityDigest(userId, now);
+          console.log(`Sent ${digest} activity digest to user ${userId} (${due.length} agents)`);
+        }
+        continue;
+      }
+
+      // A digest still pending from before the user switched to instant notifications goes out first
+      const pending = getDueActivityDigest(userId, 0, now);
+      if (pending) {
+        await sendActivityNotification(bot, userId, pending, null);
+        startActivityDigest(userId, now);
+      }
+
+      if (summaries.length > 0) {
+        await sendActivityNotification(bot, userId, summaries, null);
+        console.log(`Sent activity notification to user ${userId} (${summaries.length} agents)`);
+      }
+      saveActivityWatermarks(userId, watermarks);
+    } catch (error) {
+      console.error(`Error checking agent activity for user ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Starts the agent activity notification scheduler
+ * @param {Object} bot - Telegram bot instance
+ * @returns {NodeJS.Timeout} Interval handle, pass to clearInterval to stop the scheduler
+ */
+function startActivityNotifications(bot) {
+  const intervalMs = parseInt(process.env.ACTIVITY_NOTIFICATION_INTERVAL_MS, 10) || DEFAULT_CHECK_INTERVAL_MS;
+
+  console.log(`🔔 Agent activity notifications enabled (every ${intervalMs / 1000}s)`);
+
+  return setInterval(() => {
+    checkAgentActivity(bot).catch((error) => {
+      console.error('Error running agent activity notifications:', error);
+    });
+  }, intervalMs);
+}
+
+module.exports = {
+  checkAgentActivity,
+  startActivityNotifications
+};
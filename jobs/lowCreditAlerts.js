@@ -0,0 +1,100 @@
+const { getAllUserData, getUserAccessToken, updateUserData } = require('../mockDb');
+const { getUserAccount } = require('../api/nation');
+const { getCreditBalance } = require('../utils/credits');
+const { formatCredits } = require('../utils/messages');
+const { COMMANDS } = require('../config/constants');
+
+/**
+ * Background scheduler that warns users when their credit balance drops below
+ * the threshold they configured with /alerts
+ */
+
+// How often to check the balances of opted-in users
+const DEFAULT_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Checks the credit balance of every user with a low-credit alert
+ * A user is alerted once when the balance drops below the threshold and again only
+ * after the balance has recovered to the threshold or above
+ * @param {Object} bot - Telegram bot instance
+ */
+async function checkLowCreditAlerts(bot) {
+  const now = Date.now();
+  const allUserData = getAllUserData();
+
+  for (const [userId, userData] of Object.entries(allUserData)) {
+    if (typeof userData.creditAlertThreshold !== 'number' || !userData.isAuthenticated) {
+      continue;
+    }
+
+    // Expired sessions cannot query the API; the expiry reminder takes care of those users
+    if (userData.tokenExpiresAt && new Date(userData.tokenExpiresAt).getTime() <= now) {
+      continue;
+    }
+
+    try {
+      const accessToken = getUserAccessToken(userId);
+      if (!accessToken) {
+        continue;
+      }
+
+      const accountData = await getUserAccount(accessToken);
+      const { total } = getCreditBalance(accountData);
+      const threshold = userData.creditAlertThreshold;
+
+      // An account without balance fields says nothing about the balance, so it never alerts
+      if (total === null) {
+        console.warn(`Credit account of user ${userId} has no balance, skipping the low credit check`);
+        continue;
+      }
+
+      if (total >= threshold) {
+        if (userData.lowCreditAlertSentAt) {
+          updateUserData(userId, { lowCreditAlertSentAt: null });
+          console.log(`Credit balance of user ${userId} recovered above ${threshold}`);
+        }
+        continue;
+      }
+
+      if (userData.lowCreditAlertSentAt) {
+        continue;
+      }
+
+      await bot.sendMessage(
+        userId,
+        '⚠️ **Low Credit Balance**\n\n' +
+        `Your credit balance is **${formatCredits(total)}**, below your alert threshold of ${formatCredits(threshold)}.\n\n` +
+        'Agents stop working when credits run out. Top up your credits to keep them running.\n\n' +
+        `Use ${COMMANDS.CREDITS} to see where your credits went or ${COMMANDS.ALERTS} to change this alert.`,
+        { parse_mode: 'Markdown' }
+      );
+
+      updateUserData(userId, { lowCreditAlertSentAt: new Date().toISOString() });
+      console.log(`Sent low credit alert to user ${userId} (balance ${total}, threshold ${threshold})`);
+    } catch (error) {
+      console.error(`Error checking credit alert for user ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Starts the low-credit alert scheduler
+ * @param {Object} bot - Telegram bot instance
+ * @returns {NodeJS.Timeout} Interval handle, pass to clearInterval to stop the scheduler
+ */
+function startLowCreditAlerts(bot) {
+  const intervalMs = parseInt(process.env.CREDIT_ALERT_INTERVAL_MS, 10) || DEFAULT_CHECK_INTERVAL_MS;
+
+  console.log(`💳 Low credit alerts enabled (every ${intervalMs / 1000}s)`);
+
+  return setInterval(() => {
+    checkLowCreditAlerts(bot).catch((error) => {
+      console.error('Error running low credit alerts:', error);
+    });
+  }, intervalMs);
+}
+
+module.exports = {
+  checkLowCreditAlerts,
+  startLowCreditAlerts
+};
@@ -0,0 +1,82 @@
+const { getAllUserData, updateUserData } = require('../mockDb');
+const { createReauthKeyboard } = require('../utils/keyboards');
+const { formatTimeRemaining } = require('../utils/messages');
+
+/**
+ * Background scheduler that reminds users to re-authenticate shortly before
+ * their Privy access token expires
+ */
+
+// How often to look for tokens that are about to expire
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How long before expiry the reminder is sent
+const DEFAULT_REMINDER_LEAD_MS = 15 * 60 * 1000;
+
+/**
+ * Sends re-authentication reminders to users whose tokens expire within the lead time
+ * Each token is only reminded about once; a new login resets the reminder
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} reminderLeadMs - How long before expiry to send the reminder
+ */
+async function sendTokenExpiryReminders(bot, reminderLeadMs = DEFAULT_REMINDER_LEAD_MS) {
+  const now = Date.now();
+  const allUserData = getAllUserData();
+
+  for (const [userId, userData] of Object.entries(allUserData)) {
+    if (!userData.isAuthenticated || !userData.tokenExpiresAt || userData.expiryReminderSentAt) {
+      continue;
+    }
+
+    const expiresAt = new Date(userData.tokenExpiresAt).getTime();
+    const remainingMs = expiresAt - now;
+
+    if (remainingMs <= 0 || remainingMs > reminderLeadMs) {
+      continue;
+    }
+
+    try {
+      await bot.sendMessage(
+        userId,
+        '⏰ **Session Expiring Soon**\n\n' +
+        `Your Privy session expires in ${formatTimeRemaining(remainingMs)}.\n\n` +
+        'Re-authenticate now to keep your agents and commands working without interruption.',
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: createReauthKeyboard(userId)
+          }
+        }
+      );
+
+      updateUserData(userId, { expiryReminderSentAt: new Date().toISOString() });
+      console.log(`Sent token expiry reminder to user ${userId}`);
+    } catch (error) {
+      console.error(`Error sending token expiry reminder to user ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Starts the token expiry reminder scheduler
+ * @param {Object} bot - Telegram bot instance
+ * @returns {NodeJS.Timeout} Interval handle, pass to clearInterval to stop the scheduler
+ */
+function startTokenExpiryReminder(bot) {
+  const intervalMs = parseInt(process.env.TOKEN_REMINDER_INTERVAL_MS, 10) || DEFAULT_CHECK_INTERVAL_MS;
+  const leadMinutes = parseInt(process.env.TOKEN_REMINDER_LEAD_MINUTES, 10);
+  const reminderLeadMs = leadMinutes > 0 ? leadMinutes * 60 * 1000 : DEFAULT_REMINDER_LEAD_MS;
+
+  console.log(`⏰ Token expiry reminders enabled (every ${intervalMs / 1000}s, ${reminderLeadMs / 60000} min before expiry)`);
+
+  return setInterval(() => {
+    sendTokenExpiryReminders(bot, reminderLeadMs).catch((error) => {
+      console.error('Error running token expiry reminders:', error);
+    });
+  }, intervalMs);
+}
+
+module.exports = {
+  sendTokenExpiryReminders,
+  startTokenExpiryReminder
+};
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Migration Script
+ *
+ * One-shot migration of the user records in the legacy wallet-mappings.json file
+ * into the storage backend selected with STORAGE_BACKEND (e.g. "sqlite").
+ *
+ * Usage:
+ * node migrate-storage.js            - Migrate users that do not exist in the target yet
+ * node migrate-storage.js --force    - Overwrite users that already exist in the target
+ * node migrate-storage.js <file>     - Migrate from a different JSON file
+ */
+
+require('dotenv').config({ path: '.env' });
+require('dotenv').config({ path: '.env.local' });
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+
+const USERS_COLLECTION = 'users';
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const sourceFile = path.resolve(
+  args.find(arg => !arg.startsWith('--')) ||
+  process.env.USER_DATA_PATH ||
+  path.join(__dirname, 'wallet-mappings.json')
+);
+
+function main() {
+  const backend = process.env.STORAGE_BACKEND || 'json';
+
+  if (backend === 'json') {
+    console.error('❌ STORAGE_BACKEND is "json" - the JSON file is already in use, nothing to migrate');
+    console.log('💡 Set STORAGE_BACKEND=sqlite (or another backend) and run this script again');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(sourceFile)) {
+    console.error(`❌ Source file not found: ${sourceFile}`);
+    process.exit(1);
+  }
+
+  console.log(`📦 Migrating users from ${sourceFile} to ${backend} storage...`);
+  console.log('─'.repeat(50));
+
+  let users;
+  try {
+    users = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${sourceFile}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const target = createStorage(backend);
+  let migrated = 0;
+  let skipped = 0;
+
+  try {
+    for (const [userId, user] of Object.entries(users)) {
+      if (!force && target.get(USERS_COLLECTION, userId)) {
+        skipped++;
+        continue;
+      }
+      target.set(USERS_COLLECTION, userId, user);
+      migrated++;
+    }
+  } finally {
+    target.close();
+  }
+
+  console.log(`✅ Migrated: ${migrated}`);
+  console.log(`ℹ️  Skipped (already present): ${skipped}`);
+  if (migrated > 0) {
+    console.log(`💡 The source file was left untouched. Remove it once you have verified the migration.`);
+  }
+}
+
+main();
@@ -1,104 +1,136 @@
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./storage');
 
 /**
- * MOCK DATABASE IMPLEMENTATION
+ * USER DATABASE
  * 
- * This starter repo uses a simple JSON file to mock a database for simplicity.
- * In a production environment, you should replace this with a proper database or other user management system.
+ * User records are kept in the "users" collection of the configured storage backend
+ * (see storage/index.js): a JSON file by default, SQLite for real deployments or
+ * memory for tests. Handlers use the functions below and never talk to a backend directly.
  * 
- * This mock database stores user data including wallet mappings and authentication status.
+ * This database stores user data including wallet mappings and authentication status.
  * The data structure is: 
  * { 
  *   telegramUserId: {
- *     walletId: string,
+ *     walletId: string (Privy ID of the embedded Solana wallet),
+ *     walletAddress: string (address of the Solana wallet linked to the Privy account),
+ *     walletDelegated: boolean (whether the user lets the bot sign with the wallet),
  *     isAuthenticated: boolean,
  *     privyUserId: string,
  *     privyAccessToken: string (encrypted),
+ *     tokenExpiresAt: timestamp (access token expiry),
+ *     expiryReminderSentAt: timestamp (when the re-login reminder was sent),
+ *     creditAlertThreshold: number (alert when the credit balance drops below it, optional),
+ *     lowCreditAlertSentAt: timestamp (when the low credit alert was sent),
+ *     deployOnCreate: boolean (offer "Create & Deploy" as the default when creating agents),
+ *     swapSlippageBps: number (accepted slippage of swaps in basis points, optional),
+ *     swapPriorityFee: string (priority fee level of swaps, optional),
+ *     swapQuoteToken: string (symbol of the token swaps are paid with, optional),
+ *     swapConfirmThreshold: number (swaps up to this amount need no confirmation, optional),
  *     lastLogin: timestamp
  *   }
  * }
- * This is a simple implementation for demonstration purposes only.
  */
 
-// Define the path for the user data file
-const userDataPath = path.join(__dirname, 'wallet-mappings.json');
+const USERS_COLLECTION = 'users';
 
 /**
- * Retrieves all user data from the mock database
+ * Retrieves all user data from the database
  * @returns {Object} Map of Telegram user IDs to user data objects
  */
 function getAllUserData() {
   try {
-    if (fs.existsSync(userDataPath)) {
-      const data = fs.readFileSync(userDataPath, 'utf8');
-      return JSON.parse(data);
-    }
+    return getStorage().getAll(USERS_COLLECTION);
   } catch (error) {
+    // Never pretend the store is empty: callers could otherwise overwrite every record
     console.error('Error reading user data:', error);
+    throw error;
   }
-  return {};
 }
 
 /**
- * Saves all user data to the mock database
+ * Saves all user data to the database, replacing existing records
  * @param {Object} userData - Map of Telegram user IDs to user data objects
  */
 function saveAllUserData(userData) {
   try {
-    fs.writeFileSync(userDataPath, JSON.stringify(userData, null, 2));
+    getStorage().replaceAll(USERS_COLLECTION, userData);
   } catch (error) {
     console.error('Error saving user data:', error);
+    throw error;
   }
 }
 
 /**
- * Updates user authentication status in the mock database
+ * Updates user authentication status in the database
  * @param {string} userId - Telegram user ID
  * @param {boolean} isAuthenticated - Authentication status
  * @param {string} privyUserId - Privy user ID (optional)
  * @param {string} encryptedAccessToken - Encrypted Privy access token (optional)
+ * @param {number} tokenExpiresAt - Access token expiry in milliseconds since epoch (optional)
  */
-function updateUserAuthStatus(userId, isAuthenticated, privyUserId = null, encryptedAccessToken = null) {
+function updateUserAuthStatus(userId, isAuthenticated, privyUserId = null, encryptedAccessToken = null, tokenExpiresAt = null) {
   try {
-    // Load existing user data
-    const userData = getAllUserData();
-    
-    // Initialize user data if it doesn't exist
-    if (!userData[userId]) {
-      userData[userId] = {};
-    }
-    
-    // Update authentication status
-    userData[userId].isAuthenticated = isAuthenticated;
-    userData[userId].lastLogin = new Date().toISOString();
-    
-    if (privyUserId) {
-      userData[userId].privyUserId = privyUserId;
-    }
-    
-    if (encryptedAccessToken) {
-      userData[userId].privyAccessToken = encryptedAccessToken;
-    }
-    
-    // Save the updated data
-    saveAllUserData(userData);
+    // Update the stored record in a single atomic read-modify-write
+    getStorage().update(USERS_COLLECTION, userId, (existingUser) => {
+      // Initialize user data if it doesn't exist
+      const user = existingUser || {};
+      
+      // Update authentication status
+      user.isAuthenticated = isAuthenticated;
+      user.lastLogin = new Date().toISOString();
+      
+      if (privyUserId) {
+        if (user.privyUserId && user.privyUserId !== privyUserId) {
+          // Another Privy account comes with other wallets
+          user.walletAddress = null;
+          user.walletId = null;
+          user.walletDelegated = null;
+        }
+        user.privyUserId = privyUserId;
+      }
+      
+      if (encryptedAccessToken) {
+        user.privyAccessToken = encryptedAccessToken;
+      }
+      
+      if (tokenExpiresAt) {
+        user.tokenExpiresAt = new Date(tokenExpiresAt).toISOString();
+        // A fresh token needs a fresh reminder
+        user.expiryReminderSentAt = null;
+      }
+      
+      return user;
+    });
     
     console.log(`Updated auth status for user ${userId}: authenticated=${isAuthenticated}, hasAccessToken=${!!encryptedAccessToken}`);
   } catch (error) {
     console.error(`Error updating auth status for user ${userId}:`, error);
+    throw error;
   }
 }
 
 /**
- * Retrieves user authentication status from the mock database
+ * Merges the given fields into a user's record in the database
+ * @param {string} userId - Telegram user ID
+ * @param {Object} updates - Fields to set on the user record
+ */
+function updateUserData(userId, updates) {
+  try {
+    getStorage().update(USERS_COLLECTION, userId, (user) => Object.assign(user || {}, updates));
+  } catch (error) {
+    console.error(`Error updating data for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves user authentication status from the database
  * @param {string} userId - Telegram user ID
  * @returns {Object|null} User data object or null if not found
  */
 function getUserAuthStatus(userId) {
   try {
-    const userData = getAllUserData();
-    return userData[userId] || null;
+    return getStorage().get(USERS_COLLECTION, userId);
   } catch (error) {
     console.error(`Error getting auth status for user ${userId}:`, error);
     return null;
@@ -135,18 +167,22 @@ function getUserAccessToken(userId) {
  */
 function clearUserAuthData(userId) {
   try {
-    // Load existing user data
-    const userData = getAllUserData();
-    
-    if (userData[userId]) {
+    const user = getStorage().update(USERS_COLLECTION, userId, (existingUser) => {
+      if (!existingUser) {
+        return undefined;
+      }
+      
       // Clear authentication-related data but keep other user data
-      userData[userId].isAuthenticated = false;
-      userData[userId].privyAccessToken = null;
+      existingUser.isAuthenticated = false;
+      existingUser.privyAccessToken = null;
+      existingUser.tokenExpiresAt = null;
+      existingUser.expiryReminderSentAt = null;
       // Keep privyUserId and lastLogin for reference
       
-      // Save the updated data
-      saveAllUserData(userData);
-      
+      return existingUser;
+    });
+    
+    if (user) {
       console.log(`Cleared authentication data for user ${userId} due to token expiration or API failure`);
     }
   } catch (error) {
@@ -156,6 +192,7 @@ function clearUserAuthData(userId) {
 
 module.exports = {
   updateUserAuthStatus,
+  updateUserData,
   getUserAuthStatus,
   getUserAccessToken,
   clearUserAuthData,
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Encryption Key Rotation Script
+ *
+ * Re-encrypts every stored privyAccessToken with the current ENCRYPTION_KEY.
+ *
+ * To rotate keys:
+ * 1. Move the current key to ENCRYPTION_PREVIOUS_KEYS as "<old version>:<old key>"
+ * 2. Set ENCRYPTION_KEY to the new key and bump ENCRYPTION_KEY_VERSION
+ * 3. Run this script, then remove the old key from ENCRYPTION_PREVIOUS_KEYS
+ *
+ * Usage:
+ * node rotate-encryption-key.js            - Re-encrypt all tokens
+ * node rotate-encryption-key.js --dry-run  - Report what would be re-encrypted
+ */
+
+require('dotenv').config({ path: '.env' });
+require('dotenv').config({ path: '.env.local' });
+
+const { getAllUserData, saveAllUserData } = require('./mockDb');
+const { validateEncryptionConfig, needsReEncryption, reEncrypt } = require('./cryptoUtils');
+
+const dryRun = process.argv.includes('--dry-run');
+
+function main() {
+  try {
+    validateEncryptionConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🔐 Rotating stored access tokens to the current encryption key${dryRun ? ' (dry run)' : ''}...`);
+  console.log('─'.repeat(50));
+
+  const userData = getAllUserData();
+  let rotated = 0;
+  let current = 0;
+  let failed = 0;
+
+  for (const [userId, user] of Object.entries(userData)) {
+    if (!user.privyAccessToken) {
+      continue;
+    }
+
+    if (!needsReEncryption(user.privyAccessToken)) {
+      current++;
+      continue;
+    }
+
+    try {
+      const reEncrypted = reEncrypt(user.privyAccessToken);
+      if (!dryRun) {
+        user.privyAccessToken = reEncrypted;
+      }
+      rotated++;
+    } catch (error) {
+      console.error(`❌ Could not re-encrypt token for user ${userId}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (!dryRun && rotated > 0) {
+    saveAllUserData(userData);
+  }
+
+  console.log(`✅ Re-encrypted: ${rotated}`);
+  console.log(`ℹ️  Already current: ${current}`);
+  if (failed > 0) {
+    console.log(`⚠️  Failed: ${failed} (is the old key listed in ENCRYPTION_PREVIOUS_KEYS?)`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,6 +1,9 @@
 const express = require('express');
 const { updateUserAuthStatus } = require('../mockDb');
-const { encryptPrivyAccessToken, isValidEncryptedToken } = require('../cryptoUtils');
+const { encryptPrivyAccessToken, decryptPrivyAccessToken, isValidEncryptedToken } = require('../cryptoUtils');
+const { verifyPrivyAccessToken } = require('../utils/auth');
+const { verifyCallbackRequest } = require('../utils/callbackSignature');
+const { recordAuthRejection } = require('../utils/securityLog');
 const router = express.Router();
 
 /**
@@ -12,11 +15,28 @@ const router = express.Router();
  * This endpoint is called by the web application when a user completes authentication
  * 
  * POST /auth/callback
+ * Headers: { X-Signature: string, X-Timestamp: string, X-Nonce: string }
  * Body: { telegramUserId: string, privyUserId: string, isAuthenticated: boolean, privyAccessToken: string }
+ * 
+ * Requests must be signed by the web application (see utils/callbackSignature.js).
+ * Unsigned, tampered or stale requests are rejected with 401 and replayed requests with 409.
+ * The access token is verified with Privy and its subject must match privyUserId.
  */
 function createAuthCallbackHandler(bot) {
   return async (req, res) => {
     try {
+      const verification = verifyCallbackRequest(req);
+      
+      if (!verification.valid) {
+        recordAuthRejection({
+          reason: verification.reason,
+          status: verification.status,
+          ip: req.ip,
+          telegramUserId: req.body && req.body.telegramUserId
+        });
+        return res.status(verification.status).json({ error: verification.error });
+      }
+      
       const { telegramUserId, privyUserId, isAuthenticated, privyAccessToken } = req.body;
       
       console.log(`Received auth callback for user ${telegramUserId}: authenticated=${isAuthenticated}`);
@@ -25,28 +45,55 @@ function createAuthCallbackHandler(bot) {
         return res.status(400).json({ error: 'telegramUserId is required' });
       }
       
+      if (isAuthenticated && !privyAccessToken) {
+        return res.status(400).json({ error: 'privyAccessToken is required when isAuthenticated is true' });
+      }
+      
       let encryptedAccessToken = null;
+      let verifiedPrivyUserId = privyUserId;
+      let tokenExpiresAt = null;
       
       // Handle privyAccessToken if provided
       if (privyAccessToken) {
+        let rawAccessToken;
         try {
           // Check if the token is already encrypted
           if (isValidEncryptedToken(privyAccessToken)) {
             console.log(`Access token for user ${telegramUserId} is already encrypted`);
             encryptedAccessToken = privyAccessToken;
+            rawAccessToken = decryptPrivyAccessToken(privyAccessToken);
           } else {
             // Encrypt the access token
             console.log(`Encrypting access token for user ${telegramUserId}`);
             encryptedAccessToken = encryptPrivyAccessToken(privyAccessToken);
+            rawAccessToken = privyAccessToken;
           }
         } catch (encryptionError) {
           console.error(`Error handling access token for user ${telegramUserId}:`, encryptionError);
           return res.status(400).json({ error: 'Failed to process access token' });
         }
+        
+        // Verify the token with Privy before trusting anything it claims
+        let verifiedToken;
+        try {
+          verifiedToken = await verifyPrivyAccessToken(rawAccessToken);
+        } catch (verificationError) {
+          console.error(`Access token verification failed for user ${telegramUserId}:`, verificationError.message);
+          recordAuthRejection({ reason: 'invalid_access_token', status: 401, ip: req.ip, telegramUserId });
+          return res.status(401).json({ error: 'Invalid or expired access token' });
+        }
+        
+        if (privyUserId && privyUserId !== verifiedToken.privyUserId) {
+          recordAuthRejection({ reason: 'privy_user_mismatch', status: 401, ip: req.ip, telegramUserId });
+          return res.status(401).json({ error: 'privyUserId does not match the access token' });
+        }
+        
+        verifiedPrivyUserId = verifiedToken.privyUserId;
+        tokenExpiresAt = verifiedToken.expiresAt;
       }
       
       // Update user authentication status in our database with encrypted token
-      updateUserAuthStatus(telegramUserId, isAuthenticated, privyUserId, encryptedAccessToken);
+      updateUserAuthStatus(telegramUserId, isAuthenticated, verifiedPrivyUserId, encryptedAccessToken, tokenExpiresAt);
       
       if (isAuthenticated) {
         // Send confirmation message to the user
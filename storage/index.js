@@ -0,0 +1,73 @@
+const { createJsonFileStorage } = require('./jsonFileStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+
+/**
+ * Storage layer
+ *
+ * Every backend stores JSON serializable records grouped in named collections
+ * (e.g. "users") and implements the same synchronous interface:
+ *
+ *   get(collection, key)          -> record or null
+ *   set(collection, key, value)   -> stores a record
+ *   update(collection, key, fn)   -> atomically replaces a record with fn(current record or null)
+ *                                    and returns the stored record; fn may return undefined to skip the write
+ *   delete(collection, key)       -> removes a record
+ *   getAll(collection)            -> { key: record } for the whole collection
+ *   replaceAll(collection, items) -> replaces the whole collection
+ *   close()                       -> releases resources
+ *
+ * The backend is selected with STORAGE_BACKEND: "json" (default), "memory" or "sqlite".
+ */
+
+const BACKENDS = {
+  json: () => createJsonFileStorage({
+    usersFile: process.env.USER_DATA_PATH,
+    directory: process.env.STORAGE_DIR
+  }),
+  memory: () => createMemoryStorage(),
+  sqlite: () => createSqliteStorage({
+    filename: process.env.SQLITE_PATH
+  })
+};
+
+let storage = null;
+
+/**
+ * Creates a storage backend by name
+ * @param {string} backend - Backend name: "json", "memory" or "sqlite"
+ * @returns {Object} Storage backend
+ */
+function createStorage(backend) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Returns the configured storage backend, creating it on first use
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(process.env.STORAGE_BACKEND || 'json');
+    console.log(`Using ${storage.name} storage backend`);
+  }
+  return storage;
+}
+
+/**
+ * Replaces the active storage backend (e.g. with an in-memory backend in tests)
+ * @param {Object} backend - Storage backend
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON file storage backend
+ * Each collection is stored as one JSON object in its own file. The "users" collection
+ * keeps using wallet-mappings.json so existing deployments keep their data.
+ *
+ * Safety guarantees:
+ * - All operations are synchronous, so every read-modify-write (including update())
+ *   completes before the next one starts and writes are serialized within the process.
+ * - Files are replaced atomically: data is written and fsynced to a temp file which is
+ *   then renamed over the original, so a crash never leaves a half-written file.
+ * - A copy of the last successful write is kept as "<file>.bak". If a file cannot be parsed
+ *   it is moved aside as "<file>.corrupt-<timestamp>" and restored from the backup.
+ *   Without a usable backup the corrupt file is left untouched and an error is thrown,
+ *   so it is never silently replaced by an empty collection.
+ */
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'wallet-mappings.json');
+const DEFAULT_DATA_DIRECTORY = path.join(__dirname, '..', 'data');
+
+/**
+ * Parses a collection file
+ * @param {string} filePath - Path of the file
+ * @returns {Object} Parsed collection
+ * @throws {Error} If the file cannot be read or does not contain a JSON object
+ */
+function parseCollectionFile(filePath) {
+  const items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+    throw new Error('Collection file does not contain a JSON object');
+  }
+  return items;
+}
+
+/**
+ * Atomically replaces a file with the given content
+ * @param {string} filePath - Path of the file
+ * @param {string} content - New file content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Creates a JSON file storage backend
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.usersFile] - Path of the users collection file
+ * @param {string} [options.directory] - Directory for all other collection files
+ * @returns {Object} Storage backend implementing the interface described in storage/index.js
+ */
+function createJsonFileStorage(options = {}) {
+  const usersFile = options.usersFile || DEFAULT_USERS_FILE;
+  const directory = options.directory || DEFAULT_DATA_DIRECTORY;
+
+  function getFilePath(collection) {
+    if (collection === 'users') {
+      return usersFile;
+    }
+    return path.join(directory, `${collection}.json`);
+  }
+
+  function recoverCollection(filePath, parseError) {
+    const backupPath = `${filePath}.bak`;
+    let backup;
+    try {
+      backup = parseCollectionFile(backupPath);
+    } catch (backupError) {
+      throw new Error(
+        `Storage file ${filePath} is corrupt (${parseError.message}) and no usable backup exists. ` +
+        'Fix or remove the file manually; it has been left untouched.'
+      );
+    }
+
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    writeFileAtomic(filePath, JSON.stringify(backup, null, 2));
+    console.error(`Storage file ${filePath} was corrupt (${parseError.message}); restored from backup, corrupt copy kept at ${corruptPath}`);
+    return backup;
+  }
+
+  function readCollection(collection) {
+    const filePath = getFilePath(collection);
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+    try {
+      return parseCollectionFile(filePath);
+    } catch (error) {
+      return recoverCollection(filePath, error);
+    }
+  }
+
+  function writeCollection(collection, items) {
+    const filePath = getFilePath(collection);
+    const content = JSON.stringify(items, null, 2);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, content);
+    // Mirror the new content so the backup is never behind the last successful write
+    writeFileAtomic(`${filePath}.bak`, content);
+  }
+
+  return {
+    name: 'json',
+
+    get(collection, key) {
+      const items = readCollection(collection);
+      return items[key] === undefined ? null : items[key];
+    },
+
+    set(collection, key, value) {
+      const items = readCollection(collection);
+      items[key] = value;
+      writeCollection(collection, items);
+    },
+
+    update(collection, key, updater) {
+      const items = readCollection(collection);
+      const value = updater(items[key] === undefined ? null : items[key]);
+      if (value === undefined) {
+        return items[key] === undefined ? null : items[key];
+      }
+      items[key] = value;
+      writeCollection(collection, items);
+      return value;
+    },
+
+    delete(collection, key) {
+      const items = readCollection(collection);
+      if (key in items) {
+        delete items[key];
+        writeCollection(collection, items);
+      }
+    },
+
+    getAll(collection) {
+      return readCollection(collection);
+    },
+
+    replaceAll(collection, items) {
+      writeCollection(collection, items || {});
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createJsonFileStorage
+};
@@ -0,0 +1,87 @@
+/**
+ * In-memory storage backend
+ * Keeps all records in process memory. Data is lost on restart, which makes this
+ * backend suitable for tests and local experiments only.
+ */
+
+/**
+ * Deep copies a value so callers never share references with the store
+ * @param {*} value - JSON serializable value
+ * @returns {*} Copy of the value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates an in-memory storage backend
+ * @param {Object} [options] - Backend options
+ * @param {Object} [options.initialData] - Initial data as { collection: { key: value } }
+ * @returns {Object} Storage backend implementing the interface described in storage/index.js
+ */
+function createMemoryStorage(options = {}) {
+  const collections = new Map();
+
+  function getCollection(collection) {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  }
+
+  Object.entries(options.initialData || {}).forEach(([collection, items]) => {
+    Object.entries(items).forEach(([key, value]) => {
+      getCollection(collection).set(String(key), clone(value));
+    });
+  });
+
+  return {
+    name: 'memory',
+
+    get(collection, key) {
+      const value = getCollection(collection).get(String(key));
+      return value === undefined ? null : clone(value);
+    },
+
+    set(collection, key, value) {
+      getCollection(collection).set(String(key), clone(value));
+    },
+
+    update(collection, key, updater) {
+      const items = getCollection(collection);
+      const current = items.has(String(key)) ? clone(items.get(String(key))) : null;
+      const value = updater(current);
+      if (value === undefined) {
+        return current;
+      }
+      items.set(String(key), clone(value));
+      return clone(value);
+    },
+
+    delete(collection, key) {
+      getCollection(collection).delete(String(key));
+    },
+
+    getAll(collection) {
+      const items = {};
+      getCollection(collection).forEach((value, key) => {
+        items[key] = clone(value);
+      });
+      return items;
+    },
+
+    replaceAll(collection, items) {
+      const replacement = new Map();
+      Object.entries(items || {}).forEach(([key, value]) => {
+        replacement.set(String(key), clone(value));
+      });
+      collections.set(collection, replacement);
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
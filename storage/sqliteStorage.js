@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite storage backend
+ * Stores every record as a JSON document in a single key/value table using better-sqlite3.
+ * Recommended for real deployments: writes are transactional and only touch the changed record.
+ */
+
+const DEFAULT_DATABASE_FILE = path.join(__dirname, '..', 'data', 'bot.sqlite');
+
+/**
+ * Creates a SQLite storage backend
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.filename] - Path of the SQLite database file
+ * @returns {Object} Storage backend implementing the interface described in storage/index.js
+ */
+function createSqliteStorage(options = {}) {
+  // Loaded lazily so the native module is only required when this backend is selected
+  const Database = require('better-sqlite3');
+
+  const filename = options.filename || DEFAULT_DATABASE_FILE;
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+    set: db.prepare(`
+      INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+    getAll: db.prepare('SELECT key, value FROM records WHERE collection = ?'),
+    clear: db.prepare('DELETE FROM records WHERE collection = ?')
+  };
+
+  const update = db.transaction((collection, key, updater) => {
+    const row = statements.get.get(collection, key);
+    const current = row ? JSON.parse(row.value) : null;
+    const value = updater(current);
+    if (value === undefined) {
+      return current;
+    }
+    statements.set.run(collection, key, JSON.stringify(value), new Date().toISOString());
+    return value;
+  });
+
+  const replaceAll = db.transaction((collection, items) => {
+    statements.clear.run(collection);
+    const now = new Date().toISOString();
+    Object.entries(items || {}).forEach(([key, value]) => {
+      statements.set.run(collection, String(key), JSON.stringify(value), now);
+    });
+  });
+
+  return {
+    name: 'sqlite',
+
+    get(collection, key) {
+      const row = statements.get.get(collection, String(key));
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    set(collection, key, value) {
+      statements.set.run(collection, String(key), JSON.stringify(value), new Date().toISOString());
+    },
+
+    update(collection, key, updater) {
+      return update(collection, String(key), updater);
+    },
+
+    delete(collection, key) {
+      statements.delete.run(collection, String(key));
+    },
+
+    getAll(collection) {
+      const items = {};
+      statements.getAll.all(collection).forEach((row) => {
+        items[row.key] = JSON.parse(row.value);
+      });
+      return items;
+    },
+
+    replaceAll(collection, items) {
+      replaceAll(collection, items);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,286 @@
+const { getStorage } = require('../storage');
+
+/**
+ * Agent activity notifications
+ * New activity of a user's agents (task runs, trades, errors and credits spent) is
+ * collected into one summary per agent. What has already been delivered is tracked
+ * with watermarks in storage, so a restart neither resends nor skips activity.
+ * Users in digest mode collect their summaries in storage until the digest is due.
+ *
+ * Watermark record: { [source]: { at: ISO string, ids: Array<string> } }
+ *   where source is an agent ID or CREDITS_SOURCE
+ * Digest record: { since: ISO string, agents: { [agentId]: ActivitySummary } }
+ */
+
+const ACTIVITY_WATERMARKS_COLLECTION = 'activity_watermarks';
+const ACTIVITY_DIGESTS_COLLECTION = 'activity_digests';
+
+// Watermark source of the credit expense history
+const CREDITS_SOURCE = 'credits';
+
+// Digest modes and how often their digest is sent
+const DIGEST_PERIODS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Number of recent activities kept per agent summary
+const MAX_RECENT_ACTIVITIES = 3;
+
+/**
+ * @typedef {Object} ActivitySummary
+ * @property {string} agentId - Agent ID
+ * @property {string} name - Agent name
+ * @property {Object} counts - Number of activities by kind: task, trade, error and other
+ * @property {number} credits - Credits spent
+ * @property {string|null} lastError - Text of the latest error
+ * @property {Array<string>} recent - Texts of the latest activities, oldest first
+ */
+
+/**
+ * Determines the kind of an agent activity
+ * @param {Object} activity - Activity from the API
+ * @returns {string} "task", "trade", "error" or "other"
+ */
+function getActivityKind(activity) {
+  const type = String(activity.type || activity.event_type || '').toLowerCase();
+
+  if (activity.error || /error|fail/.test(type)) {
+    return 'error';
+  }
+  if (/trade|swap/.test(type)) {
+    return 'trade';
+  }
+  if (/task|autonomous/.test(type)) {
+    return 'task';
+  }
+  return 'other';
+}
+
+/**
+ * Gets the time of an activity or expense event
+ * @param {Object} item - Activity or expense event
+ * @returns {number} Milliseconds since epoch, 0 if the time is unknown
+ */
+function getItemTime(item) {
+  const time = new Date(item.created_at).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Selects the items that are newer than a watermark
+ * @param {Array<Object>} items - Activities or expense events
+ * @param {Object} watermark - Watermark of the source
+ * @returns {Array<Object>} New items, oldest first
+ */
+function getItemsAfterWatermark(items, watermark) {
+  const at = new Date(watermark.at).getTime();
+
+  return items
+    .filter((item) => {
+      const time = getItemTime(item);
+      return time > at || (time === at && !watermark.ids.includes(String(item.id)));
+    })
+    .sort((a, b) => getItemTime(a) - getItemTime(b));
+}
+
+/**
+ * Moves a watermark past the given items
+ * A source without a watermark starts at the current time, so existing history is not delivered.
+ * @param {Object|undefined} watermark - Current watermark of the source
+ * @param {Array<Object>} items - Activities or expense events that were fetched
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} New watermark
+ */
+function advanceWatermark(watermark, items, now) {
+  let at = watermark ? new Date(watermark.at).getTime() : now;
+  let ids = watermark ? watermark.ids : [];
+
+  items.forEach((item) => {
+    const time = getItemTime(item);
+    const id = String(item.id);
+    if (time > at) {
+      at = time;
+      ids = [id];
+    } else if (time === at && !ids.includes(id)) {
+      ids = [...ids, id];
+    }
+  });
+
+  return { at: new Date(at).toISOString(), ids };
+}
+
+/**
+ * Gets the delivery watermarks of a user
+ * @param {string} userId - Telegram user ID
+ * @returns {Object} Watermarks by source
+ */
+function getActivityWatermarks(userId) {
+  return getStorage().get(ACTIVITY_WATERMARKS_COLLECTION, String(userId)) || {};
+}
+
+/**
+ * Stores the delivery watermarks of a user
+ * @param {string} userId - Telegram user ID
+ * @param {Object} watermarks - Watermarks by source
+ */
+function saveActivityWatermarks(userId, watermarks) {
+  getStorage().set(ACTIVITY_WATERMARKS_COLLECTION, String(userId), watermarks);
+}
+
+/**
+ * Forgets what was delivered to a user and any pending digest, e.g. when notifications
+ * are turned on again, so activity from the time they were off is not sent
+ * @param {string} userId - Telegram user ID
+ */
+function resetAgentActivity(userId) {
+  getStorage().delete(ACTIVITY_WATERMARKS_COLLECTION, String(userId));
+  getStorage().delete(ACTIVITY_DIGESTS_COLLECTION, String(userId));
+}
+
+/**
+ * Creates an empty activity summary
+ * @param {string} agentId - Agent ID
+ * @param {string} name - Agent name
+ * @returns {ActivitySummary} Summary
+ */
+function createActivitySummary(agentId, name) {
+  return {
+    agentId,
+    name,
+    counts: { task: 0, trade: 0, error: 0, other: 0 },
+    credits: 0,
+    lastError: null,
+    recent: []
+  };
+}
+
+/**
+ * Gets the text of an activity
+ * @param {Object} activity - Activity from the API
+ * @returns {string} Text, empty if the activity has none
+ */
+function getActivityText(activity) {
+  const text = activity.error || activity.text || activity.message || activity.summary || '';
+  return typeof text === 'string' ? text.trim() : JSON.stringify(text);
+}
+
+/**
+ * Adds an activity to a summary
+ * @param {ActivitySummary} summary - Summary of the agent
+ * @param {Object} activity - Activity from the API
+ */
+function addActivity(summary, activity) {
+  const kind = getActivityKind(activity);
+  const text = getActivityText(activity);
+
+  summary.counts[kind]++;
+  if (kind === 'error') {
+    summary.lastError = text || summary.lastError;
+  } else if (text) {
+    summary.recent = [...summary.recent, text].slice(-MAX_RECENT_ACTIVITIES);
+  }
+}
+
+/**
+ * Adds a credit expense event to a summary
+ * @param {ActivitySummary} summary - Summary of the agent
+ * @param {Object} event - Expense event from the credit history
+ */
+function addCreditExpense(summary, event) {
+  summary.credits += Number(event.total_amount) || 0;
+}
+
+/**
+ * Checks whether a summary contains any activity
+ * @param {ActivitySummary} summary - Summary
+ * @returns {boolean} True if nothing happened
+ */
+function isSummaryEmpty(summary) {
+  return summary.credits === 0 && Object.values(summary.counts).every((count) => count === 0);
+}
+
+/**
+ * Combines two summaries of the same agent
+ * @param {ActivitySummary} target - Older summary
+ * @param {ActivitySummary} source - Newer summary
+ * @returns {ActivitySummary} Combined summary
+ */
+function mergeActivitySummaries(target, source) {
+  const counts = { ...target.counts };
+  Object.entries(source.counts).forEach(([kind, count]) => {
+    counts[kind] = (counts[kind] || 0) + count;
+  });
+
+  return {
+    agentId: target.agentId,
+    name: source.name || target.name,
+    counts,
+    credits: target.credits + source.credits,
+    lastError: source.lastError || target.lastError,
+    recent: [...target.recent, ...source.recent].slice(-MAX_RECENT_ACTIVITIES)
+  };
+}
+
+/**
+ * Adds summaries to the pending digest of a user
+ * @param {string} userId - Telegram user ID
+ * @param {Array<ActivitySummary>} summaries - New summaries
+ * @param {number} now - Current time in milliseconds
+ */
+function queueActivityDigest(userId, summaries, now) {
+  getStorage().update(ACTIVITY_DIGESTS_COLLECTION, String(userId), (digest) => {
+    const record = digest || { since: new Date(now).toISOString(), agents: {} };
+    summaries.forEach((summary) => {
+      const pending = record.agents[summary.agentId];
+      record.agents[summary.agentId] = pending ? mergeActivitySummaries(pending, summary) : summary;
+    });
+    return record;
+  });
+}
+
+/**
+ * Gets the pending digest of a user if it is due
+ * @param {string} userId - Telegram user ID
+ * @param {number} periodMs - Digest period, 0 to get any pending summaries
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<ActivitySummary>|null} Summaries to send, null if nothing is due
+ */
+function getDueActivityDigest(userId, periodMs, now) {
+  const digest = getStorage().get(ACTIVITY_DIGESTS_COLLECTION, String(userId));
+  if (!digest || now - new Date(digest.since).getTime() < periodMs) {
+    return null;
+  }
+
+  const summaries = Object.values(digest.agents);
+  return summaries.length > 0 ? summaries : null;
+}
+
+/**
+ * Starts a new digest period after a digest was sent
+ * @param {string} userId - Telegram user ID
+ * @param {number} now - Current time in milliseconds
+ */
+function startActivityDigest(userId, now) {
+  getStorage().set(ACTIVITY_DIGESTS_COLLECTION, String(userId), {
+    since: new Date(now).toISOString(),
+    agents: {}
+  });
+}
+
+module.exports = {
+  CREDITS_SOURCE,
+  DIGEST_PERIODS,
+  getItemsAfterWatermark,
+  advanceWatermark,
+  getActivityWatermarks,
+  saveActivityWatermarks,
+  resetAgentActivity,
+  createActivitySummary,
+  addActivity,
+  addCreditExpense,
+  isSummaryEmpty,
+  queueActivityDigest,
+  getDueActivityDigest,
+  startActivityDigest
+};
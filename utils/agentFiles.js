@@ -0,0 +1,122 @@
+const YAML = require('yaml');
+const { MAX_AGENT_NAME_LENGTH, createAgentCopy } = require('./agents');
+
+/**
+ * Agent definition files
+ * Agents are exported as JSON or YAML documents without the fields that identify
+ * the agent (see createAgentCopy), so a file can be kept in git and imported into
+ * any account by sending it to the bot.
+ */
+
+const AGENT_FILE_FORMATS = {
+  json: { extensions: ['json'], extension: 'json', contentType: 'application/json' },
+  yaml: { extensions: ['yaml', 'yml'], extension: 'yaml', contentType: 'application/yaml' }
+};
+
+// Maximum size of an imported file, agent definitions are a few kilobytes
+const MAX_AGENT_FILE_SIZE = 256 * 1024;
+
+// Fields that must be text if present
+const TEXT_FIELDS = ['purpose', 'personality', 'principles', 'prompt', 'prompt_append', 'description', 'model'];
+
+/**
+ * Determines the format of an agent file from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} Key of AGENT_FILE_FORMATS or null if the file type is not supported
+ */
+function getAgentFileFormat(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return Object.keys(AGENT_FILE_FORMATS).find((format) =>
+    AGENT_FILE_FORMATS[format].extensions.includes(extension)
+  ) || null;
+}
+
+/**
+ * Checks that a parsed document is an agent definition
+ * @param {*} agent - Parsed document
+ * @returns {string|null} Problem description or null if the definition is valid
+ */
+function validateAgentDefinition(agent) {
+  if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+    return 'The file must contain a single agent definition.';
+  }
+  if (typeof agent.name !== 'string' || agent.name.trim().length === 0) {
+    return 'The agent needs a name.';
+  }
+  if (agent.name.length > MAX_AGENT_NAME_LENGTH) {
+    return `The agent name must not be longer than ${MAX_AGENT_NAME_LENGTH} characters.`;
+  }
+
+  const invalidText = TEXT_FIELDS.find((field) =>
+    agent[field] !== undefined && agent[field] !== null && typeof agent[field] !== 'string'
+  );
+  if (invalidText) {
+    return `The field "${invalidText}" must be text.`;
+  }
+  if (agent.skills !== undefined && agent.skills !== null && typeof agent.skills !== 'object') {
+    return 'The field "skills" must be a list or a mapping.';
+  }
+  if (agent.autonomous !== undefined && agent.autonomous !== null) {
+    const tasks = agent.autonomous;
+    if (!Array.isArray(tasks) || tasks.some((task) => !task || typeof task !== 'object')) {
+      return 'The field "autonomous" must be a list of tasks.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses and validates an agent definition file
+ * @param {string} content - File content
+ * @param {string} format - Key of AGENT_FILE_FORMATS
+ * @returns {Object} { agent } ready to be created, or { error } with a problem description
+ */
+function parseAgentFile(content, format) {
+  let document;
+  try {
+    document = format === 'yaml' ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    return { error: `The file is not valid ${format.toUpperCase()}: ${error.message.split('\n')[0]}` };
+  }
+
+  const problem = validateAgentDefinition(document);
+  if (problem) {
+    return { error: problem };
+  }
+
+  // Exports of other accounts (and raw configurations) carry the identity of the original agent
+  return { agent: createAgentCopy(document) };
+}
+
+/**
+ * Serializes an agent as a definition file
+ * @param {Object} agent - Agent configuration
+ * @param {string} format - Key of AGENT_FILE_FORMATS
+ * @returns {string} File content
+ */
+function formatAgentFile(agent, format) {
+  const definition = createAgentCopy(agent);
+  return format === 'yaml' ?
+    YAML.stringify(definition) :
+    JSON.stringify(definition, null, 2) + '\n';
+}
+
+/**
+ * Creates the name of an exported agent file
+ * @param {Object} agent - Agent configuration
+ * @param {string} format - Key of AGENT_FILE_FORMATS
+ * @returns {string} File name
+ */
+function getAgentFileName(agent, format) {
+  const base = (agent.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${base || `agent-${agent.id}`}.${AGENT_FILE_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  AGENT_FILE_FORMATS,
+  MAX_AGENT_FILE_SIZE,
+  getAgentFileFormat,
+  parseAgentFile,
+  formatAgentFile,
+  getAgentFileName
+};
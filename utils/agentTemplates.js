@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Agent template catalog
+ * Templates are read from config/agentTemplates.json and, if AGENT_TEMPLATES_PATH is set,
+ * from an additional file in the same format whose entries are added to (or replace, by id)
+ * the built-in ones. Files are read on every use, so edited templates show up without a restart.
+ *
+ * File format:
+ * {
+ *   categories: [{ id, name, emoji }],
+ *   templates: [{
+ *     id, category, name, description,
+ *     prompt: string,                               // may contain {placeholder} parameters
+ *     placeholders: [{ name, question, example }],  // asked one by one before generation
+ *     deploy: boolean                               // whether "Create & Deploy" is the default
+ *   }]
+ * }
+ */
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, '..', 'config', 'agentTemplates.json');
+
+// Template and category IDs end up in callback data, which Telegram limits to 64 bytes
+const ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Reads a template file
+ * @param {string} filePath - Path of the file
+ * @returns {Object} { categories, templates }, empty if the file cannot be read
+ */
+function readTemplateFile(filePath) {
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      categories: Array.isArray(content.categories) ? content.categories : [],
+      templates: Array.isArray(content.templates) ? content.templates : []
+    };
+  } catch (error) {
+    console.error(`Error reading agent templates from ${filePath}:`, error.message);
+    return { categories: [], templates: [] };
+  }
+}
+
+/**
+ * Checks that a template is complete and only uses declared placeholders
+ * @param {Object} template - Template definition
+ * @returns {string|null} Problem description or null if the template is valid
+ */
+function validateTemplate(template) {
+  if (!template || !ID_PATTERN.test(template.id || '')) {
+    return 'invalid id';
+  }
+  if (!template.name || !template.prompt || !template.category) {
+    return 'name, prompt and category are required';
+  }
+
+  const placeholders = Array.isArray(template.placeholders) ? template.placeholders : [];
+  const declared = placeholders.map((placeholder) => placeholder.name);
+  const used = (template.prompt.match(/\{(\w+)\}/g) || []).map((match) => match.slice(1, -1));
+  const undeclared = used.filter((name) => !declared.includes(name));
+  if (undeclared.length > 0) {
+    return `undeclared placeholders: ${undeclared.join(', ')}`;
+  }
+  if (placeholders.some((placeholder) => !placeholder.name || !placeholder.question)) {
+    return 'every placeholder needs a name and a question';
+  }
+  return null;
+}
+
+/**
+ * Loads the template catalog
+ * @returns {Object} { categories, templates } with invalid entries left out
+ */
+function loadAgentTemplates() {
+  const files = [DEFAULT_TEMPLATES_PATH];
+  if (process.env.AGENT_TEMPLATES_PATH) {
+    files.push(path.resolve(process.env.AGENT_TEMPLATES_PATH));
+  }
+
+  const categories = new Map();
+  const templates = new Map();
+
+  files.map(readTemplateFile).forEach((content) => {
+    content.categories.forEach((category) => {
+      if (category && ID_PATTERN.test(category.id || '') && category.name) {
+        categories.set(category.id, category);
+      }
+    });
+    content.templates.forEach((template) => {
+      const problem = validateTemplate(template);
+      if (problem) {
+        console.warn(`Skipping agent template ${template && template.id}: ${problem}`);
+        return;
+      }
+      templates.set(template.id, { placeholders: [], deploy: false, ...template });
+    });
+  });
+
+  // Only list categories that have templates, and templates whose category exists
+  const validTemplates = [...templates.values()].filter((template) => categories.has(template.category));
+  const validCategories = [...categories.values()].filter((category) =>
+    validTemplates.some((template) => template.category === category.id)
+  );
+
+  return { categories: validCategories, templates: validTemplates };
+}
+
+/**
+ * Gets the templates of a category
+ * @param {string} categoryId - Category ID
+ * @returns {Object} { category, templates }, category is null if it does not exist
+ */
+function getTemplatesByCategory(categoryId) {
+  const { categories, templates } = loadAgentTemplates();
+  return {
+    category: categories.find((category) => category.id === categoryId) || null,
+    templates: templates.filter((template) => template.category === categoryId)
+  };
+}
+
+/**
+ * Gets a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template or null if it does not exist
+ */
+function getAgentTemplate(templateId) {
+  return loadAgentTemplates().templates.find((template) => template.id === templateId) || null;
+}
+
+/**
+ * Fills the placeholders of a template prompt
+ * @param {Object} template - Template definition
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} Prompt for the agent generator
+ */
+function fillTemplatePrompt(template, values) {
+  return template.prompt.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+module.exports = {
+  loadAgentTemplates,
+  getTemplatesByCategory,
+  getAgentTemplate,
+  fillTemplatePrompt
+};
@@ -0,0 +1,313 @@
+const { getStorage } = require('../storage');
+
+/**
+ * Agent helpers shared by the agent commands and flows
+ */
+
+// Generator project of every agent, so later edits continue the same generation history
+const AGENT_PROJECTS_COLLECTION = 'agent_projects';
+
+// Archived agents that can still be restored, keyed by user and agent
+const AGENT_ARCHIVALS_COLLECTION = 'agent_archivals';
+
+// Tasks that "Pause all" disabled per agent, so "Resume all" enables only those again
+const AGENT_TASK_PAUSES_COLLECTION = 'agent_task_pauses';
+
+// Maximum length of a task ID used in callback data, longer IDs are replaced by the position
+const MAX_TASK_KEY_LENGTH = 24;
+
+// Fields maintained by the API that are never part of a change
+const READ_ONLY_AGENT_FIELDS = ['id', 'owner', 'created_at', 'updated_at', 'deployed_at'];
+
+// Fields that identify an agent and must not be copied into a clone
+const AGENT_IDENTITY_FIELDS = [...READ_ONLY_AGENT_FIELDS, 'upstream_id', 'slug', 'ticker', 'token_address', 'token_pool'];
+
+// Maximum length of an agent name chosen in the bot
+const MAX_AGENT_NAME_LENGTH = 50;
+
+// Maximum length of a single value in a diff
+const MAX_DIFF_VALUE_LENGTH = 300;
+
+// Maximum length of a whole diff, keeping messages below Telegram's 4096 character limit
+const MAX_DIFF_LENGTH = 3000;
+
+/**
+ * Validates if the provided agent ID matches the expected format
+ * Based on the example ID: d0o1lqvd14ts73arku3g
+ * @param {string} agentId - The agent ID to validate
+ * @returns {boolean} True if the ID format is valid
+ */
+function validateAgentId(agentId) {
+  // Agent ID should be alphanumeric, 20 characters long
+  // Based on the example: d0o1lqvd14ts73arku3g
+  const agentIdPattern = /^[a-z0-9]{20}$/;
+  return agentIdPattern.test(agentId);
+}
+
+/**
+ * Remembers the generator project an agent was generated in
+ * @param {string} agentId - Agent ID
+ * @param {string} projectId - Project ID returned by the generator
+ */
+function saveAgentProjectId(agentId, projectId) {
+  if (!agentId || !projectId) {
+    return;
+  }
+  getStorage().set(AGENT_PROJECTS_COLLECTION, agentId, {
+    projectId,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Gets the generator project an agent was generated in
+ * @param {string} agentId - Agent ID
+ * @returns {string|null} Project ID or null if unknown
+ */
+function getAgentProjectId(agentId) {
+  const record = getStorage().get(AGENT_PROJECTS_COLLECTION, agentId);
+  return record ? record.projectId : null;
+}
+
+/**
+ * Remembers that a user archived an agent and until when it can be undone
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID
+ * @param {number} undoUntil - Timestamp (ms) until which the archival can be undone
+ */
+function saveAgentArchival(userId, agentId, undoUntil) {
+  getStorage().set(AGENT_ARCHIVALS_COLLECTION, `${userId}:${agentId}`, {
+    undoUntil: new Date(undoUntil).toISOString(),
+    archivedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Removes the archival of an agent so it can only be undone once
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID
+ * @returns {boolean} True if the archival existed and its undo window is still open
+ */
+function takeAgentArchival(userId, agentId) {
+  const key = `${userId}:${agentId}`;
+  const record = getStorage().get(AGENT_ARCHIVALS_COLLECTION, key);
+  if (!record) {
+    return false;
+  }
+
+  getStorage().delete(AGENT_ARCHIVALS_COLLECTION, key);
+  return new Date(record.undoUntil).getTime() > Date.now();
+}
+
+/**
+ * Returns the autonomous tasks of an agent configuration
+ * @param {Object} agent - Agent configuration
+ * @returns {Array<Object>} Tasks
+ */
+function getAgentTasks(agent) {
+  return agent && Array.isArray(agent.autonomous) ? agent.autonomous : [];
+}
+
+/**
+ * Checks whether an autonomous task runs
+ * Tasks without the flag run, the API only stores it once a task was disabled
+ * @param {Object} task - Autonomous task configuration
+ * @returns {boolean} True if the task is enabled
+ */
+function isTaskEnabled(task) {
+  return task.enabled !== false;
+}
+
+/**
+ * Creates the key identifying a task in button callback data
+ * @param {Object} task - Autonomous task configuration
+ * @param {number} index - Position of the task in the agent configuration
+ * @returns {string} Task ID, or the position if the task has no short ID
+ */
+function getTaskKey(task, index) {
+  return task.id && String(task.id).length <= MAX_TASK_KEY_LENGTH ? String(task.id) : String(index);
+}
+
+/**
+ * Remembers which tasks of an agent were enabled before they were all paused
+ * @param {string} agentId - Agent ID
+ * @param {Array<string>} taskKeys - Keys of the paused tasks (see getTaskKey)
+ */
+function saveAgentTaskPause(agentId, taskKeys) {
+  getStorage().set(AGENT_TASK_PAUSES_COLLECTION, agentId, {
+    taskKeys,
+    pausedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Removes the pause of an agent's tasks
+ * @param {string} agentId - Agent ID
+ * @returns {Array<string>|null} Keys of the tasks paused with "Pause all", null if unknown
+ */
+function takeAgentTaskPause(agentId) {
+  const record = getStorage().get(AGENT_TASK_PAUSES_COLLECTION, agentId);
+  if (!record) {
+    return null;
+  }
+
+  getStorage().delete(AGENT_TASK_PAUSES_COLLECTION, agentId);
+  return record.taskKeys;
+}
+
+/**
+ * Formats a value for a diff line
+ * @param {*} value - Field value
+ * @returns {string} Single line representation
+ */
+function formatDiffValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const singleLine = String(text).replace(/\s*\n\s*/g, ' ⏎ ').replace(/`/g, "'");
+  return singleLine.length > MAX_DIFF_VALUE_LENGTH ?
+    `${singleLine.substring(0, MAX_DIFF_VALUE_LENGTH)}...` :
+    singleLine;
+}
+
+/**
+ * Lists the top level fields that differ between two agent configurations
+ * @param {Object} currentAgent - Current agent configuration
+ * @param {Object} updatedAgent - Proposed agent configuration
+ * @returns {Array<Object>} [{ field, before, after }] for every changed field
+ */
+function getAgentChanges(currentAgent, updatedAgent) {
+  const changes = [];
+
+  Object.keys(updatedAgent || {}).forEach((field) => {
+    if (READ_ONLY_AGENT_FIELDS.includes(field)) {
+      return;
+    }
+
+    const before = currentAgent ? currentAgent[field] : undefined;
+    const after = updatedAgent[field];
+    const isEmpty = (value) => value === undefined || value === null;
+
+    if (isEmpty(before) && isEmpty(after)) {
+      return;
+    }
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, before, after });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Copies the configuration of an agent without the fields that identify it
+ * @param {Object} agent - Agent to copy
+ * @returns {Object} Configuration a new agent can be created from
+ */
+function createAgentCopy(agent) {
+  const copy = { ...agent };
+  AGENT_IDENTITY_FIELDS.forEach((field) => {
+    delete copy[field];
+  });
+  return copy;
+}
+
+/**
+ * Creates a diff of agent changes as a Markdown code block
+ * @param {Array<Object>} changes - Changes from getAgentChanges
+ * @returns {string} Diff block, or a note that nothing changes
+ */
+function formatAgentChanges(changes) {
+  if (changes.length === 0) {
+    return '_No changes to the agent configuration._';
+  }
+
+  const lines = [];
+  let length = 0;
+  let shown = 0;
+
+  for (const { field, before, after } of changes) {
+    const fieldLines = [];
+    if (before !== undefined && before !== null) {
+      fieldLines.push(`- ${field}: ${formatDiffValue(before)}`);
+    }
+    if (after !== undefined && after !== null) {
+      fieldLines.push(`+ ${field}: ${formatDiffValue(after)}`);
+    }
+
+    const fieldLength = fieldLines.join('\n').length + 1;
+    if (shown > 0 && length + fieldLength > MAX_DIFF_LENGTH) {
+      break;
+    }
+    lines.push(...fieldLines);
+    length += fieldLength;
+    shown++;
+  }
+
+  if (shown < changes.length) {
+    lines.push(`... and ${changes.length - shown} more changed field(s)`);
+  }
+
+  return `\`\`\`diff\n${lines.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Formats the deployment status of an agent
+ * @param {Object} agent - Agent data from the API
+ * @returns {string} Deployment status line
+ */
+function formatDeploymentStatus(agent) {
+  if (agent && agent.deployed_at) {
+    return `🟢 Deployed (${new Date(agent.deployed_at).toLocaleString()})`;
+  }
+  return '⚪ Not deployed';
+}
+
+/**
+ * Formats the schedule of an autonomous task
+ * @param {Object} task - Autonomous task configuration
+ * @returns {string} Schedule such as "`0 * * * *`" or "every 30 min", empty if unscheduled
+ */
+function formatTaskSchedule(task) {
+  if (task.cron) {
+    return `\`${task.cron}\``;
+  }
+  if (task.minutes) {
+    return `every ${task.minutes} min`;
+  }
+  return '';
+}
+
+/**
+ * Lists the names of the enabled skills of an agent
+ * Skills are either a list of names/objects or an object keyed by skill name
+ * @param {Array|Object} skills - Skills of the agent configuration
+ * @returns {Array<string>} Skill names
+ */
+function getAgentSkillNames(skills) {
+  if (!skills) {
+    return [];
+  }
+  if (Array.isArray(skills)) {
+    return skills.map((skill) => (typeof skill === 'string' ? skill : skill.name || JSON.stringify(skill)));
+  }
+  return Object.keys(skills).filter((name) => !skills[name] || skills[name].enabled !== false);
+}
+
+module.exports = {
+  MAX_AGENT_NAME_LENGTH,
+  validateAgentId,
+  formatDeploymentStatus,
+  formatTaskSchedule,
+  getAgentSkillNames,
+  getAgentTasks,
+  isTaskEnabled,
+  getTaskKey,
+  saveAgentTaskPause,
+  takeAgentTaskPause,
+  saveAgentProjectId,
+  getAgentProjectId,
+  saveAgentArchival,
+  takeAgentArchival,
+  getAgentChanges,
+  formatAgentChanges,
+  createAgentCopy
+};
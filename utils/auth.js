@@ -1,16 +1,37 @@
-const { getUserAuthStatus, getUserAccessToken, clearUserAuthData } = require('../mockDb');
+const { getUserAuthStatus, getUserAccessToken, clearUserAuthData, updateUserData } = require('../mockDb');
+const { getPrivyClient, getPrivyVerificationKey } = require('../config/privy');
 
 /**
  * Authentication utility functions
  */
 
+/**
+ * Verifies a Privy access token (JWT) signature, issuer, audience and expiry
+ * @param {string} accessToken - Raw Privy access token
+ * @returns {Promise<Object>} { privyUserId: string, expiresAt: number } with expiresAt in milliseconds
+ * @throws {Error} If the token is missing, malformed, forged or expired
+ */
+async function verifyPrivyAccessToken(accessToken) {
+  if (!accessToken) {
+    throw new Error('Access token is required for verification');
+  }
+  
+  const claims = await getPrivyClient().verifyAuthToken(accessToken, getPrivyVerificationKey());
+  
+  return {
+    privyUserId: claims.userId,
+    expiresAt: claims.expiration * 1000
+  };
+}
+
 /**
  * Helper function to check if a user is properly authenticated
- * This checks both the authentication flag and the presence of a valid access token
+ * This checks both the authentication flag and that the stored access token has a valid
+ * signature and has not expired
  * @param {string} userId - Telegram user ID
- * @returns {Object} { isAuthenticated: boolean, userData: Object|null, hasValidToken: boolean }
+ * @returns {Promise<Object>} { isAuthenticated: boolean, userData: Object|null, hasValidToken: boolean }
  */
-function checkUserAuthentication(userId) {
+async function checkUserAuthentication(userId) {
   try {
     const userData = getUserAuthStatus(userId);
     
@@ -18,9 +39,24 @@ function checkUserAuthentication(userId) {
       return { isAuthenticated: false, userData: null, hasValidToken: false };
     }
     
-    // Check if user has a valid access token
+    // Check if user has an access token that is signed by Privy and not expired
     const accessToken = getUserAccessToken(userId);
-    const hasValidToken = !!accessToken;
+    let hasValidToken = false;
+    
+    if (accessToken) {
+      try {
+        const verified = await verifyPrivyAccessToken(accessToken);
+        hasValidToken = !userData.privyUserId || verified.privyUserId === userData.privyUserId;
+        
+        // Backfill the expiry for tokens stored before expiry tracking existed
+        if (hasValidToken && !userData.tokenExpiresAt) {
+          userData.tokenExpiresAt = new Date(verified.expiresAt).toISOString();
+          updateUserData(userId, { tokenExpiresAt: userData.tokenExpiresAt });
+        }
+      } catch (verificationError) {
+        console.log(`Access token for user ${userId} failed verification: ${verificationError.message}`);
+      }
+    }
     
     return { 
       isAuthenticated: userData.isAuthenticated, 
@@ -46,6 +82,7 @@ function handleInvalidToken(userId, shouldClear = false) {
 }
 
 module.exports = {
+  verifyPrivyAccessToken,
   checkUserAuthentication,
   handleInvalidToken
 };
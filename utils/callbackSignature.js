@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/**
+ * Signature verification for auth callbacks sent by the login web app
+ *
+ * The web app signs every callback with an HMAC-SHA256 over
+ * `${timestamp}.${nonce}.${rawBody}` using the shared AUTH_CALLBACK_SECRET and sends:
+ *   X-Signature: hex encoded HMAC (optionally prefixed with "sha256=")
+ *   X-Timestamp: unix time in seconds when the payload was signed
+ *   X-Nonce:     random, single-use value
+ */
+
+const SIGNATURE_HEADER = 'x-signature';
+const TIMESTAMP_HEADER = 'x-timestamp';
+const NONCE_HEADER = 'x-nonce';
+
+// How far a callback timestamp may drift from server time before it is considered stale
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Nonces seen within the accepted time window, mapped to when they can be forgotten
+const seenNonces = new Map();
+
+/**
+ * Gets the maximum accepted callback age in seconds
+ * @returns {number} Maximum age in seconds
+ */
+function getMaxAgeSeconds() {
+  const configured = parseInt(process.env.AUTH_CALLBACK_MAX_AGE_SECONDS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_AGE_SECONDS;
+}
+
+/**
+ * Computes the signature for a callback payload
+ * @param {string} secret - Shared signing secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Single-use nonce
+ * @param {string|Buffer} rawBody - Raw request body exactly as sent
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+function computeCallbackSignature(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Compares two hex signatures in constant time
+ * @param {string} expected - Signature computed by the server
+ * @param {string} received - Signature sent by the client
+ * @returns {boolean} True if both signatures match
+ */
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length === 0 || expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Removes nonces that are older than the accepted time window
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneNonces(now) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) {
+      seenNonces.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Verifies the signature, freshness and uniqueness of an auth callback request
+ * The request must have been parsed with a body parser that stores the raw body on req.rawBody
+ * @param {Object} req - Express request object
+ * @returns {Object} { valid: boolean, status?: number, reason?: string, error?: string }
+ */
+function verifyCallbackRequest(req) {
+  const secret = process.env.AUTH_CALLBACK_SECRET;
+  if (!secret) {
+    return {
+      valid: false,
+      status: 500,
+      reason: 'secret_not_configured',
+      error: 'Auth callback signing is not configured'
+    };
+  }
+
+  const signatureHeader = req.get(SIGNATURE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const nonce = req.get(NONCE_HEADER);
+
+  if (!signatureHeader || !timestamp || !nonce) {
+    return { valid: false, status: 401, reason: 'missing_signature', error: 'Missing signature headers' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!/^\d+$/.test(timestamp) || !Number.isSafeInteger(timestampSeconds)) {
+    return { valid: false, status: 401, reason: 'invalid_timestamp', error: 'Invalid timestamp' };
+  }
+
+  const now = Date.now();
+  const maxAgeMs = getMaxAgeSeconds() * 1000;
+  if (Math.abs(now - timestampSeconds * 1000) > maxAgeMs) {
+    return { valid: false, status: 401, reason: 'stale_request', error: 'Request timestamp is outside the accepted window' };
+  }
+
+  const receivedSignature = signatureHeader.replace(/^sha256=/, '');
+  const expectedSignature = computeCallbackSignature(secret, timestamp, nonce, req.rawBody);
+  if (!/^[0-9a-f]+$/i.test(receivedSignature) || !signaturesMatch(expectedSignature, receivedSignature)) {
+    return { valid: false, status: 401, reason: 'invalid_signature', error: 'Invalid signature' };
+  }
+
+  // Only remember nonces of correctly signed requests so forged requests cannot fill the cache
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return { valid: false, status: 409, reason: 'replayed_nonce', error: 'Request has already been processed' };
+  }
+  seenNonces.set(nonce, timestampSeconds * 1000 + maxAgeMs);
+
+  return { valid: true };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  computeCallbackSignature,
+  verifyCallbackRequest
+};
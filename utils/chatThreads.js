@@ -0,0 +1,50 @@
+const { getStorage } = require('../storage');
+
+/**
+ * Chat threads between users and agents
+ * The thread of every user and agent pair is kept in storage, so a chat
+ * resumes with the same history after a restart or a later /chat.
+ *
+ * Stored record: { threadId: string, updatedAt: ISO string }
+ */
+
+const CHAT_THREADS_COLLECTION = 'chat_threads';
+
+/**
+ * Builds the storage key of a chat thread
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID
+ * @returns {string} Storage key
+ */
+function getChatThreadKey(userId, agentId) {
+  return `${userId}:${agentId}`;
+}
+
+/**
+ * Gets the chat thread of a user with an agent
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID
+ * @returns {string|null} Thread ID or null if the user never chatted with the agent
+ */
+function getChatThreadId(userId, agentId) {
+  const record = getStorage().get(CHAT_THREADS_COLLECTION, getChatThreadKey(userId, agentId));
+  return record ? record.threadId : null;
+}
+
+/**
+ * Remembers the chat thread of a user with an agent
+ * @param {string} userId - Telegram user ID
+ * @param {string} agentId - Agent ID
+ * @param {string} threadId - Thread ID returned by the API
+ */
+function saveChatThreadId(userId, agentId, threadId) {
+  getStorage().set(CHAT_THREADS_COLLECTION, getChatThreadKey(userId, agentId), {
+    threadId,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getChatThreadId,
+  saveChatThreadId
+};
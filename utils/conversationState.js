@@ -0,0 +1,113 @@
+const { getStorage } = require('../storage');
+
+/**
+ * Persistent, expiring conversation state
+ * Tracks what a user is in the middle of (e.g. describing a new agent) together with
+ * a state-specific payload. States are stored through the storage layer so they survive
+ * restarts and are shared between instances, and expire after a TTL.
+ *
+ * Stored record: { state: string, payload: Object, expiresAt: ISO string, updatedAt: ISO string }
+ */
+
+const CONVERSATIONS_COLLECTION = 'conversations';
+
+// Default time a conversation state stays valid without activity
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Gets the default conversation TTL in milliseconds
+ * @returns {number} TTL in milliseconds
+ */
+function getDefaultTtlMs() {
+  const minutes = parseInt(process.env.CONVERSATION_TTL_MINUTES, 10);
+  return minutes > 0 ? minutes * 60 * 1000 : DEFAULT_TTL_MS;
+}
+
+/**
+ * Set conversation state for a specific user
+ * @param {string} userId - Telegram user ID
+ * @param {string} state - State name (e.g., 'flow:create_agent')
+ * @param {Object} [payload] - State specific data
+ * @param {number} [ttlMs] - Time in milliseconds until the state expires
+ * @returns {Object} The stored state record
+ */
+function setConversationState(userId, state, payload = {}, ttlMs = getDefaultTtlMs()) {
+  const now = Date.now();
+  const record = {
+    state,
+    payload,
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    updatedAt: new Date(now).toISOString()
+  };
+
+  getStorage().set(CONVERSATIONS_COLLECTION, userId, record);
+  console.log(`Set user ${userId} state to: ${state}`);
+  return record;
+}
+
+/**
+ * Get current conversation state, discarding it if it has expired
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} { state, payload, expiresAt, updatedAt } or null if no active state
+ */
+function getConversationState(userId) {
+  const record = getStorage().get(CONVERSATIONS_COLLECTION, userId);
+  if (!record) {
+    return null;
+  }
+
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    getStorage().delete(CONVERSATIONS_COLLECTION, userId);
+    console.log(`State ${record.state} for user ${userId} expired`);
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Merges data into the payload of the current state and extends its expiry
+ * @param {string} userId - Telegram user ID
+ * @param {Object} updates - Payload fields to set
+ * @param {number} [ttlMs] - Time in milliseconds until the state expires
+ * @returns {Object|null} The updated record or null if the user has no active state
+ */
+function updateConversationPayload(userId, updates, ttlMs = getDefaultTtlMs()) {
+  const current = getConversationState(userId);
+  if (!current) {
+    return null;
+  }
+
+  return setConversationState(userId, current.state, { ...current.payload, ...updates }, ttlMs);
+}
+
+/**
+ * Clear conversation state
+ * @param {string} userId - Telegram user ID
+ */
+function clearConversationState(userId) {
+  const hadState = !!getStorage().get(CONVERSATIONS_COLLECTION, userId);
+  getStorage().delete(CONVERSATIONS_COLLECTION, userId);
+  if (hadState) {
+    console.log(`Cleared state for user ${userId}`);
+  }
+}
+
+/**
+ * Check if user is in a specific state
+ * @param {string} userId - Telegram user ID
+ * @param {string} state - State to check for
+ * @returns {boolean} True if user is in the specified state
+ */
+function isUserInState(userId, state) {
+  const current = getConversationState(userId);
+  return !!current && current.state === state;
+}
+
+module.exports = {
+  setConversationState,
+  getConversationState,
+  updateConversationPayload,
+  clearConversationState,
+  isUserInState
+};
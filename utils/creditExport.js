@@ -0,0 +1,149 @@
+const { getCreditExpenseHistory } = require('../api/nation');
+
+/**
+ * Credit expense history export
+ * Collects every page of a user's expense events and serializes them as CSV or JSON
+ */
+
+// Safety limit for the number of history pages fetched for one export
+const MAX_EXPORT_PAGES = 500;
+
+// Columns listed first in CSV exports; any other fields follow in alphabetical order
+const PREFERRED_COLUMNS = [
+  'id',
+  'created_at',
+  'event_type',
+  'skill_name',
+  'agent_id',
+  'total_amount',
+  'credit_type',
+  'note'
+];
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  json: { extension: 'json', contentType: 'application/json' }
+};
+
+/**
+ * Parses a YYYY-MM-DD date as a UTC day boundary
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Whether to return the last millisecond of the day
+ * @returns {Date|null} Parsed date or null if the value is not a valid date
+ */
+function parseExportDate(value, endOfDay = false) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Fetches all expense events of a user by following the history cursors
+ * @param {string} accessToken - The access token for authentication
+ * @param {Object} [range] - Optional date range
+ * @param {Date} [range.from] - Earliest event time (inclusive)
+ * @param {Date} [range.to] - Latest event time (inclusive)
+ * @returns {Promise<Object>} { events, truncated }
+ */
+async function fetchExpenseEvents(accessToken, range = {}) {
+  const events = [];
+  let cursor;
+  let pages = 0;
+
+  do {
+    const history = await getCreditExpenseHistory({ accessToken, cursor });
+    const page = history.data || [];
+    events.push(...page);
+    pages++;
+    cursor = history.has_more && history.next_cursor ? history.next_cursor : null;
+
+    // The history is newest first, so once a page reaches back before the range the rest is older
+    if (range.from && page.some((event) => new Date(event.created_at).getTime() < range.from.getTime())) {
+      cursor = null;
+    }
+  } while (cursor && pages < MAX_EXPORT_PAGES);
+
+  const filtered = events.filter((event) => {
+    if (!range.from && !range.to) {
+      return true;
+    }
+    const time = new Date(event.created_at).getTime();
+    if (Number.isNaN(time)) {
+      return false;
+    }
+    return (!range.from || time >= range.from.getTime()) &&
+           (!range.to || time <= range.to.getTime());
+  });
+
+  return { events: filtered, truncated: !!cursor };
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * Text starting with a formula character is prefixed with a quote so spreadsheet
+ * applications do not evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serializes expense events as CSV
+ * @param {Array} events - Expense events
+ * @returns {string} CSV document with a header row
+ */
+function formatEventsAsCsv(events) {
+  const fields = new Set();
+  events.forEach((event) => Object.keys(event).forEach((key) => fields.add(key)));
+
+  const columns = [
+    ...PREFERRED_COLUMNS.filter((column) => fields.has(column) || events.length === 0),
+    ...[...fields].filter((field) => !PREFERRED_COLUMNS.includes(field)).sort()
+  ];
+
+  const rows = events.map((event) => columns.map((column) => toCsvCell(event[column])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes expense events as JSON
+ * @param {Array} events - Expense events
+ * @param {Object} [range] - Date range the events were filtered with
+ * @returns {string} JSON document
+ */
+function formatEventsAsJson(events, range = {}) {
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    from: range.from ? range.from.toISOString() : null,
+    to: range.to ? range.to.toISOString() : null,
+    count: events.length,
+    events
+  }, null, 2);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportDate,
+  fetchExpenseEvents,
+  formatEventsAsCsv,
+  formatEventsAsJson
+};
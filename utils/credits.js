@@ -0,0 +1,31 @@
+/**
+ * Credit account helpers
+ */
+
+// Balance fields of a credit account, in display order
+const BALANCE_FIELDS = [
+  ['credits', 'Credits'],
+  ['free_credits', 'Free credits'],
+  ['reward_credits', 'Reward credits']
+];
+
+/**
+ * Calculates the spendable balance of a credit account
+ * @param {Object} accountData - Credit account data from the getUserAccount API
+ * @returns {Object} { total: number|null, balances: Array<{ label: string, amount: number|string }> },
+ *   total is null when the account has no balance field, so the balance is unknown
+ */
+function getCreditBalance(accountData) {
+  const balances = BALANCE_FIELDS
+    .filter(([field]) => accountData && accountData[field] !== undefined && accountData[field] !== null)
+    .map(([field, label]) => ({ label, amount: accountData[field] }));
+  const total = balances.length > 0 ?
+    balances.reduce((sum, { amount }) => sum + (Number(amount) || 0), 0) :
+    null;
+
+  return { total, balances };
+}
+
+module.exports = {
+  getCreditBalance
+};
@@ -0,0 +1,193 @@
+const { setConversationState, getConversationState, clearConversationState } = require('./conversationState');
+const { createCancelFlowKeyboard } = require('./keyboards');
+
+/**
+ * Multi-step conversation flows
+ * A flow asks the user for a sequence of values, validates each answer and calls
+ * onComplete with everything collected. Progress is kept in the conversation state,
+ * so a flow survives restarts and expires like any other state.
+ *
+ * Flow definition:
+ * {
+ *   name: string,                               // unique flow name
+ *   ttlMs: number,                              // optional, inactivity timeout
+ *   steps: [{
+ *     name: string,                             // key of the answer in the collected data
+ *     prompt: string | (data) => string,        // Markdown message asking for the value
+ *     keyboard: (data) => Array,                // optional inline keyboard, defaults to a cancel button
+ *     validate: (text, data) => string | null,  // optional, returns an error message to re-ask
+ *     parse: (text, data) => any                // optional, converts the answer before storing it
+ *   }],
+ *   onComplete: async (bot, msg, data) => {},   // called after the last step
+ *   onCancel: async (bot, chatId, userId, data) => {} // optional, called when the user cancels
+ * }
+ */
+
+const FLOW_STATE_PREFIX = 'flow:';
+
+// Registered flows by name
+const flows = new Map();
+
+/**
+ * Registers a flow definition
+ * @param {Object} definition - Flow definition (see above)
+ * @returns {Object} The registered definition
+ */
+function defineFlow(definition) {
+  if (!definition.name || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('A flow needs a name and at least one step');
+  }
+  if (typeof definition.onComplete !== 'function') {
+    throw new Error(`Flow ${definition.name} needs an onComplete handler`);
+  }
+  flows.set(definition.name, definition);
+  return definition;
+}
+
+/**
+ * Sends the prompt of a flow step
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat to send the prompt to
+ * @param {Object} step - Step definition
+ * @param {Object} data - Data collected so far
+ */
+async function sendStepPrompt(bot, chatId, step, data) {
+  const text = typeof step.prompt === 'function' ? step.prompt(data) : step.prompt;
+  const keyboard = step.keyboard ? step.keyboard(data) : createCancelFlowKeyboard();
+
+  await bot.sendMessage(chatId, text, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: keyboard
+    }
+  });
+}
+
+/**
+ * Stores the progress of a flow in the user's conversation state
+ * @param {string} userId - Telegram user ID
+ * @param {Object} flow - Flow definition
+ * @param {number} stepIndex - Index of the step awaiting an answer
+ * @param {Object} data - Data collected so far
+ */
+function saveFlowProgress(userId, flow, stepIndex, data) {
+  setConversationState(
+    userId,
+    `${FLOW_STATE_PREFIX}${flow.name}`,
+    { flow: flow.name, step: stepIndex, data },
+    flow.ttlMs
+  );
+}
+
+/**
+ * Starts a flow for a user, replacing any state the user was in
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the flow runs in
+ * @param {string} userId - Telegram user ID
+ * @param {string} flowName - Name of a registered flow
+ * @param {Object} [initialData] - Data available to all steps
+ */
+async function startFlow(bot, chatId, userId, flowName, initialData = {}) {
+  const flow = flows.get(flowName);
+  if (!flow) {
+    throw new Error(`Unknown flow: ${flowName}`);
+  }
+
+  saveFlowProgress(userId, flow, 0, initialData);
+  await sendStepPrompt(bot, chatId, flow.steps[0], initialData);
+}
+
+/**
+ * Returns the flow the user is currently in
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} { flow, stepIndex, data } or null if the user is not in a flow
+ */
+function getActiveFlow(userId) {
+  const current = getConversationState(userId);
+  if (!current || !current.state.startsWith(FLOW_STATE_PREFIX)) {
+    return null;
+  }
+
+  const flow = flows.get(current.payload.flow);
+  if (!flow) {
+    return null;
+  }
+
+  return { flow, stepIndex: current.payload.step, data: current.payload.data || {} };
+}
+
+/**
+ * Feeds a text message to the flow the user is in
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<boolean>} True if the message was consumed by a flow
+ */
+async function handleFlowMessage(bot, msg) {
+  const userId = msg.from.id;
+  const active = getActiveFlow(userId);
+  if (!active) {
+    return false;
+  }
+
+  const { flow, stepIndex, data } = active;
+  const step = flow.steps[stepIndex];
+  const text = (msg.text || '').trim();
+
+  const error = step.validate ? step.validate(text, data) : null;
+  if (error) {
+    // Keep the user on the same step and refresh the expiry
+    saveFlowProgress(userId, flow, stepIndex, data);
+    await bot.sendMessage(msg.chat.id, error, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: step.keyboard ? step.keyboard(data) : createCancelFlowKeyboard()
+      }
+    });
+    return true;
+  }
+
+  const collected = { ...data, [step.name]: step.parse ? step.parse(text, data) : text };
+  const nextIndex = stepIndex + 1;
+
+  if (nextIndex < flow.steps.length) {
+    saveFlowProgress(userId, flow, nextIndex, collected);
+    await sendStepPrompt(bot, msg.chat.id, flow.steps[nextIndex], collected);
+    return true;
+  }
+
+  // Clear before completing so onComplete can move the user into a new state
+  clearConversationState(userId);
+  console.log(`User ${userId} completed flow ${flow.name}`);
+  await flow.onComplete(bot, msg, collected);
+  return true;
+}
+
+/**
+ * Cancels the flow the user is in
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat the flow runs in
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<boolean>} True if a flow was cancelled
+ */
+async function cancelFlow(bot, chatId, userId) {
+  const active = getActiveFlow(userId);
+  clearConversationState(userId);
+
+  if (!active) {
+    return false;
+  }
+
+  console.log(`User ${userId} cancelled flow ${active.flow.name}`);
+  if (active.flow.onCancel) {
+    await active.flow.onCancel(bot, chatId, userId, active.data);
+  }
+  return true;
+}
+
+module.exports = {
+  defineFlow,
+  startFlow,
+  getActiveFlow,
+  handleFlowMessage,
+  cancelFlow
+};
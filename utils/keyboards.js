@@ -1,10 +1,15 @@
 const { generateLoginUrl } = require('../config/bot');
 const { KEYBOARD_BUTTONS, CALLBACK_DATA } = require('../config/constants');
+const { getAgentTasks, isTaskEnabled, getTaskKey } = require('./agents');
+const { SLIPPAGE_PRESETS_BPS, PRIORITY_FEE_LEVELS, QUOTE_TOKENS } = require('./swap');
 
 /**
  * Utility functions for creating inline keyboards
  */
 
+// Maximum length of an agent name on a button
+const MAX_AGENT_BUTTON_LENGTH = 40;
+
 /**
  * Creates main menu keyboard based on authentication status
  * @param {Object} authCheck - Authentication check result
@@ -38,6 +43,12 @@ function createMainMenuKeyboard(authCheck, userId) {
         callback_data: CALLBACK_DATA.CREATE_AGENT
       }
     ]);
+    keyboard.push([
+      {
+        text: KEYBOARD_BUTTONS.SETTINGS,
+        callback_data: CALLBACK_DATA.SHOW_SETTINGS
+      }
+    ]);
     keyboard.push([
       {
         text: KEYBOARD_BUTTONS.LOGOUT,
@@ -166,6 +177,12 @@ function createLogoutKeyboard(userId) {
  */
 function createAgentCreationKeyboard() {
   return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.TEMPLATES,
+        callback_data: CALLBACK_DATA.SHOW_TEMPLATES
+      }
+    ],
     [
       {
         text: KEYBOARD_BUTTONS.CANCEL,
@@ -175,11 +192,519 @@ function createAgentCreationKeyboard() {
   ];
 }
 
+/**
+ * Creates keyboard with a cancel option for multi-step flows
+ * @returns {Array} Inline keyboard array
+ */
+function createCancelFlowKeyboard() {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.CANCEL,
+        callback_data: CALLBACK_DATA.CANCEL_FLOW
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard of the wallet view
+ * @returns {Array} Inline keyboard array
+ */
+function createWalletKeyboard() {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.REFRESH_WALLET,
+        callback_data: CALLBACK_DATA.REFRESH_WALLET
+      }
+    ],
+    [
+      {
+        text: KEYBOARD_BUTTONS.MAIN_MENU,
+        callback_data: CALLBACK_DATA.BACK_TO_START
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard to confirm or cancel a quoted swap
+ * @param {string} quoteId - ID of the quote, so the buttons only act on this quote
+ * @returns {Array} Inline keyboard array
+ */
+function createSwapConfirmationKeyboard(quoteId) {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.CONFIRM_SWAP,
+        callback_data: `${CALLBACK_DATA.CONFIRM_SWAP}${quoteId}`
+      },
+      {
+        text: KEYBOARD_BUTTONS.CANCEL,
+        callback_data: `${CALLBACK_DATA.CANCEL_SWAP}${quoteId}`
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard of the trading settings
+ * Rows: slippage, priority fee, quote token and confirmation threshold; the current
+ * choice of each row is checked.
+ * @param {Object} settings - Swap settings of the user (see getSwapSettings)
+ * @returns {Array} Inline keyboard array
+ */
+function createSwapSettingsKeyboard(settings) {
+  const check = (selected, text) => (selected ? `✓ ${text}` : text);
+  const quoteToken = QUOTE_TOKENS[settings.quoteToken];
+
+  return [
+    SLIPPAGE_PRESETS_BPS.map((bps) => ({
+      text: check(bps === settings.slippageBps, `${bps / 100}%`),
+      callback_data: `${CALLBACK_DATA.SWAP_SLIPPAGE}${bps}`
+    })),
+    Object.entries(PRIORITY_FEE_LEVELS).map(([level, { label }]) => ({
+      text: check(level === settings.priorityFee, label),
+      callback_data: `${CALLBACK_DATA.SWAP_PRIORITY_FEE}${level}`
+    })),
+    Object.keys(QUOTE_TOKENS).map((symbol) => ({
+      text: check(symbol === settings.quoteToken, symbol),
+      callback_data: `${CALLBACK_DATA.SWAP_QUOTE_TOKEN}${symbol}`
+    })),
+    [
+      {
+        text: check(settings.confirmThreshold === null, KEYBOARD_BUTTONS.ALWAYS_CONFIRM_SWAPS),
+        callback_data: `${CALLBACK_DATA.SWAP_CONFIRM_THRESHOLD}always`
+      },
+      ...quoteToken.confirmThresholds.map((threshold) => ({
+        text: check(threshold === settings.confirmThreshold, `Above ${threshold} ${settings.quoteToken}`),
+        callback_data: `${CALLBACK_DATA.SWAP_CONFIRM_THRESHOLD}${threshold}`
+      }))
+    ],
+    [
+      {
+        text: KEYBOARD_BUTTONS.MAIN_MENU,
+        callback_data: CALLBACK_DATA.BACK_TO_START
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates navigation keyboard for the credit expense history
+ * @param {number} pageIndex - Zero based index of the shown page
+ * @param {boolean} hasMore - Whether there is a next page
+ * @returns {Array} Inline keyboard array
+ */
+function createCreditsKeyboard(pageIndex, hasMore) {
+  const navigation = [];
+  
+  if (pageIndex > 0) {
+    navigation.push({
+      text: KEYBOARD_BUTTONS.PREVIOUS_PAGE,
+      callback_data: `${CALLBACK_DATA.CREDITS_PAGE}${pageIndex - 1}`
+    });
+  }
+  if (hasMore) {
+    navigation.push({
+      text: KEYBOARD_BUTTONS.NEXT_PAGE,
+      callback_data: `${CALLBACK_DATA.CREDITS_PAGE}${pageIndex + 1}`
+    });
+  }
+  
+  const keyboard = navigation.length > 0 ? [navigation] : [];
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.MAIN_MENU,
+      callback_data: CALLBACK_DATA.BACK_TO_START
+    }
+  ]);
+  
+  return keyboard;
+}
+
+/**
+ * Creates alert settings keyboard
+ * @param {boolean} creditAlertEnabled - Whether a low credit alert is set
+ * @returns {Array} Inline keyboard array
+ */
+function createCreditAlertKeyboard(creditAlertEnabled) {
+  const keyboard = [];
+  
+  if (creditAlertEnabled) {
+    keyboard.push([
+      {
+        text: KEYBOARD_BUTTONS.DISABLE_CREDIT_ALERT,
+        callback_data: CALLBACK_DATA.DISABLE_CREDIT_ALERT
+      }
+    ]);
+  }
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.MAIN_MENU,
+      callback_data: CALLBACK_DATA.BACK_TO_START
+    }
+  ]);
+  
+  return keyboard;
+}
+
+/**
+ * Creates keyboard of the notification settings
+ * @param {Object} userData - User record from the database
+ * @returns {Array} Inline keyboard array
+ */
+function createNotificationSettingsKeyboard(userData) {
+  const keyboard = [];
+
+  if (userData.activityNotifications) {
+    const currentMode = userData.activityDigest || 'instant';
+    keyboard.push([
+      ['instant', KEYBOARD_BUTTONS.INSTANT_NOTIFICATIONS],
+      ['hourly', KEYBOARD_BUTTONS.HOURLY_DIGEST],
+      ['daily', KEYBOARD_BUTTONS.DAILY_DIGEST]
+    ].map(([mode, text]) => ({
+      text: mode === currentMode ? `✓ ${text}` : text,
+      callback_data: `${CALLBACK_DATA.NOTIFICATION_MODE}${mode}`
+    })));
+    keyboard.push([
+      {
+        text: KEYBOARD_BUTTONS.DISABLE_NOTIFICATIONS,
+        callback_data: CALLBACK_DATA.DISABLE_NOTIFICATIONS
+      }
+    ]);
+  } else {
+    keyboard.push([
+      {
+        text: KEYBOARD_BUTTONS.ENABLE_NOTIFICATIONS,
+        callback_data: CALLBACK_DATA.ENABLE_NOTIFICATIONS
+      }
+    ]);
+  }
+
+  Object.entries(userData.mutedActivityAgents || {}).forEach(([agentId, name]) => {
+    keyboard.push([
+      {
+        text: `${KEYBOARD_BUTTONS.UNMUTE_AGENT} ${name.substring(0, MAX_AGENT_BUTTON_LENGTH)}`,
+        callback_data: `${CALLBACK_DATA.UNMUTE_AGENT_ACTIVITY}${agentId}`
+      }
+    ]);
+  });
+
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.MAIN_MENU,
+      callback_data: CALLBACK_DATA.BACK_TO_START
+    }
+  ]);
+
+  return keyboard;
+}
+
+/**
+ * Creates keyboard of an agent activity notification with a mute button per agent
+ * @param {Array<Object>} summaries - Activity summaries, one per agent
+ * @returns {Array} Inline keyboard array
+ */
+function createActivityNotificationKeyboard(summaries) {
+  const keyboard = summaries.map((summary) => [
+    {
+      text: `${KEYBOARD_BUTTONS.MUTE_AGENT} ${summary.name.substring(0, MAX_AGENT_BUTTON_LENGTH)}`,
+      callback_data: `${CALLBACK_DATA.MUTE_AGENT_ACTIVITY}${summary.agentId}`
+    }
+  ]);
+
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.NOTIFICATION_SETTINGS,
+      callback_data: CALLBACK_DATA.NOTIFICATION_SETTINGS
+    }
+  ]);
+
+  return keyboard;
+}
+
+/**
+ * Creates confirmation keyboard for a proposed agent update
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentUpdateKeyboard() {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.APPLY_CHANGES,
+        callback_data: CALLBACK_DATA.CONFIRM_AGENT_UPDATE
+      },
+      {
+        text: KEYBOARD_BUTTONS.CANCEL,
+        callback_data: CALLBACK_DATA.CANCEL_AGENT_UPDATE
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates review keyboard for a generated agent draft
+ * @param {boolean} deployByDefault - Whether the user deploys new agents by default
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentDraftKeyboard(deployByDefault) {
+  const createButton = {
+    text: deployByDefault ? KEYBOARD_BUTTONS.CREATE_ONLY : KEYBOARD_BUTTONS.CONFIRM_CREATE_AGENT,
+    callback_data: CALLBACK_DATA.CONFIRM_AGENT_CREATION
+  };
+  const deployButton = {
+    text: KEYBOARD_BUTTONS.CREATE_AND_DEPLOY_AGENT,
+    callback_data: CALLBACK_DATA.CREATE_AND_DEPLOY_AGENT
+  };
+
+  return [
+    // The user's default comes first
+    deployByDefault ? [deployButton, createButton] : [createButton, deployButton],
+    [
+      {
+        text: KEYBOARD_BUTTONS.REFINE_AGENT,
+        callback_data: CALLBACK_DATA.REFINE_AGENT
+      },
+      {
+        text: KEYBOARD_BUTTONS.CANCEL,
+        callback_data: CALLBACK_DATA.CANCEL_AGENT_DRAFT
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard of a page of the agent browser
+ * @param {Array<Object>} agents - Agents shown on the page
+ * @param {number} pageIndex - Zero based index of the page
+ * @param {boolean} hasMore - Whether there is a next page
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentListKeyboard(agents, pageIndex, hasMore) {
+  // One button per agent, buttons carry the ID since names are not unique
+  const keyboard = agents.map((agent) => [
+    {
+      text: (agent.name || 'Unnamed Agent').substring(0, MAX_AGENT_BUTTON_LENGTH),
+      callback_data: `${CALLBACK_DATA.VIEW_AGENT}${agent.id}`
+    }
+  ]);
+
+  const navigation = [];
+  if (pageIndex > 0) {
+    navigation.push({
+      text: KEYBOARD_BUTTONS.PREVIOUS_PAGE,
+      callback_data: `${CALLBACK_DATA.AGENTS_PAGE}${pageIndex - 1}`
+    });
+  }
+  if (hasMore) {
+    navigation.push({
+      text: KEYBOARD_BUTTONS.NEXT_PAGE,
+      callback_data: `${CALLBACK_DATA.AGENTS_PAGE}${pageIndex + 1}`
+    });
+  }
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.MAIN_MENU,
+      callback_data: CALLBACK_DATA.BACK_TO_START
+    }
+  ]);
+
+  return keyboard;
+}
+
+/**
+ * Creates action keyboard of an agent card
+ * @param {string} agentId - Agent ID
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentDetailKeyboard(agentId) {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.EDIT_AGENT,
+        callback_data: `${CALLBACK_DATA.EDIT_AGENT}${agentId}`
+      },
+      {
+        text: KEYBOARD_BUTTONS.CLONE_AGENT,
+        callback_data: `${CALLBACK_DATA.CLONE_AGENT}${agentId}`
+      },
+      {
+        text: KEYBOARD_BUTTONS.DEPLOY_AGENT,
+        callback_data: `${CALLBACK_DATA.DEPLOY_AGENT}${agentId}`
+      }
+    ],
+    [
+      {
+        text: KEYBOARD_BUTTONS.AGENT_TASKS,
+        callback_data: `${CALLBACK_DATA.AGENT_TASKS}${agentId}`
+      }
+    ],
+    [
+      {
+        text: KEYBOARD_BUTTONS.RAW_JSON,
+        callback_data: `${CALLBACK_DATA.AGENT_JSON}${agentId}`
+      },
+      {
+        text: KEYBOARD_BUTTONS.EXPORT_AGENT,
+        callback_data: `${CALLBACK_DATA.EXPORT_AGENT}${agentId}`
+      },
+      {
+        text: KEYBOARD_BUTTONS.DELETE_AGENT,
+        callback_data: `${CALLBACK_DATA.DELETE_AGENT}${agentId}`
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard of the autonomous tasks view of an agent
+ * Every task toggles on tap; the last row pauses all tasks or resumes them when all are paused
+ * @param {Object} agent - Agent data
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentTasksKeyboard(agent) {
+  const tasks = getAgentTasks(agent);
+
+  const keyboard = tasks.map((task, index) => [
+    {
+      text: `${isTaskEnabled(task) ? '✅' : '⏸️'} ${(task.name || task.id || 'Task').substring(0, MAX_AGENT_BUTTON_LENGTH)}`,
+      callback_data: `${CALLBACK_DATA.TOGGLE_AGENT_TASK}${agent.id}:${getTaskKey(task, index)}`
+    }
+  ]);
+
+  if (tasks.length > 0) {
+    keyboard.push([
+      tasks.some(isTaskEnabled) ?
+        {
+          text: KEYBOARD_BUTTONS.PAUSE_AGENT_TASKS,
+          callback_data: `${CALLBACK_DATA.PAUSE_AGENT_TASKS}${agent.id}`
+        } :
+        {
+          text: KEYBOARD_BUTTONS.RESUME_AGENT_TASKS,
+          callback_data: `${CALLBACK_DATA.RESUME_AGENT_TASKS}${agent.id}`
+        }
+    ]);
+  }
+
+  return keyboard;
+}
+
+/**
+ * Creates keyboard of a step of the agent deletion confirmation
+ * @param {string} agentId - ID of the agent, so the buttons only act on this deletion
+ * @param {boolean} finalStep - Whether this is the second, final confirmation
+ * @returns {Array} Inline keyboard array
+ */
+function createAgentDeletionKeyboard(agentId, finalStep) {
+  return [
+    [
+      finalStep ?
+        {
+          text: KEYBOARD_BUTTONS.FINAL_CONFIRM_DELETE_AGENT,
+          callback_data: `${CALLBACK_DATA.FINAL_CONFIRM_AGENT_DELETION}${agentId}`
+        } :
+        {
+          text: KEYBOARD_BUTTONS.CONFIRM_DELETE_AGENT,
+          callback_data: `${CALLBACK_DATA.CONFIRM_AGENT_DELETION}${agentId}`
+        },
+      {
+        text: KEYBOARD_BUTTONS.CANCEL,
+        callback_data: `${CALLBACK_DATA.CANCEL_AGENT_DELETION}${agentId}`
+      }
+    ]
+  ];
+}
+
+/**
+ * Creates keyboard with the categories of the template catalog
+ * @param {Array<Object>} categories - Template categories
+ * @returns {Array} Inline keyboard array
+ */
+function createTemplateCategoriesKeyboard(categories) {
+  const keyboard = categories.map((category) => [
+    {
+      text: `${category.emoji || '📚'} ${category.name}`,
+      callback_data: `${CALLBACK_DATA.TEMPLATE_CATEGORY}${category.id}`
+    }
+  ]);
+
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.MAIN_MENU,
+      callback_data: CALLBACK_DATA.BACK_TO_START
+    }
+  ]);
+
+  return keyboard;
+}
+
+/**
+ * Creates keyboard with the templates of a category
+ * @param {Array<Object>} templates - Templates of the category
+ * @returns {Array} Inline keyboard array
+ */
+function createTemplateListKeyboard(templates) {
+  const keyboard = templates.map((template) => [
+    {
+      text: template.name,
+      callback_data: `${CALLBACK_DATA.USE_TEMPLATE}${template.id}`
+    }
+  ]);
+
+  keyboard.push([
+    {
+      text: KEYBOARD_BUTTONS.BACK_TO_TEMPLATES,
+      callback_data: CALLBACK_DATA.SHOW_TEMPLATES
+    }
+  ]);
+
+  return keyboard;
+}
+
+/**
+ * Creates keyboard to undo the archival of an agent
+ * @param {string} agentId - Agent ID
+ * @returns {Array} Inline keyboard array
+ */
+function createUndoAgentDeletionKeyboard(agentId) {
+  return [
+    [
+      {
+        text: KEYBOARD_BUTTONS.UNDO,
+        callback_data: `${CALLBACK_DATA.UNDO_AGENT_DELETION}${agentId}`
+      }
+    ]
+  ];
+}
+
 module.exports = {
   createMainMenuKeyboard,
   createAuthenticatedKeyboard,
   createLoginKeyboard,
   createReauthKeyboard,
   createLogoutKeyboard,
-  createAgentCreationKeyboard
+  createAgentCreationKeyboard,
+  createCancelFlowKeyboard,
+  createWalletKeyboard,
+  createSwapConfirmationKeyboard,
+  createSwapSettingsKeyboard,
+  createCreditsKeyboard,
+  createCreditAlertKeyboard,
+  createNotificationSettingsKeyboard,
+  createActivityNotificationKeyboard,
+  createAgentUpdateKeyboard,
+  createAgentDraftKeyboard,
+  createAgentListKeyboard,
+  createAgentDetailKeyboard,
+  createAgentDeletionKeyboard,
+  createUndoAgentDeletionKeyboard,
+  createAgentTasksKeyboard,
+  createTemplateCategoriesKeyboard,
+  createTemplateListKeyboard
 };
@@ -1,9 +1,45 @@
 const { MESSAGES, COMMANDS } = require('../config/constants');
+const { getCreditBalance } = require('./credits');
+const {
+  formatDeploymentStatus,
+  formatTaskSchedule,
+  getAgentSkillNames,
+  getAgentTasks,
+  isTaskEnabled
+} = require('./agents');
+const { formatTokenAmount } = require('./wallet');
+const { getRouteLabels, formatPriceImpact, formatPriorityFee } = require('./swap');
 
 /**
  * Utility functions for formatting messages
  */
 
+// Maximum number of items listed per section of an agent card
+const MAX_CARD_LIST_ITEMS = 10;
+
+// Maximum length of a free text field of an agent card
+const MAX_CARD_TEXT_LENGTH = 300;
+
+// Maximum length of a task prompt in the tasks view
+const MAX_TASK_PROMPT_LENGTH = 200;
+
+// Maximum length of an agent card, below Telegram's 4096 character limit
+const MAX_CARD_LENGTH = 3500;
+
+// Maximum number of tokens listed in the wallet view
+const MAX_WALLET_TOKENS = 20;
+
+// Maximum length of an activity text in a notification
+const MAX_ACTIVITY_TEXT_LENGTH = 150;
+
+// Activity kinds counted in a notification, in display order
+const ACTIVITY_COUNT_LABELS = [
+  ['task', '⏰', 'task run(s)'],
+  ['trade', '💱', 'trade(s)'],
+  ['error', '❌', 'error(s)'],
+  ['other', '📝', 'other']
+];
+
 /**
  * Creates welcome message with user name
  * @param {string} userName - User's first name
@@ -26,9 +62,25 @@ function createWelcomeMessage(userName, authCheck) {
   message += `📊 ${COMMANDS.STATUS} - Check your account status\n`;
   
   if (authCheck.isAuthenticated && authCheck.hasValidToken) {
+    message += `👛 ${COMMANDS.WALLET} - View your Solana wallet balances\n`;
+    message += `💱 ${COMMANDS.SWAP} - Swap SOL for a token (Usage: /swap [token-address] [amount])\n`;
+    message += `⚙️ ${COMMANDS.SETTINGS} - Set slippage, priority fee, quote token and confirmation of swaps\n`;
     message += `🤖 ${COMMANDS.CREATE_AGENT} - Create a new agent\n`;
-    message += `📋 ${COMMANDS.MY_AGENTS} - View your agents\n`;
+    message += `📚 ${COMMANDS.TEMPLATES} - Create an agent from a template\n`;
+    message += `📋 ${COMMANDS.MY_AGENTS} - Browse and search your agents (Usage: /myAgents [name])\n`;
     message += `🔍 ${COMMANDS.GET_AGENT} - Get specific agent details (Usage: /getAgent [agent-id])\n`;
+    message += `✏️ ${COMMANDS.EDIT_AGENT} - Change an agent by describing the change (Usage: /editAgent [agent-id])\n`;
+    message += `⏰ ${COMMANDS.AGENT_TASKS} - Enable, disable or pause the tasks of an agent (Usage: /agentTasks [agent-id])\n`;
+    message += `📤 ${COMMANDS.EXPORT_AGENT} - Export an agent as a file, send a file to import it (Usage: /exportAgent [agent-id] [yaml|json])\n`;
+    message += `🧬 ${COMMANDS.CLONE_AGENT} - Create a copy of an agent (Usage: /cloneAgent [agent-id])\n`;
+    message += `🚀 ${COMMANDS.DEPLOY_AGENT} - Deploy an agent (Usage: /deployAgent [agent-id])\n`;
+    message += `⚙️ ${COMMANDS.AUTO_DEPLOY} - Deploy new agents by default (Usage: /autoDeploy [on|off])\n`;
+    message += `💬 ${COMMANDS.CHAT} - Chat with an agent (Usage: /chat [agent-id])\n`;
+    message += `🗑️ ${COMMANDS.DELETE_AGENT} - Delete or archive an agent (Usage: /deleteAgent [agent-id])\n`;
+    message += `💳 ${COMMANDS.CREDITS} - View your credit balance and spending\n`;
+    message += `🔔 ${COMMANDS.ALERTS} - Get alerted when your credits run low\n`;
+    message += `🔔 ${COMMANDS.NOTIFICATIONS} - Get the activity of your agents (Usage: /notifications [on|off|instant|hourly|daily])\n`;
+    message += `📤 ${COMMANDS.EXPORT_CREDITS} - Export your credit history (Usage: /exportCredits [csv|json] [from] [to])\n`;
     message += `🚪 ${COMMANDS.LOGOUT} - Log out and clear credentials\n`;
   }
   
@@ -51,17 +103,94 @@ function createHelpMessage() {
          `   • Shows authentication status\n` +
          `   • Displays account information from API\n` +
          `   • Shows wallet and user details\n\n` +
+         `👛 ${COMMANDS.WALLET} - View your Solana wallet\n` +
+         `   • Shows the address of the wallet linked to your Privy account\n` +
+         `   • Lists your SOL and SPL token balances with token names\n` +
+         `   • Tap Refresh to reload the balances\n` +
+         `   • Requires authentication\n\n` +
+         `💱 ${COMMANDS.SWAP} - Swap SOL for a token through Jupiter\n` +
+         `   • Usage: ${COMMANDS.SWAP} [token-address] [amount]\n` +
+         `   • The amount is paid in your quote token, SOL by default\n` +
+         `   • Shows price impact, route and minimum received before you confirm\n` +
+         `   • Signed by your Privy embedded wallet\n` +
+         `   • Requires authentication\n\n` +
+         `⚙️ ${COMMANDS.SETTINGS} - Trading settings\n` +
+         `   • Slippage, priority fee and quote token of your swaps\n` +
+         `   • Swap size up to which swaps are sent without confirmation\n` +
+         `   • Requires authentication\n\n` +
          `🤖 ${COMMANDS.CREATE_AGENT} - Create a new agent\n` +
          `   • Create agents from natural language prompts\n` +
          `   • Define automated trading tasks\n` +
          `   • Requires authentication\n\n` +
-         `📋 ${COMMANDS.MY_AGENTS} - View your agents\n` +
-         `   • Lists all your created agents\n` +
-         `   • Shows agent details and status\n` +
+         `📋 ${COMMANDS.MY_AGENTS} - Browse your agents\n` +
+         `   • Usage: ${COMMANDS.MY_AGENTS} [name]\n` +
+         `   • Lists your agents page by page, tap one for details and actions\n` +
+         `   • With a name, searches your agents by name\n` +
          `   • Available only when authenticated\n\n` +
          `🔍 ${COMMANDS.GET_AGENT} - Get specific agent details\n` +
          `   • Usage: ${COMMANDS.GET_AGENT} [agent-id]\n` +
-         `   • Shows detailed agent information in JSON format\n` +
+         `   • Shows a formatted card with skills, tasks and schedules\n` +
+         `   • The Raw JSON button sends the full configuration as a file\n` +
+         `   • Requires authentication\n\n` +
+         `✏️ ${COMMANDS.EDIT_AGENT} - Edit an agent\n` +
+         `   • Usage: ${COMMANDS.EDIT_AGENT} [agent-id]\n` +
+         `   • Describe the change in plain language\n` +
+         `   • Review the changes before they are applied\n` +
+         `   • Requires authentication\n\n` +
+         `⏰ ${COMMANDS.AGENT_TASKS} - Manage the autonomous tasks of an agent\n` +
+         `   • Usage: ${COMMANDS.AGENT_TASKS} [agent-id]\n` +
+         `   • Lists every task with its schedule and prompt\n` +
+         `   • Tap a task to enable or disable it, or pause and resume all tasks at once\n` +
+         `   • Requires authentication\n\n` +
+         `📤 ${COMMANDS.EXPORT_AGENT} - Export an agent definition\n` +
+         `   • Usage: ${COMMANDS.EXPORT_AGENT} [agent-id] [yaml|json]\n` +
+         `   • Sends the configuration as a file you can keep in git\n` +
+         `   • Send a .json, .yaml or .yml file to the bot to import it as a new agent\n` +
+         `   • Requires authentication\n\n` +
+         `🧬 ${COMMANDS.CLONE_AGENT} - Clone an agent\n` +
+         `   • Usage: ${COMMANDS.CLONE_AGENT} [agent-id]\n` +
+         `   • Pick a name for the copy and optionally describe what should differ\n` +
+         `   • Review the copy before it is created\n` +
+         `   • Requires authentication\n\n` +
+         `🚀 ${COMMANDS.DEPLOY_AGENT} - Deploy an agent\n` +
+         `   • Usage: ${COMMANDS.DEPLOY_AGENT} [agent-id]\n` +
+         `   • Shows the deployment status afterwards\n` +
+         `   • Requires authentication\n\n` +
+         `📚 ${COMMANDS.TEMPLATES} - Create an agent from a template\n` +
+         `   • Pick a ready-made agent by category\n` +
+         `   • Answer a few questions to fill in the template\n` +
+         `   • Requires authentication\n\n` +
+         `⚙️ ${COMMANDS.AUTO_DEPLOY} - Deploy new agents by default\n` +
+         `   • Usage: ${COMMANDS.AUTO_DEPLOY} [on|off]\n` +
+         `   • Makes "Create & Deploy" the first option when creating agents\n` +
+         `   • Requires authentication\n\n` +
+         `💬 ${COMMANDS.CHAT} - Chat with an agent\n` +
+         `   • Usage: ${COMMANDS.CHAT} [agent-id] [new]\n` +
+         `   • Your messages go to the agent until you tap "End chat"\n` +
+         `   • Continues your last conversation, add "new" to start over\n` +
+         `   • Requires authentication\n\n` +
+         `🗑️ ${COMMANDS.DELETE_AGENT} - Delete an agent\n` +
+         `   • Usage: ${COMMANDS.DELETE_AGENT} [agent-id]\n` +
+         `   • Asks twice before deleting\n` +
+         `   • Archived agents can be restored with Undo for a few minutes\n` +
+         `   • Requires authentication\n\n` +
+         `💳 ${COMMANDS.CREDITS} - View your credits\n` +
+         `   • Shows your current credit balance\n` +
+         `   • Lists where your credits were spent, page by page\n` +
+         `   • Requires authentication\n\n` +
+         `📤 ${COMMANDS.EXPORT_CREDITS} - Export your credit history\n` +
+         `   • Usage: ${COMMANDS.EXPORT_CREDITS} [csv|json] [from] [to]\n` +
+         `   • Sends all expense events as a CSV or JSON file\n` +
+         `   • Optional date range in YYYY-MM-DD format\n` +
+         `   • Requires authentication\n\n` +
+         `🔔 ${COMMANDS.ALERTS} - Configure alerts\n` +
+         `   • Usage: ${COMMANDS.ALERTS} credits [amount|off]\n` +
+         `   • Sends a message when your credit balance drops below the amount\n` +
+         `   • Requires authentication\n\n` +
+         `🔔 ${COMMANDS.NOTIFICATIONS} - Agent activity notifications\n` +
+         `   • Usage: ${COMMANDS.NOTIFICATIONS} [on|off|instant|hourly|daily]\n` +
+         `   • Summarizes task runs, trades, errors and credits spent by your agents\n` +
+         `   • Sent right away or as an hourly or daily digest, mute single agents with a button\n` +
          `   • Requires authentication\n\n` +
          `🚪 ${COMMANDS.LOGOUT} - Log out and clear credentials\n` +
          `   • Clears your authentication data\n` +
@@ -84,6 +213,46 @@ function createHelpMessage() {
          `• Contact support if you encounter issues`;
 }
 
+/**
+ * Formats a duration as a short human readable string (e.g. "2h 15m")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatTimeRemaining(ms) {
+  if (ms <= 0) {
+    return 'expired';
+  }
+  
+  const totalMinutes = Math.ceil(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}m`;
+}
+
+/**
+ * Creates session expiry line for a user record
+ * @param {Object} userData - User record from the database
+ * @returns {string} Formatted session line, empty if expiry is unknown
+ */
+function createSessionExpiryText(userData) {
+  if (!userData || !userData.tokenExpiresAt) {
+    return '';
+  }
+  
+  const remainingMs = new Date(userData.tokenExpiresAt).getTime() - Date.now();
+  return remainingMs > 0 ?
+    `Session expires in: ${formatTimeRemaining(remainingMs)}` :
+    'Session: expired';
+}
+
 /**
  * Creates status message for authenticated user
  * @param {Object} authCheck - Authentication check result
@@ -94,6 +263,8 @@ function createStatusMessage(authCheck, accountData) {
   const authStatus = '✅ Authenticated';
   const privyUserId = authCheck.userData.privyUserId ? `\nPrivy User ID: ${authCheck.userData.privyUserId}` : '';
   const lastLogin = authCheck.userData.lastLogin ? `\nLast login: ${new Date(authCheck.userData.lastLogin).toLocaleString()}` : '';
+  const sessionExpiryText = createSessionExpiryText(authCheck.userData);
+  const sessionExpiry = sessionExpiryText ? `\n${sessionExpiryText}` : '';
   
   let accountInfo = '\n\n🏦 **Account Information:**\n';
   if (accountData) {
@@ -112,7 +283,373 @@ function createStatusMessage(authCheck, accountData) {
   }
   
   return `📊 **Account Status**\n\n` +
-         `Authentication: ${authStatus}${privyUserId}${lastLogin}${accountInfo}`;
+         `Authentication: ${authStatus}${privyUserId}${lastLogin}${sessionExpiry}${accountInfo}`;
+}
+
+/**
+ * Creates the wallet view with SOL and token balances
+ * @param {string} address - Wallet address
+ * @param {Object} balances - Balances from getWalletBalances
+ * @returns {string} Formatted message
+ */
+function createWalletMessage(address, balances) {
+  let message = '👛 **Your Wallet**\n\n';
+  message += `📍 **Address:** \`${address}\`\n\n`;
+  message += `◎ **SOL:** ${balances.sol}\n\n`;
+
+  if (balances.tokens.length === 0) {
+    message += '🪙 **Tokens:** none\n';
+  } else {
+    message += `🪙 **Tokens (${balances.tokens.length}):**\n`;
+    balances.tokens.slice(0, MAX_WALLET_TOKENS).forEach((token) => {
+      const label = token.symbol ?
+        `**${stripMarkdown(token.symbol)}**` + (token.name ? ` (${stripMarkdown(token.name)})` : '') :
+        '**Unknown token**';
+      message += `• ${label}: ${token.amount}\n`;
+      message += `   \`${token.mint}\`\n`;
+    });
+    if (balances.tokens.length > MAX_WALLET_TOKENS) {
+      message += `• ... and ${balances.tokens.length - MAX_WALLET_TOKENS} more\n`;
+    }
+  }
+
+  message += `\n🔄 Updated: ${new Date().toLocaleString()}`;
+  return message;
+}
+
+/**
+ * Creates the preview of a quoted swap
+ * @param {Object} swap - Quoted swap
+ * @param {Object} swap.quote - Quote from Jupiter
+ * @param {Object} swap.inputToken - Token paid with: { symbol, decimals }
+ * @param {Object} swap.outputToken - Token bought: { mint, decimals, name, symbol }
+ * @param {string} swap.priorityFee - Priority fee level
+ * @returns {string} Formatted swap preview
+ */
+function createSwapQuoteMessage({ quote, inputToken, outputToken, priorityFee }) {
+  const symbol = outputToken.symbol ? stripMarkdown(outputToken.symbol) : 'tokens';
+  const outAmount = formatTokenAmount(BigInt(quote.outAmount), outputToken.decimals);
+  const minimumReceived = formatTokenAmount(BigInt(quote.otherAmountThreshold), outputToken.decimals);
+
+  let message = '💱 **Swap Preview**\n\n';
+  message += `**You pay:** ${formatTokenAmount(BigInt(quote.inAmount), inputToken.decimals)} ${inputToken.symbol}\n`;
+  message += `**You receive:** ~${outAmount} ${symbol}\n`;
+  if (outputToken.name && outputToken.name !== outputToken.symbol) {
+    message += `   ${stripMarkdown(outputToken.name)}\n`;
+  }
+  message += `   \`${outputToken.mint}\`\n\n`;
+  message += `📉 **Price impact:** ${formatPriceImpact(quote)}\n`;
+  message += `🛣️ **Route:** ${getRouteLabels(quote).map(stripMarkdown).join(' → ') || 'direct'}\n`;
+  message += `🛡️ **Minimum received:** ${minimumReceived} ${symbol}\n`;
+  message += `⚙️ **Slippage:** ${quote.slippageBps / 100}%\n`;
+  message += `⛽ **Priority fee:** ${formatPriorityFee(priorityFee)}`;
+  return message;
+}
+
+/**
+ * Formats a credit amount returned by the API
+ * @param {number|string} amount - Credit amount
+ * @returns {string} Formatted amount
+ */
+function formatCredits(amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    return '0';
+  }
+  return value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
+
+/**
+ * Creates credit balance and expense history message
+ * @param {Object} accountData - Credit account data from API
+ * @param {Array} events - Expense events of the shown page
+ * @param {number} pageIndex - Zero based index of the shown page
+ * @returns {string} Formatted credits message
+ */
+function createCreditsMessage(accountData, events, pageIndex) {
+  let message = '💳 **Your Credits**\n\n';
+  
+  if (accountData) {
+    const { total, balances } = getCreditBalance(accountData);
+    
+    message += `💰 **Balance:** ${total === null ? 'unavailable' : formatCredits(total)}\n`;
+    if (balances.length > 1) {
+      balances.forEach(({ label, amount }) => {
+        message += `   • ${label}: ${formatCredits(amount)}\n`;
+      });
+    }
+  } else {
+    message += '💰 **Balance:** unavailable\n';
+  }
+  
+  message += `\n📉 **Expenses** (page ${pageIndex + 1})\n\n`;
+  
+  if (!events || events.length === 0) {
+    message += pageIndex === 0 ?
+      'No credits spent yet.' :
+      'No more expenses.';
+    return message;
+  }
+  
+  events.forEach((event) => {
+    const date = event.created_at ? new Date(event.created_at).toLocaleString() : 'Unknown date';
+    const source = event.skill_name || event.event_type || 'expense';
+    message += `• ${date} — **-${formatCredits(event.total_amount)}** \`${source}\`\n`;
+    if (event.agent_id) {
+      message += `   Agent: \`${event.agent_id}\`\n`;
+    }
+  });
+  
+  return message;
+}
+
+/**
+ * Creates a page of the agent browser
+ * @param {Array<Object>} agents - Agents shown on the page
+ * @param {number} pageIndex - Zero based page index
+ * @returns {string} Formatted message
+ */
+function createAgentListMessage(agents, pageIndex) {
+  let message = `🤖 **Your Agents** (page ${pageIndex + 1})\n\n`;
+
+  if (!agents || agents.length === 0) {
+    return message + (pageIndex === 0 ?
+      `You don't have any agents yet.\n\nUse ${COMMANDS.CREATE_AGENT} to create your first agent!` :
+      'No more agents.');
+  }
+
+  return message +
+         'Tap an agent to see its details.\n\n' +
+         `🔍 Search by name: \`${COMMANDS.MY_AGENTS} <name>\``;
+}
+
+/**
+ * Creates the result message of an agent search
+ * @param {string} query - Searched text
+ * @param {number} matchCount - Number of matching agents
+ * @param {number} shownCount - Number of matching agents with a button
+ * @param {boolean} truncated - Whether only part of the agents was searched
+ * @returns {string} Formatted message
+ */
+function createAgentSearchMessage(query, matchCount, shownCount, truncated) {
+  let message = `🔍 **Agents matching "${stripMarkdown(query)}"**\n\n`;
+
+  if (matchCount === 0) {
+    message += 'No agents found.';
+  } else {
+    message += `Found ${matchCount} agent(s)`;
+    message += shownCount < matchCount ? `, showing the first ${shownCount}.` : '.';
+    message += ' Tap an agent to see its details.';
+  }
+  if (truncated) {
+    message += '\n\n⚠️ Only your most recent agents were searched.';
+  }
+
+  return message;
+}
+
+/**
+ * Removes Markdown characters from text that comes from the API or from users
+ * @param {string} text - Text
+ * @returns {string} Text that is safe to embed in a Markdown message
+ */
+function stripMarkdown(text) {
+  return String(text).replace(/[*_`\[\]]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Shortens a text of an agent card
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text, cut with an ellipsis if it was longer
+ */
+function truncateCardText(text, maxLength) {
+  const value = String(text);
+  return value.length > maxLength ? `${value.substring(0, maxLength)}...` : value;
+}
+
+/**
+ * Formats a list section of an agent card, collapsing long lists
+ * @param {Array<string>} lines - One line per item
+ * @returns {string} Bullet list
+ */
+function formatCardList(lines) {
+  if (lines.length === 0) {
+    return '   • None\n';
+  }
+
+  let text = lines
+    .slice(0, MAX_CARD_LIST_ITEMS)
+    .map((line) => `   • ${line}\n`)
+    .join('');
+  if (lines.length > MAX_CARD_LIST_ITEMS) {
+    text += `   • ... and ${lines.length - MAX_CARD_LIST_ITEMS} more\n`;
+  }
+  return text;
+}
+
+/**
+ * Creates the detail card of an agent
+ * Long texts and lists are collapsed so the card always fits in one message,
+ * the full configuration is available as a JSON document
+ * @param {Object} agent - Agent data from the API
+ * @returns {string} Formatted message
+ */
+function createAgentCardMessage(agent) {
+  const skills = getAgentSkillNames(agent.skills);
+  const tasks = getAgentTasks(agent);
+
+  let message = `🤖 **${agent.name ? stripMarkdown(agent.name) : 'Unnamed Agent'}**\n\n`;
+  message += `🆔 **ID:** \`${agent.id}\`\n`;
+  if (agent.status) {
+    message += `📌 **Status:** ${agent.status}\n`;
+  }
+  message += `🚀 **Deployment:** ${formatDeploymentStatus(agent)}\n`;
+  if (agent.model) {
+    message += `🧠 **Model:** ${stripMarkdown(agent.model)}\n`;
+  }
+  if (agent.description) {
+    message += `📋 **Description:** ${truncateCardText(stripMarkdown(agent.description), MAX_CARD_TEXT_LENGTH)}\n`;
+  }
+  if (agent.purpose) {
+    message += `🎯 **Purpose:** ${truncateCardText(stripMarkdown(agent.purpose), MAX_CARD_TEXT_LENGTH)}\n`;
+  }
+
+  message += `\n🔧 **Skills (${skills.length}):**\n`;
+  message += formatCardList(skills.map((name) => `\`${name}\``));
+
+  message += `\n⏰ **Autonomous Tasks (${tasks.length}):**\n`;
+  message += formatCardList(tasks.map((task) => {
+    const schedule = formatTaskSchedule(task);
+    return stripMarkdown(task.name || task.id || 'Task') +
+           (schedule ? ` — ${schedule}` : '') +
+           (isTaskEnabled(task) ? '' : ' (paused)');
+  }));
+
+  message += '\n';
+  if (agent.created_at) {
+    message += `📅 **Created:** ${new Date(agent.created_at).toLocaleString()}\n`;
+  }
+  if (agent.updated_at) {
+    message += `🔄 **Updated:** ${new Date(agent.updated_at).toLocaleString()}\n`;
+  }
+
+  return shortenCard(message, '_Card shortened, use Raw JSON for the full configuration._');
+}
+
+/**
+ * Creates the autonomous tasks view of an agent
+ * @param {Object} agent - Agent data
+ * @returns {string} Formatted message
+ */
+function createAgentTasksMessage(agent) {
+  const tasks = getAgentTasks(agent);
+  let message = `⏰ **Tasks of ${agent.name ? stripMarkdown(agent.name) : 'Unnamed Agent'}**\n\n`;
+
+  if (tasks.length === 0) {
+    return message +
+           'This agent has no autonomous tasks.\n\n' +
+           `Use \`${COMMANDS.EDIT_AGENT} ${agent.id}\` to add one, e.g. "Post a market summary every morning".`;
+  }
+
+  tasks.forEach((task, index) => {
+    const schedule = formatTaskSchedule(task);
+    message += `${index + 1}. ${isTaskEnabled(task) ? '✅' : '⏸️'} **${stripMarkdown(task.name || task.id || 'Task')}**` +
+               (schedule ? ` — ${schedule}` : '') + '\n';
+    if (task.prompt) {
+      message += `   📝 ${truncateCardText(stripMarkdown(task.prompt), MAX_TASK_PROMPT_LENGTH)}\n`;
+    }
+  });
+
+  const enabledCount = tasks.filter(isTaskEnabled).length;
+  message += enabledCount === 0 ?
+    '\n⏸️ All tasks are paused.' :
+    `\n${enabledCount} of ${tasks.length} task(s) enabled.`;
+  message += '\nTap a task to enable or disable it.';
+
+  return shortenCard(message, '_List shortened, use Raw JSON for all task prompts._');
+}
+
+/**
+ * Shortens a card that does not fit into a Telegram message
+ * @param {string} message - Card text
+ * @param {string} note - Note appended when the card was shortened
+ * @returns {string} Card text
+ */
+function shortenCard(message, note) {
+  if (message.length <= MAX_CARD_LENGTH) {
+    return message;
+  }
+  // Cut at a line break so no Markdown entity is left open
+  return `${message.substring(0, message.lastIndexOf('\n', MAX_CARD_LENGTH))}\n...\n\n${note}`;
+}
+
+/**
+ * Creates the overview of the template catalog
+ * @param {Array<Object>} categories - Template categories
+ * @returns {string} Formatted message
+ */
+function createTemplateCatalogMessage(categories) {
+  let message = '📚 **Agent Templates**\n\n';
+
+  if (categories.length === 0) {
+    return message + `No templates are available right now. Use ${COMMANDS.CREATE_AGENT} to describe your own agent.`;
+  }
+
+  return message +
+         'Start from a ready-made agent: pick a template, answer a few questions ' +
+         'and review the generated agent before it is created.\n\n' +
+         'Choose a category:';
+}
+
+/**
+ * Creates the template list of a category
+ * @param {Object} category - Template category
+ * @param {Array<Object>} templates - Templates of the category
+ * @returns {string} Formatted message
+ */
+function createTemplateCategoryMessage(category, templates) {
+  let message = `${category.emoji || '📚'} **${category.name} Templates**\n\n`;
+
+  templates.forEach((template) => {
+    message += `• **${template.name}**`;
+    message += template.description ? ` - ${template.description}\n` : '\n';
+  });
+
+  return message + '\nTap a template to use it.';
+}
+
+/**
+ * Creates an agent activity notification
+ * @param {Array<Object>} summaries - Activity summaries, one per agent (see utils/agentActivity.js)
+ * @param {string|null} digest - Digest mode ("hourly" or "daily"), null for an instant notification
+ * @returns {string} Formatted message
+ */
+function createActivityMessage(summaries, digest) {
+  let message = digest ?
+    `🔔 **${digest === 'daily' ? 'Daily' : 'Hourly'} Agent Activity**\n\n` :
+    '🔔 **Agent Activity**\n\n';
+
+  summaries.forEach((summary) => {
+    const parts = ACTIVITY_COUNT_LABELS
+      .filter(([kind]) => summary.counts[kind] > 0)
+      .map(([kind, emoji, label]) => `${emoji} ${summary.counts[kind]} ${label}`);
+    if (summary.credits > 0) {
+      parts.push(`💳 ${formatCredits(summary.credits)} credits`);
+    }
+
+    message += `🤖 **${stripMarkdown(summary.name)}**\n`;
+    message += `   ${parts.join(' · ')}\n`;
+    summary.recent.forEach((text) => {
+      message += `   • ${truncateCardText(stripMarkdown(text), MAX_ACTIVITY_TEXT_LENGTH)}\n`;
+    });
+    if (summary.lastError) {
+      message += `   ⚠️ Last error: ${truncateCardText(stripMarkdown(summary.lastError), MAX_ACTIVITY_TEXT_LENGTH)}\n`;
+    }
+    message += '\n';
+  });
+
+  return shortenCard(message, `_Summary shortened, use ${COMMANDS.MY_AGENTS} to check your agents._`);
 }
 
 /**
@@ -144,5 +681,19 @@ module.exports = {
   createWelcomeMessage,
   createHelpMessage,
   createStatusMessage,
-  createErrorMessage
+  createWalletMessage,
+  createSwapQuoteMessage,
+  createErrorMessage,
+  formatTimeRemaining,
+  createSessionExpiryText,
+  formatCredits,
+  createCreditsMessage,
+  createAgentListMessage,
+  createAgentSearchMessage,
+  createAgentCardMessage,
+  createAgentTasksMessage,
+  createActivityMessage,
+  createTemplateCatalogMessage,
+  createTemplateCategoryMessage,
+  stripMarkdown
 };
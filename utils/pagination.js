@@ -0,0 +1,76 @@
+const { getStorage } = require('../storage');
+
+/**
+ * Cursor based pagination state
+ * APIs return a next_cursor for the following page only, so to go back we remember
+ * the cursor every visited page was loaded with. Cursors can be longer than Telegram's
+ * 64 byte callback data limit, so buttons only carry the page index and the cursors
+ * are kept in storage per user and list.
+ *
+ * Stored record: { cursors: string[], updatedAt: ISO string }
+ * cursors[i] is the cursor page i is loaded with ('' for the first page).
+ */
+
+const PAGINATION_COLLECTION = 'pagination';
+
+/**
+ * Builds the storage key of a paginated list
+ * @param {string} userId - Telegram user ID
+ * @param {string} listName - Name of the list (e.g. 'credits')
+ * @returns {string} Storage key
+ */
+function getPaginationKey(userId, listName) {
+  return `${userId}:${listName}`;
+}
+
+/**
+ * Starts a new pagination session, forgetting previously visited pages
+ * @param {string} userId - Telegram user ID
+ * @param {string} listName - Name of the list
+ */
+function resetPagination(userId, listName) {
+  getStorage().set(PAGINATION_COLLECTION, getPaginationKey(userId, listName), {
+    cursors: [''],
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Gets the cursor a page has to be loaded with
+ * @param {string} userId - Telegram user ID
+ * @param {string} listName - Name of the list
+ * @param {number} pageIndex - Zero based page index
+ * @returns {string|null} Cursor ('' for the first page) or null if the page was never reached
+ */
+function getPageCursor(userId, listName, pageIndex) {
+  if (pageIndex === 0) {
+    return '';
+  }
+
+  const record = getStorage().get(PAGINATION_COLLECTION, getPaginationKey(userId, listName));
+  if (!record || typeof record.cursors[pageIndex] !== 'string') {
+    return null;
+  }
+  return record.cursors[pageIndex];
+}
+
+/**
+ * Remembers the cursor of the page following a loaded page
+ * @param {string} userId - Telegram user ID
+ * @param {string} listName - Name of the list
+ * @param {number} pageIndex - Zero based index of the loaded page
+ * @param {string} nextCursor - Cursor returned by the API for the next page
+ */
+function savePageCursor(userId, listName, pageIndex, nextCursor) {
+  getStorage().update(PAGINATION_COLLECTION, getPaginationKey(userId, listName), (record) => {
+    const cursors = record ? record.cursors.slice(0, pageIndex + 1) : [''];
+    cursors[pageIndex + 1] = nextCursor;
+    return { cursors, updatedAt: new Date().toISOString() };
+  });
+}
+
+module.exports = {
+  resetPagination,
+  getPageCursor,
+  savePageCursor
+};
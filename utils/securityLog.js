@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Security event logging
+ * Rejected authentication attempts are written to the console and appended as
+ * JSON lines to an audit log file so that attack attempts can be reviewed later.
+ */
+
+// Define the path for the audit log file
+const auditLogPath = process.env.AUTH_AUDIT_LOG_PATH || path.join(__dirname, '..', 'auth-audit.log');
+
+/**
+ * Records a rejected authentication callback
+ * @param {Object} details - Details about the rejected request
+ * @param {string} details.reason - Machine readable rejection reason
+ * @param {number} details.status - HTTP status returned to the client
+ * @param {string} [details.ip] - Remote address of the request
+ * @param {string} [details.telegramUserId] - Telegram user ID claimed by the request
+ */
+function recordAuthRejection(details) {
+  const entry = {
+    type: 'auth_callback_rejected',
+    timestamp: new Date().toISOString(),
+    ...details
+  };
+
+  console.warn(`Rejected auth callback (${entry.reason}) from ${entry.ip || 'unknown'} for user ${entry.telegramUserId || 'unknown'}`);
+
+  try {
+    fs.appendFileSync(auditLogPath, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Error writing auth audit log:', error);
+  }
+}
+
+module.exports = {
+  recordAuthRejection
+};
@@ -0,0 +1,166 @@
+const { VersionedTransaction } = require('@solana/web3.js');
+const { getSolanaCaip2 } = require('../config/solana');
+const { getPrivyClient } = require('../config/privy');
+const { getSwapTransaction } = require('../api/jupiter');
+const { formatTokenAmount } = require('./wallet');
+
+/**
+ * Token swaps through Jupiter
+ * Quotes come from api/jupiter.js; the swap transaction Jupiter builds is signed
+ * and sent by the user's Privy embedded wallet, which the bot controls server side.
+ *
+ * Swap settings on the user record (see /settings):
+ *   swapSlippageBps: number, swapPriorityFee: PRIORITY_FEE_LEVELS key,
+ *   swapQuoteToken: QUOTE_TOKENS key, swapConfirmThreshold: number or null to always confirm
+ */
+
+// Wrapped SOL mint, Jupiter's input mint for swaps from SOL
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Decimals of SOL
+const SOL_DECIMALS = 9;
+
+// Accepted slippage in basis points (0.5%)
+const DEFAULT_SLIPPAGE_BPS = 50;
+
+// Slippage offered in the settings menu, in basis points
+const SLIPPAGE_PRESETS_BPS = [10, 50, 100, 300];
+
+// Highest slippage a user can set (50%)
+const MAX_SLIPPAGE_BPS = 5000;
+
+// Priority fee levels; Jupiter estimates the fee of the level and caps it at maxLamports,
+// "auto" leaves the fee to Jupiter
+const PRIORITY_FEE_LEVELS = {
+  auto: { label: 'Auto', fee: null },
+  medium: { label: 'Medium', fee: { priorityLevel: 'medium', maxLamports: 1000000 } },
+  high: { label: 'High', fee: { priorityLevel: 'high', maxLamports: 4000000 } },
+  veryHigh: { label: 'Very High', fee: { priorityLevel: 'veryHigh', maxLamports: 10000000 } }
+};
+
+const DEFAULT_PRIORITY_FEE = 'auto';
+
+// Tokens swaps can be paid with, with the swap sizes offered as confirmation thresholds
+const QUOTE_TOKENS = {
+  SOL: { mint: SOL_MINT, decimals: SOL_DECIMALS, confirmThresholds: [0.1, 1] },
+  USDC: { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, confirmThresholds: [10, 100] },
+  USDT: { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6, confirmThresholds: [10, 100] }
+};
+
+const DEFAULT_QUOTE_TOKEN = 'SOL';
+
+// SOL kept back for network fees and new token account rent
+const SWAP_FEE_RESERVE_LAMPORTS = 5000000n;
+
+/**
+ * Gets the swap settings of a user, falling back to the defaults
+ * @param {Object} userData - User record from the database
+ * @returns {Object} { slippageBps, priorityFee, quoteToken, confirmThreshold }
+ */
+function getSwapSettings(userData) {
+  const settings = userData || {};
+
+  return {
+    slippageBps: Number.isInteger(settings.swapSlippageBps) ? settings.swapSlippageBps : DEFAULT_SLIPPAGE_BPS,
+    priorityFee: Object.keys(PRIORITY_FEE_LEVELS).includes(settings.swapPriorityFee) ?
+      settings.swapPriorityFee :
+      DEFAULT_PRIORITY_FEE,
+    quoteToken: Object.keys(QUOTE_TOKENS).includes(settings.swapQuoteToken) ?
+      settings.swapQuoteToken :
+      DEFAULT_QUOTE_TOKEN,
+    confirmThreshold: typeof settings.swapConfirmThreshold === 'number' ? settings.swapConfirmThreshold : null
+  };
+}
+
+/**
+ * Parses a decimal token amount into its smallest unit
+ * @param {string} text - Amount as typed, e.g. "0.25"
+ * @param {number} decimals - Decimals of the token
+ * @returns {bigint|null} Amount in the smallest unit, null if the text is no positive amount
+ */
+function parseTokenAmount(text, decimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(text || '').trim());
+  if (!match || (match[2] && match[2].length > decimals)) {
+    return null;
+  }
+
+  const amount = BigInt(match[1] + (match[2] || '').padEnd(decimals, '0'));
+  return amount > 0n ? amount : null;
+}
+
+/**
+ * Gets the names of the DEXes a quote is routed through
+ * @param {Object} quote - Quote from Jupiter
+ * @returns {Array<string>} Route step labels in order
+ */
+function getRouteLabels(quote) {
+  return (quote.routePlan || []).map((step) => {
+    const label = (step.swapInfo && step.swapInfo.label) || 'Unknown';
+    return step.percent < 100 ? `${label} (${step.percent}%)` : label;
+  });
+}
+
+/**
+ * Formats the price impact of a quote
+ * @param {Object} quote - Quote from Jupiter
+ * @returns {string} Price impact in percent, e.g. "0.12%"
+ */
+function formatPriceImpact(quote) {
+  const impact = Number(quote.priceImpactPct) * 100;
+  if (!Number.isFinite(impact)) {
+    return 'unknown';
+  }
+  return impact < 0.01 ? '< 0.01%' : `${impact.toFixed(2)}%`;
+}
+
+/**
+ * Formats a priority fee level
+ * @param {string} level - Priority fee level, a key of PRIORITY_FEE_LEVELS
+ * @returns {string} Level with its cap, e.g. "High (max 0.004 SOL)"
+ */
+function formatPriorityFee(level) {
+  const { label, fee } = PRIORITY_FEE_LEVELS[level];
+  return fee ? `${label} (max ${formatTokenAmount(BigInt(fee.maxLamports), SOL_DECIMALS)} SOL)` : label;
+}
+
+/**
+ * Builds, signs and sends the transaction of a quoted swap
+ * @param {Object} params - Swap parameters
+ * @param {string} params.walletId - Privy ID of the embedded wallet
+ * @param {string} params.address - Address of the wallet
+ * @param {Object} params.quote - Quote from Jupiter
+ * @param {string} params.priorityFee - Priority fee level, a key of PRIORITY_FEE_LEVELS
+ * @returns {Promise<string>} Transaction signature
+ */
+async function executeSwap({ walletId, address, quote, priorityFee }) {
+  const { swapTransaction } = await getSwapTransaction({
+    quote,
+    userPublicKey: address,
+    priorityFee: PRIORITY_FEE_LEVELS[priorityFee].fee || undefined
+  });
+  const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+
+  const { hash } = await getPrivyClient().walletApi.solana.signAndSendTransaction({
+    walletId,
+    caip2: getSolanaCaip2(),
+    transaction
+  });
+  return hash;
+}
+
+module.exports = {
+  SOL_MINT,
+  SOL_DECIMALS,
+  DEFAULT_SLIPPAGE_BPS,
+  SLIPPAGE_PRESETS_BPS,
+  MAX_SLIPPAGE_BPS,
+  PRIORITY_FEE_LEVELS,
+  QUOTE_TOKENS,
+  SWAP_FEE_RESERVE_LAMPORTS,
+  getSwapSettings,
+  parseTokenAmount,
+  getRouteLabels,
+  formatPriceImpact,
+  formatPriorityFee,
+  executeSwap
+};
@@ -0,0 +1,211 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getSolanaConnection } = require('../config/solana');
+const { getPrivyClient } = require('../config/privy');
+const { getUserAuthStatus, updateUserData } = require('../mockDb');
+
+/**
+ * Solana wallet helpers
+ * The wallet of a user is the Solana wallet linked to their Privy account; its address
+ * is kept on the user record (walletAddress, and walletId and walletDelegated for Privy
+ * embedded wallets).
+ * Balances are read from the RPC endpoint of config/solana.js.
+ */
+
+// SPL Token and Token-2022 programs, token accounts of both are listed
+const TOKEN_PROGRAM_IDS = [
+  new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+  new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb')
+];
+
+// Metaplex token metadata program holding the names and symbols of tokens
+const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Decimals of SOL
+const SOL_DECIMALS = 9;
+
+// Maximum number of accounts per getMultipleAccountsInfo request
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+// Token metadata by mint address; names and symbols practically never change
+const tokenMetadataCache = new Map();
+
+/**
+ * Gets the Solana wallet linked to a user's Privy account
+ * The wallet is looked up in Privy and then read from the user record. Until the user
+ * has delegated the wallet to the bot it is looked up again, so a delegation granted
+ * in the web app is picked up.
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<Object|null>} { address, walletId, delegated } or null if the user has no Solana wallet
+ */
+async function getUserWallet(userId) {
+  const userData = getUserAuthStatus(userId) || {};
+  if (userData.walletAddress && userData.walletDelegated) {
+    return { address: userData.walletAddress, walletId: userData.walletId || null, delegated: true };
+  }
+  if (!userData.privyUserId) {
+    return null;
+  }
+
+  const privyUser = await getPrivyClient().getUserById(userData.privyUserId);
+  const wallets = (privyUser.linkedAccounts || []).filter((account) =>
+    account.type === 'wallet' && account.chainType === 'solana'
+  );
+  // Prefer the embedded wallet, which is the one the bot can trade with
+  const wallet = wallets.find((account) => account.walletClientType === 'privy') || wallets[0];
+  if (!wallet) {
+    return null;
+  }
+
+  const delegated = wallet.delegated === true;
+  updateUserData(userId, { walletAddress: wallet.address, walletId: wallet.id || null, walletDelegated: delegated });
+  if (wallet.address !== userData.walletAddress) {
+    console.log(`Linked Solana wallet ${wallet.address} to user ${userId}`);
+  }
+  return { address: wallet.address, walletId: wallet.id || null, delegated };
+}
+
+/**
+ * Formats an integer token amount with its decimals
+ * @param {bigint} amount - Amount in the smallest unit
+ * @param {number} decimals - Decimals of the token
+ * @returns {string} Amount without trailing zeros, e.g. "1.5"
+ */
+function formatTokenAmount(amount, decimals) {
+  const digits = amount.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Reads a Borsh encoded string
+ * @param {Buffer} data - Account data
+ * @param {number} offset - Offset of the length prefix
+ * @returns {Object} { value, offset } with the offset after the string
+ */
+function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8').replace(/\0/g, '').trim();
+  return { value, offset: offset + 4 + length };
+}
+
+/**
+ * Decodes the name and symbol of a Metaplex metadata account
+ * @param {Buffer} data - Account data
+ * @returns {Object} { name, symbol }
+ */
+function decodeTokenMetadata(data) {
+  // Key (1 byte), update authority and mint (32 bytes each), then name, symbol and URI
+  const name = readBorshString(data, 1 + 32 + 32);
+  const symbol = readBorshString(data, name.offset);
+  return { name: name.value, symbol: symbol.value };
+}
+
+/**
+ * Loads the metadata of tokens
+ * @param {Array<string>} mints - Mint addresses
+ * @returns {Promise<Map>} Metadata ({ name, symbol }) or null by mint address
+ */
+async function getTokenMetadata(mints) {
+  const missing = mints.filter((mint) => !tokenMetadataCache.has(mint));
+
+  for (let start = 0; start < missing.length; start += MAX_ACCOUNTS_PER_REQUEST) {
+    const batch = missing.slice(start, start + MAX_ACCOUNTS_PER_REQUEST);
+    const addresses = batch.map((mint) => PublicKey.findProgramAddressSync(
+      [Buffer.from('metadata'), TOKEN_METADATA_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+      TOKEN_METADATA_PROGRAM_ID
+    )[0]);
+    const accounts = await getSolanaConnection().getMultipleAccountsInfo(addresses);
+
+    batch.forEach((mint, index) => {
+      let metadata = null;
+      try {
+        metadata = accounts[index] ? decodeTokenMetadata(accounts[index].data) : null;
+      } catch (error) {
+        console.error(`Error decoding metadata of token ${mint}:`, error.message);
+      }
+      tokenMetadataCache.set(mint, metadata);
+    });
+  }
+
+  return new Map(mints.map((mint) => [mint, tokenMetadataCache.get(mint) || null]));
+}
+
+/**
+ * Loads the number of decimals of a token
+ * @param {string} mint - Mint address
+ * @returns {Promise<number|null>} Decimals or null if the address is not a token mint
+ */
+async function getMintDecimals(mint) {
+  const { value } = await getSolanaConnection().getParsedAccountInfo(new PublicKey(mint));
+  const parsed = value && value.data && value.data.parsed;
+  return parsed && parsed.type === 'mint' ? parsed.info.decimals : null;
+}
+
+/**
+ * Loads the balance a wallet holds of one token
+ * @param {string} address - Wallet address
+ * @param {string} mint - Mint address
+ * @returns {Promise<bigint>} Balance in the smallest unit, summed over all token accounts
+ */
+async function getTokenBalance(address, mint) {
+  const { value } = await getSolanaConnection().getParsedTokenAccountsByOwner(
+    new PublicKey(address),
+    { mint: new PublicKey(mint) }
+  );
+  return value.reduce((sum, { account }) => sum + BigInt(account.data.parsed.info.tokenAmount.amount), 0n);
+}
+
+/**
+ * Loads the SOL and SPL token balances of a wallet
+ * Tokens with a zero balance are left out; several accounts of the same token are added up.
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object>} { sol: string, tokens: Array<{ mint, amount, decimals, name, symbol }> }
+ */
+async function getWalletBalances(address) {
+  const connection = getSolanaConnection();
+  const owner = new PublicKey(address);
+
+  const [lamports, ...tokenAccountLists] = await Promise.all([
+    connection.getBalance(owner),
+    ...TOKEN_PROGRAM_IDS.map((programId) => connection.getParsedTokenAccountsByOwner(owner, { programId }))
+  ]);
+
+  const holdings = new Map();
+  tokenAccountLists.forEach(({ value }) => {
+    value.forEach(({ account }) => {
+      const { mint, tokenAmount } = account.data.parsed.info;
+      const holding = holdings.get(mint) || { amount: 0n, decimals: tokenAmount.decimals };
+      holding.amount += BigInt(tokenAmount.amount);
+      holdings.set(mint, holding);
+    });
+  });
+
+  const mints = [...holdings.keys()].filter((mint) => holdings.get(mint).amount > 0n);
+  const metadata = await getTokenMetadata(mints);
+
+  const tokens = mints
+    .map((mint) => ({
+      mint,
+      amount: formatTokenAmount(holdings.get(mint).amount, holdings.get(mint).decimals),
+      decimals: holdings.get(mint).decimals,
+      name: metadata.get(mint) ? metadata.get(mint).name : null,
+      symbol: metadata.get(mint) ? metadata.get(mint).symbol : null
+    }))
+    // Known tokens first, alphabetically by symbol
+    .sort((a, b) => (!a.symbol - !b.symbol) || (a.symbol || a.mint).localeCompare(b.symbol || b.mint));
+
+  return {
+    sol: formatTokenAmount(BigInt(lamports), SOL_DECIMALS),
+    tokens
+  };
+}
+
+module.exports = {
+  getUserWallet,
+  getWalletBalances,
+  getTokenBalance,
+  getTokenMetadata,
+  getMintDecimals,
+  formatTokenAmount
+};